@@ -121,15 +121,51 @@ class Address {
     return keyPair.verify(data, signature);
   }
 
+  /**
+   * Check that a public key is a point on the curve in canonical (uncompressed hex) form
+   * @param {string} publicKey - Public key in hex format
+   * @returns {boolean} - Whether the public key is valid
+   */
+  static isValidPublicKey(publicKey) {
+    if (typeof publicKey !== 'string') {
+      return false;
+    }
+    try {
+      const keyPair = ec.keyFromPublic(publicKey, 'hex');
+      return keyPair.validate().result && keyPair.getPublic('hex') === publicKey;
+    } catch (err) {
+      return false;
+    }
+  }
+
   /**
    * Validate a DoucyA address format
+   * Both single-key and multisig account addresses are valid.
    * @param {string} address - Address to validate
    * @returns {boolean} - Whether the address is valid
    */
   static isValidAddress(address) {
-    // Check if address has the correct format
+    return this.hasFormat(address, config.address.suffix) || this.isMultisigAddress(address);
+  }
+
+  /**
+   * Check whether an address has the multisig account format
+   * @param {string} address - Address to check
+   * @returns {boolean} - Whether the address ends with the multisig suffix
+   */
+  static isMultisigAddress(address) {
+    return this.hasFormat(address, config.address.multisigSuffix);
+  }
+
+  /**
+   * Check an address against the format with a given suffix
+   * @param {string} address - Address to check
+   * @param {string} suffix - Expected suffix
+   * @returns {boolean} - Whether the address has the format
+   */
+  static hasFormat(address, suffix) {
     const regex = new RegExp(
-      `^${config.address.prefix}[1-9a-z]{${config.address.length - config.address.prefix.length - config.address.suffix.length}}${config.address.suffix}$`
+      `^${config.address.prefix}[1-9a-z]{${config.address.length - config.address.prefix.length - suffix.length}}${suffix}$`
     );
     return regex.test(address);
   }
@@ -0,0 +1,103 @@
+/**
+ * DOU amounts for DoucyA blockchain
+ * Amounts are stored, hashed and added up as integers in the smallest unit
+ * (10^-decimals DOU), so balances and supply totals never pick up floating
+ * point rounding errors. DOU strings are only used for input and display.
+ */
+
+'use strict';
+
+const config = require('../config');
+
+const DECIMALS = config.currency.decimals;
+const UNIT = 10 ** DECIMALS;
+
+class Amount {
+  /**
+   * Parse a DOU amount into base units
+   * @param {string|number} value - Amount in DOU (e.g. "12.5")
+   * @param {number} decimals - Decimal places of the currency (DOU unless given, e.g. for user-issued tokens)
+   * @returns {number} - Amount in base units
+   * @throws {Error} - If the value is not a non-negative decimal with at most decimals places
+   */
+  static parse(value, decimals = DECIMALS) {
+    const text = String(value).trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+
+    const fraction = match[2] || '';
+    if (fraction.length > decimals) {
+      throw new Error(`Invalid amount: ${value} has more than ${decimals} decimal places`);
+    }
+
+    const units = Number(match[1]) * 10 ** decimals + Number(fraction.padEnd(decimals, '0'));
+    if (!Number.isSafeInteger(units)) {
+      throw new Error(`Invalid amount: ${value} is too large`);
+    }
+    return units;
+  }
+
+  /**
+   * Convert a floating point DOU amount to base units
+   * Only meant for values stored before amounts were kept in base units.
+   * @param {number} dou - Amount in DOU
+   * @returns {number} - Amount in base units, rounded to the nearest unit
+   */
+  static fromDou(dou) {
+    return Math.round(dou * UNIT);
+  }
+
+  /**
+   * Format base units as a DOU amount
+   * @param {number} units - Amount in base units
+   * @param {number} decimals - Decimal places of the currency (DOU unless given, e.g. for user-issued tokens)
+   * @returns {string} - Amount in DOU without trailing zeros (e.g. "12.5")
+   */
+  static format(units, decimals = DECIMALS) {
+    const unit = 10 ** decimals;
+    const sign = units < 0 ? '-' : '';
+    const abs = Math.abs(units);
+    const whole = Math.floor(abs / unit);
+    const fraction = decimals > 0 ? String(abs % unit).padStart(decimals, '0').replace(/0+$/, '') : '';
+    return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+  }
+
+  /**
+   * Check that a value is a valid amount in base units
+   * @param {any} units - Value to check
+   * @returns {boolean} - Whether it is a non-negative safe integer
+   */
+  static isValid(units) {
+    return Number.isSafeInteger(units) && units >= 0;
+  }
+
+  /**
+   * Multiply an amount by a rate, rounding down to whole base units
+   * @param {number} units - Amount in base units
+   * @param {number} rate - Rate (e.g. 0.17 / 12)
+   * @returns {number} - Amount in base units
+   */
+  static multiply(units, rate) {
+    return Math.floor(units * rate);
+  }
+
+  /**
+   * Number of decimal places of a DOU amount
+   * @returns {number} - Decimals
+   */
+  static get DECIMALS() {
+    return DECIMALS;
+  }
+
+  /**
+   * Number of base units in one DOU
+   * @returns {number} - Units per DOU
+   */
+  static get UNIT() {
+    return UNIT;
+  }
+}
+
+module.exports = Amount;
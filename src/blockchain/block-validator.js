@@ -0,0 +1,216 @@
+/**
+ * Block validity rules for DoucyA blockchain
+ * Every node type accepts blocks through Blockchain.acceptBlock, which checks
+ * them against these rules before storing or applying them. A rejected block
+ * comes with a list of structured reasons ({ code, message }).
+ */
+
+'use strict';
+
+const Encoding = require('../crypto/encoding');
+const config = require('../config');
+
+// Reasons that may not hold for the same block later (or for another block with
+// the claimed hash; the signature is not part of the hash), so the block is not
+// remembered as invalid
+const RETRYABLE_REASONS = ['INVALID_HASH', 'INVALID_SIGNATURE', 'TIMESTAMP_TOO_FAR_AHEAD', 'UNKNOWN_VALIDATOR_KEY'];
+
+class BlockValidator {
+  /**
+   * Create a new block validator
+   * @param {Object} blockchain - Blockchain instance
+   * @param {Object} options - Timestamp rules (defaults to config.blockchain)
+   */
+  constructor(blockchain, options = config.blockchain) {
+    this.blockchain = blockchain;
+    this.medianTimeBlocks = options.medianTimeBlocks;
+    this.maxFutureBlockTime = options.maxFutureBlockTime;
+  }
+
+  /**
+   * Check the rules that depend only on the block itself
+   * @param {Block} block - Block to check
+   * @returns {Array<Object>} - Reasons the block is invalid (empty if valid)
+   */
+  checkStructure(block) {
+    const reasons = [];
+    const params = this.blockchain.params;
+
+    if (block.hash !== block.calculateHash()) {
+      reasons.push(BlockValidator.reason('INVALID_HASH', 'Block hash does not match its header'));
+    }
+    if (!block.verifyMerkleRoot()) {
+      reasons.push(BlockValidator.reason('INVALID_MERKLE_ROOT', 'Merkle root does not match the transactions'));
+    }
+
+    if (block.transactions.length > params.maxBlockTransactions) {
+      reasons.push(BlockValidator.reason(
+        'TOO_MANY_TRANSACTIONS',
+        `Block has ${block.transactions.length} transactions, the limit is ${params.maxBlockTransactions}`
+      ));
+    }
+
+    const size = BlockValidator.getTransactionsSize(block);
+    if (size > params.maxBlockSize) {
+      reasons.push(BlockValidator.reason(
+        'BLOCK_TOO_LARGE',
+        `Block transactions take ${size} bytes, the limit is ${params.maxBlockSize}`
+      ));
+    }
+
+    const seen = new Set();
+    for (const tx of block.transactions) {
+      if (seen.has(tx.hash)) {
+        reasons.push(BlockValidator.reason('DUPLICATE_TRANSACTION', `Transaction ${tx.hash} appears more than once`, { txHash: tx.hash }));
+      }
+      seen.add(tx.hash);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check the rules that depend on the chain the block extends
+   * @param {Block} block - Block to check
+   * @param {Block} parent - Block referenced by previousHash
+   * @param {number} now - Local time in milliseconds
+   * @returns {Array<Object>} - Reasons the block is invalid (empty if valid)
+   */
+  async checkContext(block, parent, now = Date.now()) {
+    const reasons = [];
+
+    if (block.height !== parent.height + 1) {
+      reasons.push(BlockValidator.reason('INVALID_HEIGHT', `Height ${block.height} does not follow parent height ${parent.height}`));
+    }
+
+    if (!await this.blockchain.descendsFromFinalized(parent)) {
+      const checkpoint = this.blockchain.getFinalizedCheckpoint();
+      reasons.push(BlockValidator.reason(
+        'CONFLICTS_WITH_FINALIZED',
+        `Block does not descend from the finalized block #${checkpoint.height} (${checkpoint.hash})`
+      ));
+    }
+
+    const medianTime = await this.getMedianTimePast(parent);
+    if (block.timestamp <= medianTime) {
+      reasons.push(BlockValidator.reason(
+        'TIMESTAMP_TOO_EARLY',
+        `Timestamp ${block.timestamp} is not after the median ${medianTime} of the last ${this.medianTimeBlocks} blocks`
+      ));
+    }
+    if (block.timestamp > now + this.maxFutureBlockTime) {
+      reasons.push(BlockValidator.reason(
+        'TIMESTAMP_TOO_FAR_AHEAD',
+        `Timestamp ${block.timestamp} is more than ${this.maxFutureBlockTime} ms ahead of local time`
+      ));
+    }
+
+    const slot = this.blockchain.getSlot(block.timestamp);
+    if (slot <= this.blockchain.getSlot(parent.timestamp)) {
+      reasons.push(BlockValidator.reason('SLOT_NOT_AFTER_PARENT', `Block is in slot ${slot}, which is not after its parent's slot`));
+    } else if (await this.blockchain.hasValidatorSnapshot(parent.hash)) {
+      // The validator set after a side branch block is only known once the
+      // branch is applied, so the proposer of its child is checked then
+      reasons.push(...await this.checkProposer(block, parent));
+    }
+
+    // Keys are only taken from the chain state, never from the network
+    const validSignature = await this.blockchain.verifyBlockSignature(block);
+    if (validSignature === null) {
+      reasons.push(BlockValidator.reason('UNKNOWN_VALIDATOR_KEY', `No public key of validator ${block.validator} is on chain`));
+    } else if (!validSignature) {
+      reasons.push(BlockValidator.reason('INVALID_SIGNATURE', `Block is not signed by validator ${block.validator}`));
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check that a block comes from the scheduled proposer of its slot
+   * The validator set after the parent block must be known.
+   * @param {Block} block - Block to check
+   * @param {Block} parent - Block referenced by previousHash
+   * @returns {Array<Object>} - Reasons the block is invalid (empty if valid)
+   */
+  async checkProposer(block, parent) {
+    const slot = this.blockchain.getSlot(block.timestamp);
+    const proposer = await this.blockchain.getScheduledProposer(parent, slot);
+    if (block.validator !== proposer) {
+      return [BlockValidator.reason('UNSCHEDULED_PROPOSER', `${block.validator} is not the scheduled proposer of slot ${slot} (${proposer})`)];
+    }
+    return [];
+  }
+
+  /**
+   * Get the median timestamp of the blocks ending at a parent block
+   * @param {Block} parent - Most recent block
+   * @returns {number} - Median timestamp of up to medianTimeBlocks blocks
+   */
+  async getMedianTimePast(parent) {
+    const timestamps = [parent.timestamp];
+    let block = parent;
+    while (timestamps.length < this.medianTimeBlocks && block.height > 0) {
+      block = await this.blockchain.getBlock(block.previousHash);
+      timestamps.push(block.timestamp);
+    }
+
+    timestamps.sort((a, b) => a - b);
+    return timestamps[Math.floor(timestamps.length / 2)];
+  }
+
+  /**
+   * Get the total encoded size of a block's transactions
+   * This is the size the block producer fills up to maxBlockSize.
+   * @param {Block} block - Block
+   * @returns {number} - Size in bytes
+   */
+  static getTransactionsSize(block) {
+    return block.transactions.reduce((size, tx) => size + Encoding.encode(tx).length, 0);
+  }
+
+  /**
+   * Create a rejection reason
+   * @param {string} code - Machine-readable reason code
+   * @param {string} message - Human-readable description
+   * @param {Object} details - Extra fields (e.g. txHash)
+   * @returns {Object} - Reason
+   */
+  static reason(code, message, details = {}) {
+    return { code, message, ...details };
+  }
+
+  /**
+   * Create an error carrying rejection reasons
+   * @param {Array<Object>} reasons - Reasons the block is invalid
+   * @returns {Error} - Error with a reasons property
+   */
+  static error(reasons) {
+    const err = new Error(reasons.map(reason => reason.message).join('; '));
+    err.reasons = reasons;
+    return err;
+  }
+
+  /**
+   * Create the acceptBlock result for an invalid block
+   * @param {Array<Object>} reasons - Reasons the block is invalid
+   * @returns {Object} - Result with status invalid, a summary and the reasons
+   */
+  static rejection(reasons) {
+    return {
+      status: 'invalid',
+      reason: reasons.map(reason => reason.message).join('; '),
+      reasons
+    };
+  }
+
+  /**
+   * Check whether a block rejected for these reasons stays invalid
+   * @param {Array<Object>} reasons - Reasons the block is invalid
+   * @returns {boolean} - Whether the block can be remembered as invalid
+   */
+  static isFinal(reasons) {
+    return !reasons.some(reason => RETRYABLE_REASONS.includes(reason.code));
+  }
+}
+
+module.exports = BlockValidator;
@@ -4,8 +4,14 @@
 
 'use strict';
 
-const crypto = require('crypto');
-const config = require('../config');
+const Encoding = require('../crypto/encoding');
+const MerkleTree = require('./merkle');
+const SparseMerkleTree = require('./sparse-merkle');
+const Genesis = require('./genesis');
+
+// Fields covered by the block hash; transactions are committed through merkleRoot
+// and the resulting account state through stateRoot
+const HEADER_FIELDS = ['height', 'previousHash', 'timestamp', 'merkleRoot', 'stateRoot', 'validator'];
 
 class Block {
   /**
@@ -22,27 +28,48 @@ class Block {
     this.transactions = transactions;
     this.validator = validator;
     this.timestamp = timestamp;
+    this.merkleRoot = this.calculateMerkleRoot();
+    this.stateRoot = null; // set once the block's state changes are known
     this.hash = this.calculateHash();
     this.signature = null;
   }
 
   /**
-   * Calculate hash of the block
+   * Calculate the Merkle root of the block's transaction hashes
+   * @returns {string} - Merkle root
+   */
+  calculateMerkleRoot() {
+    return MerkleTree.computeRoot(this.transactions.map(tx => tx.hash));
+  }
+
+  /**
+   * Verify that merkleRoot commits to the block's transactions
+   * @returns {boolean} - Whether the Merkle root is valid
+   */
+  verifyMerkleRoot() {
+    return this.merkleRoot === this.calculateMerkleRoot();
+  }
+
+  /**
+   * Calculate hash of the block over the canonical encoding of its header
    * @returns {string} - Block hash
    */
   calculateHash() {
-    const blockString = JSON.stringify({
-      height: this.height,
-      previousHash: this.previousHash,
-      timestamp: this.timestamp,
-      transactions: this.transactions,
-      validator: this.validator
-    });
+    return Block.hashHeader(this);
+  }
 
-    return crypto
-      .createHash(config.crypto.hashAlgorithm)
-      .update(blockString)
-      .digest('hex');
+  /**
+   * Get the header-only representation of the block
+   * @returns {Object} - Block header
+   */
+  getHeader() {
+    const header = {};
+    for (const field of HEADER_FIELDS) {
+      header[field] = this[field];
+    }
+    header.hash = this.hash;
+    header.signature = this.signature;
+    return header;
   }
 
   /**
@@ -69,16 +96,19 @@ class Block {
    * @returns {Object} - Block as JSON object
    */
   toJSON() {
-    return {
+    const json = {
       height: this.height,
       hash: this.hash,
       previousHash: this.previousHash,
       timestamp: this.timestamp,
+      merkleRoot: this.merkleRoot,
+      stateRoot: this.stateRoot,
       transactions: this.transactions,
       validator: this.validator,
-      signature: this.signature,
-      size: JSON.stringify(this).length
+      signature: this.signature
     };
+    json.size = Encoding.encode(json).length;
+    return json;
   }
 
   /**
@@ -94,35 +124,54 @@ class Block {
       data.validator,
       data.timestamp
     );
+    // Keep the received root so verifyMerkleRoot can detect tampering
+    block.merkleRoot = data.merkleRoot || block.merkleRoot;
+    block.stateRoot = data.stateRoot || null;
     block.hash = data.hash;
     block.signature = data.signature;
     return block;
   }
 
   /**
-   * Create genesis block
-   * @param {string} validatorAddress - Genesis validator address
-   * @param {Array} initialAddresses - Addresses to receive initial supply
+   * Calculate the hash of a block header
+   * @param {Object} header - Block header (or block)
+   * @returns {string} - Block hash
+   */
+  static hashHeader(header) {
+    const headerData = {};
+    for (const field of HEADER_FIELDS) {
+      headerData[field] = header[field];
+    }
+    return Encoding.hash(headerData);
+  }
+
+  /**
+   * Verify that a header's hash matches its fields
+   * @param {Object} header - Block header
+   * @returns {boolean} - Whether the header hash is valid
+   */
+  static verifyHeader(header) {
+    return !!header && header.hash === this.hashHeader(header);
+  }
+
+  /**
+   * Create the genesis block described by a genesis configuration
+   * Everything is derived from the configuration, so every node builds the
+   * same block and hash from the same genesis file.
+   * @param {Object} genesis - Validated genesis configuration
    * @returns {Block} - Genesis block
    */
-  static createGenesisBlock(validatorAddress, initialAddresses) {
-    const transactions = initialAddresses.map((address, index) => ({
-      type: 'MINT',
-      to: address,
-      amount: config.blockchain.initialSupply,
-      timestamp: config.blockchain.genesisTimestamp,
-      hash: crypto.createHash(config.crypto.hashAlgorithm)
-        .update(`GENESIS_${index}_${address}`)
-        .digest('hex'),
-    }));
-
-    return new Block(
+  static createGenesisBlock(genesis) {
+    const block = new Block(
       0, // height
       '0'.repeat(64), // previous hash
-      transactions,
-      validatorAddress,
-      config.blockchain.genesisTimestamp
+      Genesis.createTransactions(genesis),
+      null, // no proposer
+      genesis.timestamp
     );
+    block.stateRoot = SparseMerkleTree.computeRoot(Genesis.getInitialState(genesis));
+    block.hash = block.calculateHash();
+    return block;
   }
 }
 
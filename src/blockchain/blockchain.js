@@ -6,9 +6,38 @@
 
 const Block = require('./block');
 const Transaction = require('./transaction');
+const MerkleTree = require('./merkle');
+const SparseMerkleTree = require('./sparse-merkle');
+const Mempool = require('./mempool');
+const BlockValidator = require('./block-validator');
+const ProposerSchedule = require('./proposer-schedule');
+const Evidence = require('./evidence');
+const Finality = require('./finality');
+const Multisig = require('./multisig');
+const Htlc = require('./htlc');
+const Names = require('./names');
+const Tokens = require('./tokens');
+const Genesis = require('./genesis');
+const Amount = require('./amount');
+const StateStore = require('../storage/state');
+const MemoryDB = require('../storage/memory-db');
+const Address = require('./address');
+const Encoding = require('../crypto/encoding');
 const { EventEmitter } = require('events');
 const config = require('../config');
-const crypto = require('crypto');
+
+// Length of a year for annual rates, in milliseconds
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// Account state committed to by each block's stateRoot
+const STATE_PREFIXES = ['BALANCE_', 'NONCE_', 'WHITELIST_', 'JAIL_', 'SLASHED_', 'DELEGATION_', 'COMMISSION_', 'UNBONDING_', 'MULTISIG_', 'HTLC_', 'NAME_', 'TOKEN_INFO_', 'TOKEN_BALANCE_', 'VALIDATOR_KEY_'];
+const STATE_KEYS = ['VALIDATORS', 'EPOCH_VALIDATORS', 'CHAIN_CONFIG', 'SUPPLY'];
+
+// Transactions only the protocol creates: MINT for genesis allocations, REWARD for block rewards
+const PROTOCOL_TRANSACTIONS = ['MINT', 'REWARD'];
+
+// Most blocks not received yet that finality votes are held for; the oldest block's votes are dropped first
+const MAX_PENDING_VOTE_BLOCKS = 100;
 
 class Blockchain extends EventEmitter {
   /**
@@ -18,127 +47,316 @@ class Blockchain extends EventEmitter {
   constructor(db) {
     super();
     this.db = db;
+    this.state = new StateStore(db); // staged view used for all chain state
     this.currentBlock = null;
-    this.pendingTransactions = [];
+    this.mempool = new Mempool();
+    this.blockValidator = new BlockValidator(this);
     this.validators = new Map(); // validator address -> staked amount
-    this.validatorMinDeposit = config.blockchain.validatorMinDeposit;
-    this.blockInterval = null;
+    this.epochValidators = null; // validator address -> stake weight fixed at the last epoch boundary
+    this.jailed = new Map(); // validator address -> height its jail ends
+    this.delegations = new Map(); // validator address -> Map(delegator address -> delegated amount)
+    this.commissions = new Map(); // validator address -> commission rate on delegator rewards
+    this.unbonding = new Map(); // address -> [{ validator, amount, releaseHeight }] of stake waiting to be released
+    this.chainId = null;
+    this.params = Genesis.defaultConsensus(); // consensus parameters from the genesis file
+    this.genesisTimestamp = 0; // start of slot 0
+    this.blockTimer = null;
     this.currentHeight = 0;
+    this.finalized = { height: 0, hash: null }; // latest finalized checkpoint, the genesis block until a block is voted final
+    this.justified = { height: 0, hash: null }; // latest justified block, which the main chain holds and new votes link from
+    this.voter = null; // { address, publicKey, signCallback } of the validator voting for blocks
+    this.blockQueue = Promise.resolve(); // tail of the queue that runs block creation and application one at a time
+    this.proposedSlot = -1; // last slot this node signed a block in, so a reorganization never makes it sign two
+    this.pendingVotes = new Map(); // hash of a block not received yet -> Map(validator address -> vote)
   }
 
   /**
    * Initialize the blockchain
+   * An empty database is seeded from the genesis configuration (or the
+   * configured genesis file). If the database already holds a chain, a given
+   * genesis configuration must match its genesis block.
+   * @param {Object} genesis - Validated genesis configuration (optional)
+   * @throws {Error} - If the stored chain was created from a different genesis
    */
-  async initialize() {
+  async initialize(genesis = null) {
     // Try to load the blockchain state from the database
+    let latestBlockData = null;
     try {
-      const latestBlockData = await this.db.get('LATEST_BLOCK');
-      if (latestBlockData) {
-        const latestBlock = Block.fromJSON(JSON.parse(latestBlockData));
-        this.currentHeight = latestBlock.height;
-        console.log(`Blockchain initialized with existing data. Current height: ${this.currentHeight}`);
-      } else {
-        await this.createGenesisBlock();
-      }
+      latestBlockData = await this.state.get('LATEST_BLOCK');
     } catch (err) {
-      if (err.type === 'NotFoundError') {
-        await this.createGenesisBlock();
-      } else {
+      if (err.type !== 'NotFoundError') {
         throw err;
       }
     }
 
+    if (latestBlockData) {
+      const latestBlock = Block.fromJSON(JSON.parse(latestBlockData));
+      await this.checkStateConsistency(latestBlock);
+      await this.migrateAmounts(latestBlock);
+      if (genesis) {
+        await this.checkGenesis(genesis);
+      }
+      this.currentHeight = latestBlock.height;
+      console.log(`Blockchain initialized with existing data. Current height: ${this.currentHeight}`);
+    } else {
+      await this.createGenesisBlock(genesis || Genesis.load(config.blockchain.genesisFile));
+    }
+
+    await this.loadChainConfig();
+    const genesisBlock = await this.getBlock(0);
+    this.genesisTimestamp = genesisBlock.timestamp;
+    await this.loadFinalizedCheckpoint(genesisBlock);
+
     // Load validators
+    await this.loadValidators();
+    if (this.validators.size > 0) {
+      console.log(`Loaded ${this.validators.size} validators`);
+    }
+  }
+
+  /**
+   * Make sure the stored genesis block was created from a genesis configuration
+   * @param {Object} genesis - Validated genesis configuration
+   * @throws {Error} - If the genesis hashes differ
+   */
+  async checkGenesis(genesis) {
+    const expectedHash = Block.createGenesisBlock(genesis).hash;
+    const storedHash = await this.state.get('BLOCK_HEIGHT_0');
+    if (storedHash !== expectedHash) {
+      throw new Error(`Database holds a different chain (genesis ${storedHash}, expected ${expectedHash} for ${genesis.chainId})`);
+    }
+  }
+
+  /**
+   * Load the chain id and consensus parameters from the chain state
+   * Databases created before genesis files existed fall back to the defaults.
+   */
+  async loadChainConfig() {
+    let chainConfig = { chainId: null, consensus: Genesis.defaultConsensus() };
+    try {
+      chainConfig = JSON.parse(await this.state.get('CHAIN_CONFIG'));
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+    }
+
+    this.chainId = chainConfig.chainId;
+    // Parameters added after the chain was created fall back to the defaults
+    this.params = { ...Genesis.defaultConsensus(), ...chainConfig.consensus };
+  }
+
+  /**
+   * Make sure the stored chain index matches the latest block
+   * Blocks are applied in one batch, so a mismatch means the database holds a
+   * partially applied block (e.g. written by an older version before a crash).
+   * @param {Block} latestBlock - Latest block
+   * @throws {Error} - If a partially applied block is found
+   */
+  async checkStateConsistency(latestBlock) {
+    let indexedHash = null;
+    try {
+      indexedHash = await this.state.get(`BLOCK_HEIGHT_${latestBlock.height}`);
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+    }
+
+    let partialHeight = null;
+    if (indexedHash !== latestBlock.hash || !await this.hasBlock(latestBlock.hash)) {
+      partialHeight = latestBlock.height;
+    } else if (await this.db.exists(`BLOCK_HEIGHT_${latestBlock.height + 1}`)) {
+      partialHeight = latestBlock.height + 1;
+    }
+
+    if (partialHeight !== null) {
+      throw new Error(`Database contains a partially applied block at height ${partialHeight}; restore a backup or resync the chain`);
+    }
+  }
+
+  /**
+   * Convert stored DOU amounts to integer base units
+   * Databases written before amounts were kept in base units hold floating
+   * point DOU balances and stakes. They are converted once, in a single batch,
+   * together with the undo logs and validator snapshots that would restore
+   * them. Blocks and transactions already on disk keep their original amounts,
+   * so the height of the migration is recorded as well.
+   * @param {Block} latestBlock - Latest block
+   * @throws {Error} - If the database uses a different number of decimals
+   */
+  async migrateAmounts(latestBlock) {
+    let decimals = null;
+    try {
+      decimals = await this.db.get('AMOUNT_DECIMALS');
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+    }
+
+    if (decimals !== null) {
+      if (decimals !== Amount.DECIMALS) {
+        throw new Error(`Database amounts use ${decimals} decimals but config.currency.decimals is ${Amount.DECIMALS}`);
+      }
+      return;
+    }
+
+    const toUnits = value => Amount.fromDou(Number(value));
+    const convertValidators = data => {
+      const validators = JSON.parse(data);
+      for (const address of Object.keys(validators)) {
+        validators[address] = toUnits(validators[address]);
+      }
+      return JSON.stringify(validators);
+    };
+
+    const operations = [];
+    for (const [key, value] of Object.entries(await this.db.getAll('BALANCE_'))) {
+      operations.push({ type: 'put', key, value: toUnits(value) });
+    }
+    if (await this.db.exists('VALIDATORS')) {
+      operations.push({ type: 'put', key: 'VALIDATORS', value: convertValidators(await this.db.get('VALIDATORS')) });
+    }
+    for (const [key, value] of Object.entries(await this.db.getAll('VALIDATORS_AT_'))) {
+      operations.push({ type: 'put', key, value: convertValidators(value) });
+    }
+    for (const [key, value] of Object.entries(await this.db.getAll('UNDO_'))) {
+      const undo = JSON.parse(value).map(entry => {
+        if (!Object.prototype.hasOwnProperty.call(entry, 'value')) return entry;
+        if (entry.key.startsWith('BALANCE_')) return { key: entry.key, value: toUnits(entry.value) };
+        if (entry.key === 'VALIDATORS') return { key: entry.key, value: convertValidators(entry.value) };
+        return entry;
+      });
+      operations.push({ type: 'put', key, value: JSON.stringify(undo) });
+    }
+    for (const key of ['TOTAL_SUPPLY', 'VALIDATOR_MIN_DEPOSIT']) {
+      if (await this.db.exists(key)) {
+        operations.push({ type: 'put', key, value: toUnits(await this.db.get(key)) });
+      }
+    }
+
+    operations.push({ type: 'put', key: 'AMOUNT_DECIMALS', value: Amount.DECIMALS });
+    operations.push({ type: 'put', key: 'AMOUNT_MIGRATION_HEIGHT', value: latestBlock.height });
+    await this.db.batch(operations);
+    console.log(`Migrated stored amounts to base units of 10^-${Amount.DECIMALS} DOU at height ${latestBlock.height}`);
+  }
+
+  /**
+   * Load the validator set from the chain state
+   */
+  async loadValidators() {
+    this.validators.clear();
     try {
-      const validatorsData = await this.db.get('VALIDATORS');
+      const validatorsData = await this.state.get('VALIDATORS');
       if (validatorsData) {
         const validatorsObj = JSON.parse(validatorsData);
         for (const [address, amount] of Object.entries(validatorsObj)) {
           this.validators.set(address, amount);
         }
-        console.log(`Loaded ${this.validators.size} validators`);
       }
     } catch (err) {
       if (err.type !== 'NotFoundError') {
         throw err;
       }
     }
+
+    this.epochValidators = null;
+    try {
+      this.epochValidators = JSON.parse(await this.state.get('EPOCH_VALIDATORS'));
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+    }
+
+    this.jailed.clear();
+    const jails = await this.state.getAll('JAIL_');
+    for (const [key, releaseHeight] of Object.entries(jails)) {
+      this.jailed.set(key.substring('JAIL_'.length), releaseHeight);
+    }
+
+    this.delegations.clear();
+    const delegations = await this.state.getAll('DELEGATION_');
+    for (const [key, amount] of Object.entries(delegations)) {
+      const [validator, delegator] = key.substring('DELEGATION_'.length).split('_');
+      this.setDelegation(validator, delegator, amount);
+    }
+
+    this.commissions.clear();
+    const commissions = await this.state.getAll('COMMISSION_');
+    for (const [key, rate] of Object.entries(commissions)) {
+      this.commissions.set(key.substring('COMMISSION_'.length), rate);
+    }
+
+    this.unbonding.clear();
+    const unbonding = await this.state.getAll('UNBONDING_');
+    for (const [key, entries] of Object.entries(unbonding)) {
+      this.unbonding.set(key.substring('UNBONDING_'.length), JSON.parse(entries));
+    }
   }
 
   /**
-   * Create the genesis block - completely direct implementation to avoid recursive calls
+   * Create the genesis block and the initial state from a genesis configuration
+   * @param {Object} genesis - Validated genesis configuration
    */
-  async createGenesisBlock() {
-    console.log('Creating genesis block...');
-    // For the genesis block, we'll use a predefined validator
-    const genesisValidatorAddress = 'DouthefirstcyA';
-    
-    // Use one predefined initial address 
-    const initialAddress = 'Doue8eylmv193cyA'; // Use the address we created earlier
-    console.log(`Creating genesis block with initial address: ${initialAddress}`);
-    
-    // Create a simple genesis block without going through the normal save process
-    const timestamp = Date.now();
-    const genesisBlock = {
-      height: 0,
-      previousHash: '0'.repeat(64),
-      transactions: [{
-        type: 'MINT',
-        to: initialAddress,
-        amount: 15000, // Initial supply from config
-        timestamp: timestamp
-      }],
-      validator: genesisValidatorAddress,
-      timestamp: timestamp,
-      hash: crypto.createHash(config.crypto.hashAlgorithm)
-        .update(`GENESIS_BLOCK_${timestamp}`)
-        .digest('hex'),
-      signature: null
-    };
-    
-    // Manually save the block data directly without calling processTransaction
-    await this.db.put(`BLOCK_${genesisBlock.hash}`, JSON.stringify(genesisBlock));
-    await this.db.put(`BLOCK_HEIGHT_0`, genesisBlock.hash);
-    await this.db.put(`BLOCK_HASH_${genesisBlock.hash}`, genesisBlock.hash);
-    await this.db.put('LATEST_BLOCK', JSON.stringify(genesisBlock));
-    
-    // Set the initial balance directly
-    await this.db.put(`BALANCE_${initialAddress}`, 15000);
-    
-    // Save transaction record
-    const txHash = crypto.createHash(config.crypto.hashAlgorithm)
-      .update(`GENESIS_TX_${timestamp}`)
-      .digest('hex');
-      
-    const transaction = {
-      type: 'MINT',
-      to: initialAddress,
-      amount: 15000,
-      fee: 0,
-      timestamp: timestamp,
-      hash: txHash
-    };
-    
-    await this.db.put(`TX_${txHash}`, JSON.stringify(transaction));
-    
-    // Add to address transaction history directly
-    await this.db.put(`ADDRESS_TX_${initialAddress}`, JSON.stringify([txHash]));
-    
-    this.currentHeight = 0;
-    console.log('Genesis block created with simplified approach');
+  async createGenesisBlock(genesis) {
+    console.log(`Creating genesis block for chain ${genesis.chainId}...`);
+    const genesisBlock = Block.createGenesisBlock(genesis);
+
+    this.state.begin();
+    try {
+      for (const [key, value] of Object.entries(Genesis.getInitialState(genesis))) {
+        await this.state.put(key, value);
+      }
+      await this.state.put('AMOUNT_DECIMALS', Amount.DECIMALS);
+      for (const tx of genesisBlock.transactions) {
+        await this.state.put(`TX_${tx.hash}`, JSON.stringify(tx.toJSON()));
+        await this.addToAddressTransactions(tx.to, tx.hash);
+      }
+
+      // Branches forking from genesis are weighed against the genesis validator set
+      await this.loadValidators();
+      await this.finishBlock(genesisBlock);
+    } catch (err) {
+      await this.abortBlock();
+      throw err;
+    }
+
+    await this.commitBlock(genesisBlock);
+    console.log(`Genesis block created: ${genesisBlock.hash}`);
   }
 
   /**
    * Start the blockchain
    * @param {string} validatorAddress - Address of this node if it's a validator
    * @param {Function} signCallback - Function to sign data with validator's private key
+   * @param {string} publicKey - Validator's public key, to vote for blocks (optional)
    */
-  async start(validatorAddress, signCallback) {
-    // Set block creation interval
-    this.blockInterval = setInterval(
-      () => this.createBlock(validatorAddress, signCallback),
-      config.blockchain.blockTime
-    );
+  async start(validatorAddress, signCallback, publicKey = null) {
+    // Vote for the blocks added to the main chain
+    if (validatorAddress && publicKey) {
+      this.voter = { address: validatorAddress, publicKey, signCallback };
+    }
+
+
+    // Wake up at the start of every slot; createBlock only produces a block
+    // in the slots this validator is scheduled for
+    const scheduleNextSlot = () => {
+      const nextSlot = this.getSlot(Date.now()) + 1;
+      const delay = this.getSlotStart(nextSlot) - Date.now();
+      this.blockTimer = setTimeout(async () => {
+        try {
+          await this.createBlock(validatorAddress, signCallback);
+        } catch (err) {
+          console.error(err.message);
+        }
+        if (this.blockTimer) {
+          scheduleNextSlot();
+        }
+      }, Math.max(delay, 0));
+    };
+    scheduleNextSlot();
     
     console.log('Blockchain started');
   }
@@ -147,21 +365,74 @@ class Blockchain extends EventEmitter {
    * Stop the blockchain
    */
   stop() {
-    if (this.blockInterval) {
-      clearInterval(this.blockInterval);
-      this.blockInterval = null;
+    if (this.blockTimer) {
+      clearTimeout(this.blockTimer);
+      this.blockTimer = null;
     }
     console.log('Blockchain stopped');
   }
 
+  /**
+   * Get the slot a timestamp falls into
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {number} - Slot number
+   */
+  getSlot(timestamp) {
+    return ProposerSchedule.getSlot(timestamp, this.genesisTimestamp, this.params.blockTime);
+  }
+
+  /**
+   * Get the start time of a slot
+   * @param {number} slot - Slot number
+   * @returns {number} - Start time in milliseconds
+   */
+  getSlotStart(slot) {
+    return ProposerSchedule.getSlotStart(slot, this.genesisTimestamp, this.params.blockTime);
+  }
+
+  /**
+   * Get the validator scheduled to propose the block after a parent block in a slot
+   * @param {Block} parent - Block being extended
+   * @param {number} slot - Slot number
+   * @returns {string|null} - Proposer address, or null without validators
+   */
+  async getScheduledProposer(parent, slot) {
+    const validators = await this.getValidatorSnapshot(parent.hash);
+    return ProposerSchedule.selectProposer(validators, parent.hash, slot);
+  }
+
+  /**
+   * Get the proposers of the upcoming slots
+   * The schedule is seeded from the latest block, so it holds until the next
+   * block is added; a slot whose proposer stays silent simply passes.
+   * @param {number} count - Number of slots
+   * @returns {Array<Object>} - Slots with slot number, start time and proposer
+   */
+  async getProposerSchedule(count = 10) {
+    const latestBlock = await this.getLatestBlock();
+    const firstSlot = Math.max(this.getSlot(Date.now()), this.getSlot(latestBlock.timestamp) + 1);
+
+    const schedule = [];
+    for (let slot = firstSlot; slot < firstSlot + count; slot++) {
+      schedule.push({
+        slot,
+        startTime: this.getSlotStart(slot),
+        proposer: await this.getScheduledProposer(latestBlock, slot)
+      });
+    }
+    return schedule;
+  }
+
   /**
    * Create a new block
+   * Pending transactions are applied one by one against the current state and
+   * any that are no longer valid (e.g. a double spend) are left out.
    * @param {string} validatorAddress - Address of the validator creating the block
    * @param {Function} signCallback - Function to sign the block
    */
   async createBlock(validatorAddress, signCallback) {
-    // Check if we are a validator
-    if (!this.validators.has(validatorAddress)) {
+    // Check if we are in the validator set of this epoch
+    if (!this.getEpochValidators()[validatorAddress]) {
       // We're not a validator, don't create blocks
       return;
     }
@@ -169,54 +440,93 @@ class Blockchain extends EventEmitter {
     // Make sure we have the latest state
     await this.syncBlockchain();
 
+    await this.exclusive(() => this.produceBlock(validatorAddress, signCallback));
+  }
+
+  /**
+   * Build, sign and commit a block on the current tip if this validator is the
+   * scheduled proposer and there are pending transactions
+   * Must only run inside exclusive(), since it stages state changes.
+   * @param {string} validatorAddress - Address of the validator creating the block
+   * @param {Function} signCallback - Function to sign the block
+   */
+  async produceBlock(validatorAddress, signCallback) {
     // Get latest block
     const latestBlock = await this.getLatestBlock();
 
+    // Only the scheduled proposer of the current slot may extend the chain,
+    // once per slot and after the median time of recent blocks
+    const medianTime = await this.blockValidator.getMedianTimePast(latestBlock);
+    const timestamp = Math.max(Date.now(), medianTime + 1);
+    const slot = this.getSlot(timestamp);
+    if (slot <= this.getSlot(latestBlock.timestamp) || slot <= this.proposedSlot ||
+        await this.getScheduledProposer(latestBlock, slot) !== validatorAddress) {
+      return;
+    }
+
     // Check if we have pending transactions
-    if (this.pendingTransactions.length === 0) {
+    await this.pruneStaleTransactions();
+    if (this.mempool.size === 0) {
       console.log('No pending transactions, skipping block creation');
       return;
     }
 
-    // Process transactions and remove invalid ones
-    const validTransactions = [];
-    for (const tx of this.pendingTransactions) {
-      if (await this.isTransactionValid(tx)) {
-        validTransactions.push(tx);
-      }
-    }
+    this.state.begin();
+    let newBlock;
+    try {
+      await this.openSupplyLedger();
+      await this.releaseUnbondedStake(latestBlock.height + 1);
+      await this.processEpochBoundary(latestBlock.height + 1, timestamp);
 
-    if (validTransactions.length === 0) {
-      console.log('No valid transactions, skipping block creation');
-      return;
-    }
+      // Process the best-paying transactions that fit and leave out invalid ones
+      const candidates = this.mempool.selectTransactions(
+        this.params.maxBlockTransactions,
+        this.params.maxBlockSize
+      );
+      const validTransactions = [];
+      for (const tx of candidates) {
+        if (await this.isTransactionValid(tx)) {
+          await this.processTransaction(tx);
+          validTransactions.push(tx);
+        }
+      }
 
-    // Create new block
-    const newBlock = new Block(
-      latestBlock.height + 1,
-      latestBlock.hash,
-      validTransactions,
-      validatorAddress
-    );
+      if (validTransactions.length === 0) {
+        // Unbonding releases and the epoch boundary also changed the validator
+        // maps in memory, so they are reloaded along with the staged state
+        await this.abortBlock();
+        console.log('No valid transactions, skipping block creation');
+        return;
+      }
 
-    // Sign the block
-    await newBlock.sign(signCallback);
+      // Create new block
+      newBlock = new Block(
+        latestBlock.height + 1,
+        latestBlock.hash,
+        validTransactions,
+        validatorAddress,
+        timestamp
+      );
 
-    // Save the block
-    await this.saveBlock(newBlock);
+      // Commit to the resulting state, then sign the block
+      await this.processValidatorRewards(validatorAddress, newBlock);
+      newBlock.stateRoot = await this.computeStateRoot();
+      newBlock.hash = newBlock.calculateHash();
+      await newBlock.sign(signCallback);
+      this.proposedSlot = slot;
 
-    // Clear processed transactions
-    this.pendingTransactions = this.pendingTransactions.filter(
-      tx => !validTransactions.includes(tx)
-    );
+      await this.finishBlock(newBlock);
+    } catch (err) {
+      await this.abortBlock();
+      throw new Error('Failed to create block: ' + err.message);
+    }
 
-    // Process rewards for the validator
-    await this.processValidatorRewards(validatorAddress, newBlock);
+    await this.commitBlock(newBlock);
 
     // Emit block created event
     this.emit('blockCreated', newBlock);
     
-    console.log(`Block #${newBlock.height} created with ${validTransactions.length} transactions`);
+    console.log(`Block #${newBlock.height} created with ${newBlock.transactions.length} transactions`);
   }
 
   /**
@@ -227,25 +537,30 @@ class Blockchain extends EventEmitter {
   async processValidatorRewards(validatorAddress, block) {
     // Calculate validator rewards based on transaction fees and messaging rewards
     let totalReward = 0;
+    let fees = 0;
     
     for (const tx of block.transactions) {
       // Add transaction fee to the reward
-      totalReward += tx.fee;
+      fees += tx.fee || 0;
+      totalReward += tx.fee || 0;
       
       // For messaging transactions, validators get 150% of user rewards
       if (tx.type === 'MESSAGE') {
         // Sender rewards
         if (tx.senderReward) {
-          totalReward += tx.senderReward * 1.5;
+          totalReward += Amount.multiply(tx.senderReward, 1.5);
         }
         
         // Receiver rewards
         if (tx.receiverReward) {
-          totalReward += tx.receiverReward * 1.5;
+          totalReward += Amount.multiply(tx.receiverReward, 1.5);
         }
       }
     }
     
+    // Share the reward with the validator's delegators
+    const payouts = this.splitReward(validatorAddress, totalReward);
+    
     // Create reward transaction
     const rewardTx = new Transaction(
       'REWARD',
@@ -253,19 +568,27 @@ class Blockchain extends EventEmitter {
       validatorAddress,
       totalReward,
       0, // No fee for reward transactions
-      { blockHeight: block.height }
+      { blockHeight: block.height, payouts: Object.fromEntries(payouts) }
     );
     
+    // Use the block time so every node derives the same reward hash
+    rewardTx.timestamp = block.timestamp;
     rewardTx.hash = rewardTx.calculateHash();
     
     // Store the transaction
-    await this.db.put(`TX_${rewardTx.hash}`, JSON.stringify(rewardTx.toJSON()));
+    await this.state.put(`TX_${rewardTx.hash}`, JSON.stringify(rewardTx.toJSON()));
+    
+    // Update the balances of the validator and its delegators
+    for (const [address, amount] of payouts.entries()) {
+      const balance = await this.getAddressBalance(address);
+      await this.state.put(`BALANCE_${address}`, balance + amount);
+    }
     
-    // Update the validator's balance
-    const balance = await this.getAddressBalance(validatorAddress);
-    await this.db.put(`BALANCE_${validatorAddress}`, balance + totalReward);
+    // Fees are passed on, the messaging bonus is new supply
+    await this.addToSupply({ feesRedistributed: fees, validatorRewards: totalReward - fees });
     
-    console.log(`Validator ${validatorAddress} received ${totalReward} DOU reward`);
+    console.log(`Validator ${validatorAddress} received ${Amount.format(payouts.get(validatorAddress))} DOU reward` +
+      (payouts.size > 1 ? ` (${Amount.format(totalReward - payouts.get(validatorAddress))} DOU to ${payouts.size - 1} delegators)` : ''));
   }
 
   /**
@@ -274,7 +597,7 @@ class Blockchain extends EventEmitter {
    */
   async getLatestBlock() {
     try {
-      const latestBlockData = await this.db.get('LATEST_BLOCK');
+      const latestBlockData = await this.state.get('LATEST_BLOCK');
       return Block.fromJSON(JSON.parse(latestBlockData));
     } catch (err) {
       throw new Error('Failed to get latest block: ' + err.message);
@@ -298,7 +621,7 @@ class Blockchain extends EventEmitter {
         blockKey = `BLOCK_HASH_${heightOrHash}`;
       }
       
-      const blockHash = await this.db.get(blockKey);
+      const blockHash = await this.state.get(blockKey);
       const blockData = await this.db.get(`BLOCK_${blockHash}`);
       return Block.fromJSON(JSON.parse(blockData));
     } catch (err) {
@@ -307,232 +630,2404 @@ class Blockchain extends EventEmitter {
   }
 
   /**
-   * Save a block to the database
-   * @param {Block} block - Block to save
+   * Get the header of a block by height or hash
+   * @param {string|number} heightOrHash - Block height or hash
+   * @returns {Object} - Block header
    */
-  async saveBlock(block) {
-    try {
-      // Store the block
-      await this.db.put(`BLOCK_${block.hash}`, JSON.stringify(block.toJSON()));
-      
-      // Store reference by height
-      await this.db.put(`BLOCK_HEIGHT_${block.height}`, block.hash);
-      
-      // Store reference by hash
-      await this.db.put(`BLOCK_HASH_${block.hash}`, block.hash);
-      
-      // Update latest block reference
-      await this.db.put('LATEST_BLOCK', JSON.stringify(block.toJSON()));
-      
-      // Process transactions in the block (skip for genesis block)
-      if (block.height > 0) {
-        for (const tx of block.transactions) {
-          await this.processTransaction(tx);
-        }
-      } else {
-        // For genesis block, just process balance updates directly
-        for (const tx of block.transactions) {
-          if (tx.type === 'MINT' && tx.to) {
-            await this.db.put(`BALANCE_${tx.to}`, tx.amount || 0);
-          }
-        }
-      }
-      
-      // Update current height
-      this.currentHeight = block.height;
-    } catch (err) {
-      throw new Error('Failed to save block: ' + err.message);
-    }
+  async getBlockHeader(heightOrHash) {
+    const block = await this.getBlock(heightOrHash);
+    return block.getHeader();
   }
 
   /**
-   * Add a transaction to the pending transactions
-   * @param {Transaction} transaction - Transaction to add
+   * Get a Merkle inclusion proof for a confirmed transaction
+   * @param {string} txHash - Transaction hash
+   * @returns {Object} - Proof with the containing block header
    */
-  addTransaction(transaction) {
-    // Verify the transaction
-    if (!transaction.verifyHash()) {
-      throw new Error('Invalid transaction hash');
+  async getTransactionProof(txHash) {
+    let blockHash;
+    try {
+      blockHash = await this.state.get(`TX_BLOCK_${txHash}`);
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        throw new Error(`Transaction not in any block: ${txHash}`);
+      }
+      throw err;
     }
     
-    // Add to pending transactions
-    this.pendingTransactions.push(transaction);
-    
-    // Emit transaction added event
-    this.emit('transactionAdded', transaction);
+    const block = await this.getBlock(blockHash);
+    const hashes = block.transactions.map(tx => tx.hash);
+    const index = hashes.indexOf(txHash);
+    if (index === -1) {
+      throw new Error(`Transaction ${txHash} missing from block ${blockHash}`);
+    }
     
-    return transaction.hash;
+    return {
+      txHash,
+      index,
+      proof: MerkleTree.getProof(hashes, index),
+      header: block.getHeader()
+    };
   }
 
   /**
-   * Check if a transaction is valid
-   * @param {Transaction} transaction - Transaction to check
-   * @returns {boolean} - Whether the transaction is valid
+   * Verify a transaction inclusion proof from getTransactionProof
+   * Only the block header is needed, so light clients can check inclusion
+   * without downloading the full block.
+   * @param {Object} txProof - Transaction proof
+   * @returns {boolean} - Whether the transaction is included in the block
    */
-  async isTransactionValid(transaction) {
-    // Verify transaction hash
-    if (!transaction.verifyHash()) {
+  static verifyTransactionProof(txProof) {
+    if (!txProof || !Block.verifyHeader(txProof.header)) {
       return false;
     }
-    
-    // Skip further checks for certain transaction types
-    if (['MINT', 'REWARD'].includes(transaction.type)) {
-      return true;
-    }
-    
-    // For normal transactions, verify sender has enough balance
-    if (transaction.type === 'TRANSFER') {
-      const senderBalance = await this.getAddressBalance(transaction.from);
-      return senderBalance >= (transaction.amount + transaction.fee);
-    }
-    
-    // For validator registration
-    if (transaction.type === 'VALIDATOR_REGISTER') {
-      const senderBalance = await this.getAddressBalance(transaction.from);
-      return senderBalance >= (transaction.amount + transaction.fee) && 
-             transaction.amount >= this.validatorMinDeposit;
-    }
-    
-    // For validator withdrawal
-    if (transaction.type === 'VALIDATOR_WITHDRAW') {
-      return this.validators.has(transaction.from);
+    return MerkleTree.verifyProof(txProof.txHash, txProof.proof, txProof.header.merkleRoot);
+  }
+
+  /**
+   * Get the account state committed to by the state root
+   * @returns {Object} - State key -> value
+   */
+  async getCommittedState() {
+    const entries = {};
+    for (const prefix of STATE_PREFIXES) {
+      Object.assign(entries, await this.state.getAll(prefix));
     }
-    
-    // For message transactions
-    if (transaction.type === 'MESSAGE') {
-      // Check if sender has enough balance for fees if applicable
-      if (transaction.fee > 0) {
-        const senderBalance = await this.getAddressBalance(transaction.from);
-        return senderBalance >= transaction.fee;
+    for (const key of STATE_KEYS) {
+      try {
+        entries[key] = await this.state.get(key);
+      } catch (err) {
+        if (err.type !== 'NotFoundError') {
+          throw err;
+        }
       }
-      return true;
     }
-    
-    // For whitelist transactions
-    if (transaction.type === 'WHITELIST') {
-      return true; // No balance requirements for whitelisting
+    return entries;
+  }
+
+  /**
+   * Compute the root of the current account state
+   * @returns {string} - State root
+   */
+  async computeStateRoot() {
+    return SparseMerkleTree.computeRoot(await this.getCommittedState());
+  }
+
+  /**
+   * Get a proof of an account's balance and nonce against the latest block
+   * Absent values are proven as null, i.e. a zero balance or nonce.
+   * @param {string} address - Address
+   * @returns {Object} - Proofs with the latest block header
+   * @throws {Error} - If the local state no longer matches the latest block
+   */
+  async getAccountProof(address) {
+    const latestBlock = await this.getLatestBlock();
+    const entries = await this.getCommittedState();
+
+    if (SparseMerkleTree.computeRoot(entries) !== latestBlock.stateRoot) {
+      throw new Error(`Local state does not match the state root of block #${latestBlock.height}`);
     }
-    
-    return false;
+
+    const proofs = [`BALANCE_${address}`, `NONCE_${address}`].map(key => ({
+      key,
+      value: Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : null,
+      siblings: SparseMerkleTree.getProof(entries, key)
+    }));
+
+    return {
+      address,
+      balance: proofs[0].value === null ? 0 : proofs[0].value,
+      nonce: proofs[1].value === null ? 0 : parseInt(proofs[1].value, 10),
+      proofs,
+      header: latestBlock.getHeader()
+    };
   }
 
   /**
-   * Process a confirmed transaction
-   * @param {Transaction} transaction - Transaction to process
+   * Verify an account proof from getAccountProof
+   * Only the block header is needed, so light clients can check balances
+   * without holding the state.
+   * @param {Object} accountProof - Account proof
+   * @returns {boolean} - Whether every value is committed to by the header's state root
    */
-  async processTransaction(transaction) {
-    // Store the transaction
-    await this.db.put(`TX_${transaction.hash}`, JSON.stringify(transaction.toJSON()));
+  static verifyAccountProof(accountProof) {
+    if (!accountProof || !Block.verifyHeader(accountProof.header) || !Array.isArray(accountProof.proofs)) {
+      return false;
+    }
+
+    const [balanceProof, nonceProof] = accountProof.proofs;
+    if (!balanceProof || balanceProof.key !== `BALANCE_${accountProof.address}` ||
+        !nonceProof || nonceProof.key !== `NONCE_${accountProof.address}`) {
+      return false;
+    }
+
+    return accountProof.proofs.every(proof => (
+      SparseMerkleTree.verifyProof(proof.key, proof.value, proof.siblings, accountProof.header.stateRoot)
+    ));
+  }
+
+  /**
+   * Check whether a block is stored, on the main chain or a side branch
+   * @param {string} hash - Block hash
+   * @returns {boolean} - Whether the block is known
+   */
+  async hasBlock(hash) {
+    return await this.db.exists(`BLOCK_${hash}`);
+  }
+
+  /**
+   * Store a block body without applying it to the state
+   * @param {Block} block - Block to store
+   */
+  async storeBlock(block) {
+    await this.db.batch(this.storeBlockOperations(block));
+  }
+
+  /**
+   * Get the batch operations that store a block body
+   * @param {Block} block - Block to store
+   * @returns {Array} - Batch operations
+   */
+  storeBlockOperations(block) {
+    return [
+      { type: 'put', key: `BLOCK_${block.hash}`, value: JSON.stringify(block.toJSON()) },
+      { type: 'put', key: `BLOCK_HASH_${block.hash}`, value: block.hash }
+    ];
+  }
+
+  /**
+   * Save a block to the database and apply it on top of the current chain
+   * @param {Block} block - Block to save
+   */
+  async saveBlock(block) {
+    try {
+      await this.exclusive(() => this.applyBlock(block));
+    } catch (err) {
+      throw new Error('Failed to save block: ' + err.message);
+    }
+  }
+
+  /**
+   * Accept a block received from the network
+   * The block is applied if it extends the main chain, kept as a side branch
+   * otherwise, and the chain is reorganized when that branch becomes heavier.
+   * @param {Block} block - Block to accept
+   * @returns {Object} - Result with status: known, orphan, invalid, extended, side or reorganized;
+   *   an invalid block also has reasons ({ code, message }) and a summary in reason
+   * @throws {Error} - If the block could not be processed for a reason other than its validity
+   */
+  async acceptBlock(block) {
+    return this.exclusive(() => this.processBlock(block));
+  }
+
+  /**
+   * Validate a received block and add it to the chain
+   * Must only run inside exclusive(), since it stages state changes.
+   * @param {Block} block - Block to accept
+   * @returns {Object} - Result as described for acceptBlock
+   */
+  async processBlock(block) {
+    if (await this.hasBlock(block.hash)) {
+      return { status: 'known' };
+    }
+
+    if (await this.db.exists(`INVALID_BLOCK_${block.hash}`)) {
+      return BlockValidator.rejection([BlockValidator.reason('PREVIOUSLY_REJECTED', 'Block was previously rejected')]);
+    }
+
+    let reasons = this.blockValidator.checkStructure(block);
+    if (reasons.length === 0) {
+      if (!await this.hasBlock(block.previousHash)) {
+        return { status: 'orphan' };
+      }
+      const parent = await this.getBlock(block.previousHash);
+      reasons = await this.blockValidator.checkContext(block, parent);
+    }
+    if (reasons.length > 0) {
+      if (BlockValidator.isFinal(reasons)) {
+        await this.rejectBlock(block);
+      }
+      return BlockValidator.rejection(reasons);
+    }
+
+    const latestBlock = await this.getLatestBlock();
+
+    // Extends the main chain
+    if (block.previousHash === latestBlock.hash) {
+      try {
+        await this.applyBlock(block);
+      } catch (err) {
+        // Only a block that failed validation is remembered as invalid;
+        // any other error leaves it free to be received again
+        if (!err.reasons) {
+          throw err;
+        }
+        if (BlockValidator.isFinal(err.reasons)) {
+          await this.rejectBlock(block);
+        }
+        return BlockValidator.rejection(err.reasons);
+      }
+      return { status: 'extended' };
+    }
+
+    // Competing branch: keep it and switch only if it wins the fork choice
+    // and keeps the latest justified block
+    await this.storeBlock(block);
+    await this.countPendingVotes(block);
+    if (await this.isOnMainChain(block)) {
+      // Votes that arrived before the block justified it, so the chain switched to its branch
+      return { status: 'reorganized' };
+    }
+    if (await this.compareBranches(block, latestBlock) <= 0 || !await this.descendsFrom(block, this.justified)) {
+      console.log(`Stored block #${block.height} on a side branch`);
+      return { status: 'side' };
+    }
+
+    try {
+      const result = await this.reorganize(block);
+      return { status: 'reorganized', ...result };
+    } catch (err) {
+      if (!err.reasons) {
+        throw err;
+      }
+      return BlockValidator.rejection(err.reasons);
+    }
+  }
+
+  /**
+   * Run a block operation once all earlier ones have finished
+   * Creating and applying blocks stage state changes, and only one block can be
+   * staged at a time, so every path that stages a block goes through this queue.
+   * @param {Function} operation - Async function to run
+   * @returns {Promise<*>} - Result of the operation
+   */
+  exclusive(operation) {
+    const result = this.blockQueue.then(() => operation());
+    this.blockQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Remember a block as invalid so it is not stored or applied again
+   * @param {Block} block - Invalid block
+   */
+  async rejectBlock(block) {
+    await this.db.batch([
+      { type: 'put', key: `INVALID_BLOCK_${block.hash}`, value: 'true' },
+      { type: 'del', key: `BLOCK_${block.hash}` },
+      { type: 'del', key: `BLOCK_HASH_${block.hash}` }
+    ]);
+  }
+
+  /**
+   * Apply a block on top of the current chain tip
+   * Every transaction must be valid against the state left by the previous one.
+   * All state changes are staged and written together with the block in one
+   * atomic batch, so a crash never leaves a block half applied.
+   * @param {Block} block - Block to apply
+   * @throws {Error} - If a transaction is invalid; the state is left unchanged
+   */
+  async applyBlock(block) {
+    this.state.begin();
+    try {
+      await this.openSupplyLedger();
+      await this.releaseUnbondedStake(block.height);
+      await this.processEpochBoundary(block.height, block.timestamp);
+
+      for (const txData of block.transactions) {
+        const tx = txData instanceof Transaction ? txData : Transaction.fromJSON(txData);
+        if (await this.state.exists(`TX_BLOCK_${tx.hash}`)) {
+          throw BlockValidator.error([BlockValidator.reason(
+            'DUPLICATE_TRANSACTION', `Transaction ${tx.hash} in block #${block.height} is already on chain`, { txHash: tx.hash }
+          )]);
+        }
+        if (!await this.isTransactionValid(tx)) {
+          throw BlockValidator.error([BlockValidator.reason(
+            'INVALID_TRANSACTION', `Invalid transaction ${tx.hash} in block #${block.height}`, { txHash: tx.hash }
+          )]);
+        }
+        await this.processTransaction(tx);
+      }
+
+      await this.processValidatorRewards(block.validator, block);
+
+      // Detect state divergence before anything is written
+      const stateRoot = await this.computeStateRoot();
+      if (stateRoot !== block.stateRoot) {
+        throw BlockValidator.error([BlockValidator.reason(
+          'STATE_ROOT_MISMATCH', `State root mismatch in block #${block.height}: block has ${block.stateRoot}, computed ${stateRoot}`
+        )]);
+      }
+
+      await this.finishBlock(block);
+    } catch (err) {
+      await this.abortBlock();
+      throw err;
+    }
+
+    await this.commitBlock(block);
+  }
+
+  /**
+   * Write the chain index of a block being applied
+   * @param {Block} block - Block being applied
+   */
+  async finishBlock(block) {
+    // Store reference by height
+    await this.state.put(`BLOCK_HEIGHT_${block.height}`, block.hash);
+    
+    // Index the containing block of each transaction for inclusion proofs
+    for (const tx of block.transactions) {
+      await this.state.put(`TX_BLOCK_${tx.hash}`, block.hash);
+    }
+    
+    // Update latest block reference
+    await this.state.put('LATEST_BLOCK', JSON.stringify(block.toJSON()));
+  }
+
+  /**
+   * Commit the staged state changes of an applied block in one batch
+   * The batch also stores the block body, its undo log and the validator snapshot.
+   * @param {Block} block - Applied block
+   */
+  async commitBlock(block) {
+    const { operations, undo } = this.state.end();
+    try {
+      await this.db.batch([
+        ...this.storeBlockOperations(block),
+        ...operations,
+        { type: 'put', key: `UNDO_${block.hash}`, value: JSON.stringify(undo) },
+        { type: 'put', key: `VALIDATORS_AT_${block.hash}`, value: JSON.stringify(this.getActiveValidatorsObject(block.height + 1)) }
+      ]);
+    } catch (err) {
+      // Nothing was written, so drop the in-memory validator changes too
+      await this.loadValidators();
+      throw err;
+    }
+
+    // Transactions confirmed in this block are no longer pending
+    for (const tx of block.transactions) {
+      this.mempool.remove(tx.hash);
+    }
+    await this.pruneStaleTransactions();
+
+    this.currentHeight = block.height;
+
+    // Vote for the new tip and count votes that arrived before the block
+    try {
+      await this.castVote(block);
+      await this.countPendingVotes(block);
+    } catch (err) {
+      console.error(`Failed to process finality votes for block #${block.height}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Drop the staged state changes of a block that failed to apply or was abandoned
+   * The validator maps are reloaded, since staging a block also changes them in memory.
+   */
+  async abortBlock() {
+    this.state.discard();
+    await this.loadValidators();
+  }
+
+  /**
+   * Undo the state changes of the current chain tip in one batch
+   * @param {Block} block - Current chain tip
+   */
+  async rollbackBlock(block) {
+    const undo = JSON.parse(await this.db.get(`UNDO_${block.hash}`));
+    await this.db.batch([
+      ...StateStore.undoOperations(undo),
+      { type: 'del', key: `UNDO_${block.hash}` }
+    ]);
+    await this.loadValidators();
+    this.currentHeight = block.height - 1;
+  }
+
+  /**
+   * Switch the main chain to the branch ending at a new tip
+   * Orphaned blocks are rolled back and their transactions return to the
+   * pending pool. If the new branch fails to apply, the old chain is restored.
+   * @param {Block} newTip - Tip of the winning branch
+   * @returns {Object} - Fork point and the orphaned and adopted block hashes
+   */
+  async reorganize(newTip) {
+    const latestBlock = await this.getLatestBlock();
+    const { ancestor, oldBranch, newBranch } = await this.findForkPoint(latestBlock, newTip);
+
+    console.log(`Reorganizing chain at #${ancestor.height}: ${oldBranch.length} blocks out, ${newBranch.length} blocks in`);
+
+    // Roll back the current branch, tip first
+    for (const block of oldBranch.slice().reverse()) {
+      await this.rollbackBlock(block);
+    }
+
+    // Apply the new branch, restoring the old one if any block is invalid
+    const applied = [];
+    try {
+      for (const block of newBranch) {
+        // Now that the parent is applied, its validator set is known
+        const reasons = await this.blockValidator.checkProposer(block, await this.getBlock(block.previousHash));
+        if (reasons.length > 0) {
+          throw BlockValidator.error(reasons);
+        }
+        await this.applyBlock(block);
+        applied.push(block);
+      }
+    } catch (err) {
+      console.error(`Reorganization failed, restoring previous chain: ${err.message}`);
+      for (const block of applied.reverse()) {
+        await this.rollbackBlock(block);
+      }
+      for (const block of oldBranch) {
+        await this.applyBlock(block);
+      }
+      if (err.reasons && BlockValidator.isFinal(err.reasons)) {
+        for (const block of newBranch.slice(applied.length)) {
+          await this.rejectBlock(block);
+        }
+      }
+      throw err;
+    }
+
+    // Return orphaned transactions to the pending pool
+    const adopted = new Set();
+    for (const block of newBranch) {
+      for (const tx of block.transactions) {
+        adopted.add(tx.hash);
+      }
+    }
+    for (const block of oldBranch) {
+      for (const txData of block.transactions) {
+        if (PROTOCOL_TRANSACTIONS.includes(txData.type) || adopted.has(txData.hash)) {
+          continue;
+        }
+        try {
+          await this.addTransaction(txData instanceof Transaction ? txData : Transaction.fromJSON(txData));
+        } catch (err) {
+          // Already pending or made invalid by the new branch
+        }
+      }
+    }
+
+    const result = {
+      forkHeight: ancestor.height,
+      orphaned: oldBranch.map(block => block.hash),
+      adopted: newBranch.map(block => block.hash)
+    };
+    this.emit('reorganized', result);
+    return result;
+  }
+
+  /**
+   * Find the common ancestor of two chain tips
+   * @param {Block} tipA - First tip
+   * @param {Block} tipB - Second tip
+   * @returns {Object} - Ancestor block and both branches above it in ascending order
+   */
+  async findForkPoint(tipA, tipB) {
+    const oldBranch = [];
+    const newBranch = [];
+    let a = tipA;
+    let b = tipB;
+
+    while (a.hash !== b.hash) {
+      if (a.height >= b.height) {
+        oldBranch.unshift(a);
+        a = await this.getBlock(a.previousHash);
+      } else {
+        newBranch.unshift(b);
+        b = await this.getBlock(b.previousHash);
+      }
+    }
+
+    return { ancestor: a, oldBranch, newBranch };
+  }
+
+  /**
+   * Load the latest finalized checkpoint and justified block
+   * A chain without finalized blocks is final up to its genesis block.
+   * @param {Block} genesisBlock - Genesis block
+   */
+  async loadFinalizedCheckpoint(genesisBlock) {
+    this.finalized = await this.getStoredCheckpoint() || { height: 0, hash: genesisBlock.hash };
+    try {
+      this.justified = JSON.parse(await this.db.get('JUSTIFIED_CHECKPOINT'));
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+      this.justified = { ...this.finalized };
+    }
+  }
+
+  /**
+   * Get the finalized checkpoint stored in the database
+   * @returns {Object|null} - Height and hash of the checkpoint, or null if no block was voted final
+   */
+  async getStoredCheckpoint() {
+    try {
+      return JSON.parse(await this.db.get('FINALIZED_CHECKPOINT'));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Get the height of the latest finalized checkpoint
+   * Blocks at or below this height are never reverted.
+   * @returns {number} - Finalized height
+   */
+  getFinalizedHeight() {
+    return this.finalized.height;
+  }
+
+  /**
+   * Get the latest finalized checkpoint
+   * @returns {Object} - Height and hash of the checkpoint
+   */
+  getFinalizedCheckpoint() {
+    return { ...this.finalized };
+  }
+
+  /**
+   * Sign and record this node's vote for a block on the main chain
+   * The vote links from the latest justified block. Votes go out in increasing
+   * height order and their source never moves back, so a validator never
+   * casts two votes for one height nor a vote surrounding an earlier one.
+   * @param {Block} block - Block just added to the main chain
+   * @returns {Object|null} - Vote to broadcast, or null if none was cast
+   */
+  async castVote(block) {
+    if (!this.voter) {
+      return null;
+    }
+
+    const stakes = await this.getValidatorSnapshot(block.previousHash);
+    if (!stakes[this.voter.address]) {
+      return null;
+    }
+
+    const source = this.justified;
+    const key = `LAST_VOTE_${this.voter.address}`;
+    const lastVote = await this.getLastVote(key);
+    if (block.height <= source.height || block.height <= lastVote.height || source.height < lastVote.sourceHeight) {
+      return null;
+    }
+
+    const vote = await Finality.createVote(source, block, this.voter.address, this.voter.publicKey, this.voter.signCallback);
+    await this.db.put(key, JSON.stringify({ height: block.height, sourceHeight: source.height }));
+    await this.recordVote(vote);
+    this.emit('voteCast', vote);
+    return vote;
+  }
+
+  /**
+   * Get the heights of this node's last vote
+   * @param {string} key - Database key of the validator's last vote
+   * @returns {Object} - Target height and source height, -1 and 0 before the first vote
+   */
+  async getLastVote(key) {
+    let lastVote;
+    try {
+      lastVote = await this.db.get(key);
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+      return { height: -1, sourceHeight: 0 };
+    }
+    // Votes cast before votes had a source recorded only their height
+    return typeof lastVote === 'number' ? { height: lastVote, sourceHeight: 0 } : JSON.parse(lastVote);
+  }
+
+  /**
+   * Add a finality vote received from a validator
+   * Votes for blocks not seen yet are held in memory, for at most
+   * MAX_PENDING_VOTE_BLOCKS blocks, and counted when the block arrives.
+   * @param {Object} vote - Signed vote
+   * @returns {Object} - Result with status: stale, ignored, conflicting, known, pending, added or finalized;
+   *   a conflicting vote is not counted and its result also holds the slashing evidence
+   * @throws {Error} - If the vote is not signed by its validator
+   */
+  async addVote(vote) {
+    Finality.verify(vote);
+    return this.exclusive(() => this.recordVote(vote));
+  }
+
+  /**
+   * Record a verified vote and justify its block once it has a quorum
+   * Must only run inside exclusive(), since justifying a side branch block
+   * reorganizes the chain.
+   * @param {Object} vote - Verified vote
+   * @returns {Object} - Result as described for addVote
+   */
+  async recordVote(vote) {
+    const { blockHash, height, validator } = vote;
+    if (height <= this.finalized.height) {
+      return { status: 'stale' };
+    }
+
+    // Only validators of the current epoch fill the vote store
+    if (!this.getEpochValidators()[validator]) {
+      return { status: 'ignored' };
+    }
+
+    const conflicting = await this.findConflictingVote(vote);
+    if (conflicting) {
+      console.log(`Validator ${validator} cast conflicting finality votes at heights ${conflicting.height} and ${height}`);
+      return { status: 'conflicting', evidence: Finality.createEvidence(conflicting, vote) };
+    }
+
+    const key = `VOTE_${blockHash}_${validator}`;
+    if (await this.db.exists(key)) {
+      return { status: 'known' };
+    }
+
+    if (!await this.hasBlock(blockHash)) {
+      return this.holdVote(vote);
+    }
+
+    await this.db.put(key, JSON.stringify(vote));
+    const finalized = await this.updateFinality(await this.getBlock(blockHash));
+    return { status: finalized ? 'finalized' : 'added' };
+  }
+
+  /**
+   * Find a stored or held vote of the same validator that conflicts with a vote
+   * @param {Object} vote - Verified vote
+   * @returns {Object|null} - Conflicting vote, or null
+   */
+  async findConflictingVote(vote) {
+    const stored = Object.values(await this.db.getAll('VOTE_')).map(other => JSON.parse(other));
+    const held = [...this.pendingVotes.values()].map(votes => votes.get(vote.validator)).filter(Boolean);
+    return [...stored, ...held].find(other => (
+      other.validator === vote.validator && Number.isInteger(other.sourceHeight) && Finality.conflicts(other, vote)
+    )) || null;
+  }
+
+  /**
+   * Hold a vote for a block not received yet
+   * When votes are already held for MAX_PENDING_VOTE_BLOCKS blocks, those of
+   * the block first voted for are dropped to make room.
+   * @param {Object} vote - Verified vote
+   * @returns {Object} - Result with status pending, or known if the vote is already held
+   */
+  holdVote(vote) {
+    let votes = this.pendingVotes.get(vote.blockHash);
+    if (!votes) {
+      if (this.pendingVotes.size >= MAX_PENDING_VOTE_BLOCKS) {
+        this.pendingVotes.delete(this.pendingVotes.keys().next().value);
+      }
+      votes = new Map();
+      this.pendingVotes.set(vote.blockHash, votes);
+    }
+    if (votes.has(vote.validator)) {
+      return { status: 'known' };
+    }
+    votes.set(vote.validator, vote);
+    return { status: 'pending' };
+  }
+
+  /**
+   * Store the votes held for a block that has just been stored and count them
+   * @param {Block} block - Block now stored
+   * @returns {boolean} - Whether the finalized checkpoint moved
+   */
+  async countPendingVotes(block) {
+    const votes = this.pendingVotes.get(block.hash);
+    if (votes) {
+      this.pendingVotes.delete(block.hash);
+      await this.db.batch([...votes.values()].map(vote => (
+        { type: 'put', key: `VOTE_${vote.blockHash}_${vote.validator}`, value: JSON.stringify(vote) }
+      )));
+    }
+    return await this.updateFinality(block);
+  }
+
+  /**
+   * Justify a block once its votes from one justified source carry more than 2/3 of the stake
+   * The stake is that of the validator set that could propose the block, and
+   * only votes whose source is an ancestor of the block count.
+   * @param {Block} block - Block to check
+   * @returns {boolean} - Whether the finalized checkpoint moved
+   */
+  async updateFinality(block) {
+    if (block.height <= this.finalized.height || await this.isJustified(block.hash)) {
+      return false;
+    }
+
+    const stakes = await this.getValidatorSnapshot(block.previousHash);
+    const totalStake = Object.values(stakes).reduce((total, stake) => total + stake, 0);
+    const votedStakes = new Map(); // source hash -> stake voting from it
+    for (const vote of Object.values(await this.db.getAll(`VOTE_${block.hash}_`)).map(vote => JSON.parse(vote))) {
+      if (vote.height === block.height && Number.isInteger(vote.sourceHeight)) {
+        votedStakes.set(vote.sourceHash, (votedStakes.get(vote.sourceHash) || 0) + (stakes[vote.validator] || 0));
+      }
+    }
+
+    for (const [sourceHash, votedStake] of votedStakes) {
+      if (!Finality.hasQuorum(votedStake, totalStake) || !await this.isJustified(sourceHash)) {
+        continue;
+      }
+      const source = await this.getBlock(sourceHash);
+      if (await this.isAncestor(source, block)) {
+        return await this.justifyBlock(block, source);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a block is justified
+   * @param {string} hash - Block hash
+   * @returns {boolean} - Whether the block is the finalized checkpoint or was justified by votes
+   */
+  async isJustified(hash) {
+    return hash === this.finalized.hash || hash === this.justified.hash || await this.db.exists(`JUSTIFIED_${hash}`);
+  }
+
+  /**
+   * Record a block as justified by votes from a source
+   * The chain follows the latest justified block, switching to its branch if
+   * needed. A block justified from its parent finalizes the parent.
+   * @param {Block} block - Block with a quorum of votes
+   * @param {Block} source - Justified ancestor the votes link from
+   * @returns {boolean} - Whether the finalized checkpoint moved
+   */
+  async justifyBlock(block, source) {
+    await this.db.put(`JUSTIFIED_${block.hash}`, block.height);
+    console.log(`Block #${block.height} justified`);
+
+    if (block.height > this.justified.height && await this.descendsFromFinalized(block)) {
+      // Set first, so no vote cast while switching links from the old branch
+      const previous = this.justified;
+      this.justified = { height: block.height, hash: block.hash };
+      try {
+        if (!await this.isOnMainChain(block)) {
+          await this.reorganize(block);
+        }
+      } catch (err) {
+        this.justified = previous;
+        throw err;
+      }
+      await this.db.put('JUSTIFIED_CHECKPOINT', JSON.stringify(this.justified));
+    }
+
+    let finalized = false;
+    if (block.previousHash === source.hash && await this.isOnMainChain(block)) {
+      finalized = await this.finalizeBlock(source);
+    }
+
+    // Votes that linked from the block before it was justified count now
+    const targets = new Set(Object.values(await this.db.getAll('VOTE_'))
+      .map(vote => JSON.parse(vote))
+      .filter(vote => vote.sourceHash === block.hash)
+      .map(vote => vote.blockHash));
+    for (const target of targets) {
+      finalized = await this.updateFinality(await this.getBlock(target)) || finalized;
+    }
+    return finalized;
+  }
+
+  /**
+   * Make a block the finalized checkpoint
+   * If the block is on a side branch, the chain switches to it.
+   * @param {Block} block - Justified block whose child was justified from it
+   * @returns {boolean} - Whether the checkpoint moved
+   */
+  async finalizeBlock(block) {
+    if (block.height <= this.finalized.height) {
+      return false;
+    }
+    if (!await this.descendsFromFinalized(block)) {
+      console.error(`Block #${block.height} (${block.hash}) was voted final but conflicts with the checkpoint at #${this.finalized.height}`);
+      return false;
+    }
+
+    if (!await this.isOnMainChain(block)) {
+      await this.reorganize(block);
+    }
+
+    this.finalized = { height: block.height, hash: block.hash };
+    await this.db.put('FINALIZED_CHECKPOINT', JSON.stringify(this.finalized));
+    await this.pruneVotes();
+    this.emit('finalized', this.getFinalizedCheckpoint());
+
+    console.log(`Block #${block.height} finalized`);
+    return true;
+  }
+
+  /**
+   * Drop stored and held votes at or below the finalized height, and older justified blocks
+   * Those heights can no longer change, so their votes are never counted again.
+   */
+  async pruneVotes() {
+    for (const [hash, votes] of this.pendingVotes) {
+      if ([...votes.values()].some(vote => vote.height <= this.finalized.height)) {
+        this.pendingVotes.delete(hash);
+      }
+    }
+
+    const stale = [
+      ...Object.entries(await this.db.getAll('VOTE_'))
+        .filter(([, vote]) => JSON.parse(vote).height <= this.finalized.height),
+      ...Object.entries(await this.db.getAll('JUSTIFIED_'))
+        .filter(([key, height]) => key !== 'JUSTIFIED_CHECKPOINT' && height < this.finalized.height)
+    ].map(([key]) => ({ type: 'del', key }));
+    if (stale.length > 0) {
+      await this.db.batch(stale);
+    }
+  }
+
+  /**
+   * Check whether a block is on the main chain
+   * @param {Block} block - Block
+   * @returns {boolean} - Whether the main chain holds the block at its height
+   */
+  async isOnMainChain(block) {
+    try {
+      return await this.state.get(`BLOCK_HEIGHT_${block.height}`) === block.hash;
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Check whether a block is the finalized checkpoint or one of its descendants
+   * The main chain always holds the checkpoint, so the walk back stops at
+   * the first main chain block.
+   * @param {Block} block - Block
+   * @returns {boolean} - Whether a chain ending at the block keeps the checkpoint
+   */
+  async descendsFromFinalized(block) {
+    return this.descendsFrom(block, this.finalized);
+  }
+
+  /**
+   * Check whether a block is a checkpoint on the main chain or one of its descendants
+   * The walk back stops at the first main chain block, so the checkpoint
+   * must be on the main chain.
+   * @param {Block} block - Block
+   * @param {Object} checkpoint - Height and hash of the checkpoint
+   * @returns {boolean} - Whether a chain ending at the block keeps the checkpoint
+   */
+  async descendsFrom(block, checkpoint) {
+    let current = block;
+    while (current.height > checkpoint.height) {
+      if (await this.isOnMainChain(current)) {
+        return true;
+      }
+      current = await this.getBlock(current.previousHash);
+    }
+    return current.hash === checkpoint.hash;
+  }
+
+  /**
+   * Check whether a block is an ancestor of another, on any branch
+   * @param {Block} ancestor - Possible ancestor
+   * @param {Block} block - Block
+   * @returns {boolean} - Whether the chain ending at the block holds the ancestor
+   */
+  async isAncestor(ancestor, block) {
+    let current = block;
+    while (current.height > ancestor.height) {
+      current = await this.getBlock(current.previousHash);
+    }
+    return current.hash === ancestor.hash;
+  }
+
+  /**
+   * Get the inclusion and finality status of a transaction
+   * @param {string} hash - Transaction hash
+   * @returns {Object} - Status (pending, confirmed, finalized or unknown), block and finalized height
+   */
+  async getTransactionFinality(hash) {
+    const checkpoint = await this.getStoredCheckpoint();
+    const finalizedHeight = checkpoint ? checkpoint.height : 0;
+    let blockHash;
+    try {
+      blockHash = await this.state.get(`TX_BLOCK_${hash}`);
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+      return { status: this.mempool.has(hash) ? 'pending' : 'unknown', finalizedHeight };
+    }
+
+    const block = await this.getBlock(blockHash);
+    return {
+      status: block.height <= finalizedHeight ? 'finalized' : 'confirmed',
+      blockHeight: block.height,
+      blockHash,
+      finalizedHeight
+    };
+  }
+
+  /**
+   * Compare two branch tips using the fork-choice rule
+   * Each block on a branch weighs the stake its validator held at the fork
+   * point. The heavier branch wins, then the higher one, then the lower tip hash.
+   * Branches that drop the finalized checkpoint never get here: their blocks
+   * are rejected by BlockValidator.checkContext.
+   * @param {Block} tipA - First tip
+   * @param {Block} tipB - Second tip
+   * @returns {number} - Positive if tipA wins, negative if tipB wins
+   */
+  async compareBranches(tipA, tipB) {
+    const { ancestor, oldBranch, newBranch } = await this.findForkPoint(tipA, tipB);
+    const stakes = await this.getValidatorSnapshot(ancestor.hash);
+
+    const weigh = branch => branch.reduce((total, block) => total + (stakes[block.validator] || 0), 0);
+    const weightA = weigh(oldBranch);
+    const weightB = weigh(newBranch);
+
+    if (weightA !== weightB) {
+      return weightA - weightB;
+    }
+    if (tipA.height !== tipB.height) {
+      return tipA.height - tipB.height;
+    }
+    return tipA.hash < tipB.hash ? 1 : -1;
+  }
+
+  /**
+   * Record the active validator stakes after a block
+   * The snapshot is the set that may propose the next block and weighs
+   * branches forking from the block.
+   * @param {string} blockHash - Block hash
+   */
+  async saveValidatorSnapshot(blockHash) {
+    await this.db.put(`VALIDATORS_AT_${blockHash}`, JSON.stringify(this.getActiveValidatorsObject(this.currentHeight + 1)));
+  }
+
+  /**
+   * Check whether the active validator stakes after a block are recorded
+   * They are for every block that was applied to the main chain at some point.
+   * @param {string} blockHash - Block hash
+   * @returns {boolean} - Whether a snapshot exists
+   */
+  async hasValidatorSnapshot(blockHash) {
+    return await this.db.exists(`VALIDATORS_AT_${blockHash}`);
+  }
+
+  /**
+   * Get the active validator stakes recorded after a block
+   * @param {string} blockHash - Block hash
+   * @returns {Object} - Validator address -> staked amount
+   */
+  async getValidatorSnapshot(blockHash) {
+    try {
+      return JSON.parse(await this.db.get(`VALIDATORS_AT_${blockHash}`));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return {};
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Check whether a key belongs to the state committed to by the state root
+   * @param {string} key - Database key
+   * @returns {boolean} - Whether the key is part of the committed state
+   */
+  static isStateKey(key) {
+    return STATE_KEYS.includes(key) || STATE_PREFIXES.some(prefix => key.startsWith(prefix));
+  }
+
+  /**
+   * Reconstruct the genesis configuration the stored chain was created from
+   * @returns {Object} - Validated genesis configuration
+   * @throws {Error} - If the chain predates genesis files
+   */
+  async getGenesisConfig() {
+    const genesisBlock = await this.getBlock(0);
+
+    let chainConfig;
+    try {
+      chainConfig = JSON.parse(await this.state.get('CHAIN_CONFIG'));
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+      throw new Error('Chain was created before genesis files and has no chain configuration');
+    }
+
+    const validators = await this.getValidatorSnapshot(genesisBlock.hash);
+    return {
+      chainId: chainConfig.chainId,
+      timestamp: genesisBlock.timestamp,
+      allocations: genesisBlock.transactions.map(tx => ({ address: tx.to, amount: tx.amount })),
+      validators: await Promise.all(Object.entries(validators).map(async ([address, stake]) => ({
+        address,
+        stake,
+        publicKey: await this.getValidatorKey(address)
+      }))),
+      consensus: chainConfig.consensus
+    };
+  }
+
+  /**
+   * Get the committed state as it was after a block of the main chain
+   * The live state is rolled back through the undo logs of later blocks.
+   * @param {number} height - Block height
+   * @returns {Object} - State key -> value
+   */
+  async getStateAt(height) {
+    const entries = await this.getCommittedState();
+    const latestBlock = await this.getLatestBlock();
+
+    for (let h = latestBlock.height; h > height; h--) {
+      const block = await this.getBlock(h);
+      const undo = JSON.parse(await this.db.get(`UNDO_${block.hash}`));
+      for (const entry of undo) {
+        if (!Blockchain.isStateKey(entry.key)) continue;
+        if (Object.prototype.hasOwnProperty.call(entry, 'value')) {
+          entries[entry.key] = entry.value;
+        } else {
+          delete entries[entry.key];
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get the public key a validator signs blocks with
+   * Keys enter the chain state from the genesis file and from VALIDATOR_REGISTER
+   * transactions, whose signature proves the key belongs to the address.
+   * @param {string} address - Validator address
+   * @returns {string|null} - Public key, or null if the chain has none for the address
+   */
+  async getValidatorKey(address) {
+    try {
+      return await this.state.get(`VALIDATOR_KEY_${address}`);
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Verify a block signature against its validator's public key in the chain state
+   * @param {Block} block - Block to verify
+   * @returns {boolean|null} - Whether the signature is valid, or null if the key is unknown
+   */
+  async verifyBlockSignature(block) {
+    const publicKey = await this.getValidatorKey(block.validator);
+    if (!publicKey) {
+      return null;
+    }
+
+    return await block.verifySignature(async (hash, signature) => {
+      try {
+        return Address.verifySignature(hash, signature, publicKey);
+      } catch (err) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Replay the main chain and audit the stored state
+   * Blocks are re-verified (hash, previousHash link, Merkle root and validator
+   * signature) and re-applied in a scratch store. The resulting balances,
+   * nonces, stakes and whitelists are then compared with the live state, and
+   * with repair set, the live state is rebuilt from the replay.
+   * @param {Object} options - { fromHeight, repair }
+   * @returns {Object} - Report with errors, warnings and state mismatches
+   * @throws {Error} - If the replay cannot be started
+   */
+  async replay({ fromHeight = 0, repair = false } = {}) {
+    const latestBlock = await this.getLatestBlock();
+    if (!Number.isInteger(fromHeight) || fromHeight < 0 || fromHeight > latestBlock.height) {
+      throw new Error(`Start height must be between 0 and ${latestBlock.height}`);
+    }
+
+    if (await this.db.exists('AMOUNT_MIGRATION_HEIGHT')) {
+      const migrationHeight = await this.db.get('AMOUNT_MIGRATION_HEIGHT');
+      if (fromHeight <= migrationHeight) {
+        throw new Error(`Blocks up to #${migrationHeight} predate integer amounts and cannot be replayed; start from ${migrationHeight + 1}`);
+      }
+    }
+
+    const report = {
+      fromHeight,
+      toHeight: latestBlock.height,
+      blocksChecked: 0,
+      errors: [],
+      warnings: [],
+      mismatches: [],
+      repaired: false
+    };
+
+    // Seed the scratch chain with the state before the first replayed block
+    const scratch = new Blockchain(new MemoryDB());
+    let previous;
+    if (fromHeight === 0) {
+      const genesis = await this.getGenesisConfig();
+      previous = await this.getBlock(0);
+      if (Block.createGenesisBlock(genesis).hash !== previous.hash) {
+        report.errors.push({ height: 0, hash: previous.hash, reason: 'Genesis block does not match its allocations, validators and chain configuration' });
+        return report;
+      }
+      await scratch.createGenesisBlock(genesis);
+      report.blocksChecked++;
+    } else {
+      previous = await this.getBlock(fromHeight - 1);
+      const entries = await this.getStateAt(fromHeight - 1);
+      if (SparseMerkleTree.computeRoot(entries) !== previous.stateRoot) {
+        report.errors.push({ height: previous.height, hash: previous.hash, reason: 'Stored state rolled back to this block does not match its state root; replay from an earlier height' });
+        return report;
+      }
+      for (const [key, value] of Object.entries(entries)) {
+        await scratch.state.put(key, value);
+      }
+      scratch.currentHeight = previous.height;
+    }
+    await scratch.loadChainConfig();
+    await scratch.loadValidators();
+    scratch.genesisTimestamp = this.genesisTimestamp;
+
+    for (let height = Math.max(fromHeight, 1); height <= latestBlock.height; height++) {
+      const block = await this.getBlock(height);
+
+      if (block.hash !== block.calculateHash()) {
+        report.errors.push({ height, hash: block.hash, reason: 'Block hash does not match its header' });
+      }
+      if (block.previousHash !== previous.hash) {
+        report.errors.push({ height, hash: block.hash, reason: `previousHash does not link to block #${previous.height}` });
+      }
+      if (!block.verifyMerkleRoot()) {
+        report.errors.push({ height, hash: block.hash, reason: 'Merkle root does not match the transactions' });
+      }
+
+      // The validator's key is in the state the block builds on
+      const validSignature = await scratch.verifyBlockSignature(block);
+      if (validSignature === null) {
+        report.warnings.push({ height, hash: block.hash, reason: `Public key of validator ${block.validator} is unknown; signature not checked` });
+      } else if (!validSignature) {
+        report.errors.push({ height, hash: block.hash, reason: 'Invalid validator signature' });
+      }
+
+      try {
+        await scratch.applyBlock(block);
+      } catch (err) {
+        // The state after an invalid block is meaningless, so stop here
+        report.errors.push({ height, hash: block.hash, reason: err.message });
+        return report;
+      }
+
+      report.blocksChecked++;
+      previous = block;
+    }
+
+    // Compare the replayed state with the live state
+    const expected = await scratch.getCommittedState();
+    const actual = await this.getCommittedState();
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of Array.from(keys).sort()) {
+      const expectedValue = key in expected ? expected[key] : null;
+      const actualValue = key in actual ? actual[key] : null;
+      if (Encoding.encode(expectedValue) !== Encoding.encode(actualValue)) {
+        report.mismatches.push({ key, expected: expectedValue, actual: actualValue });
+      }
+    }
+
+    if (repair && report.mismatches.length > 0) {
+      await this.db.batch(report.mismatches.map(({ key, expected: value }) => (
+        value === null ? { type: 'del', key } : { type: 'put', key, value }
+      )));
+      await this.loadChainConfig();
+      await this.loadValidators();
+      report.repaired = true;
+    }
+
+    return report;
+  }
+
+  /**
+   * Add a transaction to the mempool
+   * @param {Transaction} transaction - Transaction to add
+   * @returns {string} - Transaction hash
+   * @throws {Error} - If the transaction is invalid or rejected by the mempool
+   */
+  async addTransaction(transaction) {
+    // Verify the transaction
+    if (!transaction.verifyHash()) {
+      throw new Error('Invalid transaction hash');
+    }
+    
+    if (PROTOCOL_TRANSACTIONS.includes(transaction.type)) {
+      throw new Error(`${transaction.type} transactions are created by the protocol and cannot be submitted`);
+    }
+    
+    if (!await this.verifyTransactionSender(transaction)) {
+      throw new Error('Invalid transaction signature');
+    }
+    
+    // Add to the mempool
+    const accountNonce = transaction.from ? await this.getAccountNonce(transaction.from) : 0;
+    this.mempool.add(transaction, accountNonce);
+    
+    // Emit transaction added event
+    this.emit('transactionAdded', transaction);
+    
+    return transaction.hash;
+  }
+
+  /**
+   * Drop expired pending transactions and those whose nonce has been used on chain
+   */
+  async pruneStaleTransactions() {
+    this.mempool.expire();
+    for (const address of this.mempool.getSenders()) {
+      this.mempool.removeBelowNonce(address, await this.getAccountNonce(address));
+    }
+  }
+
+  /**
+   * Check if a transaction is valid
+   * @param {Transaction} transaction - Transaction to check
+   * @returns {boolean} - Whether the transaction is valid
+   */
+  async isTransactionValid(transaction) {
+    // Verify transaction hash
+    if (!transaction.verifyHash()) {
+      return false;
+    }
+    
+    // Amounts must be whole base units
+    if (![transaction.amount, transaction.fee, transaction.senderReward, transaction.receiverReward].every(Amount.isValid)) {
+      return false;
+    }
+    
+    // Genesis allocations and block rewards are written by the protocol itself, never carried in a block
+    if (PROTOCOL_TRANSACTIONS.includes(transaction.type)) {
+      return false;
+    }
+    
+    // Every other type must be signed by the sender
+    if (!await this.verifyTransactionSender(transaction)) {
+      return false;
+    }
+    
+    // Reject replayed or out-of-order transactions
+    if (transaction.nonce !== await this.getAccountNonce(transaction.from)) {
+      return false;
+    }
+    
+    // For normal transactions, verify the recipient and that the sender has enough balance
+    if (transaction.type === 'TRANSFER') {
+      if (!Address.isValidAddress(transaction.to)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= (transaction.amount + transaction.fee);
+    }
+    
+    // For batch transfers, which succeed or fail as a whole
+    if (transaction.type === 'MULTI_TRANSFER') {
+      const outputs = transaction.data && transaction.data.outputs;
+      if (transaction.to !== null || !Array.isArray(outputs) || outputs.length === 0 ||
+          outputs.length > this.params.maxTransferOutputs) {
+        return false;
+      }
+      let total = 0;
+      for (const output of outputs) {
+        if (!output || !Address.isValidAddress(output.to) || !Amount.isValid(output.amount) || output.amount <= 0) {
+          return false;
+        }
+        total += output.amount;
+      }
+      if (!Amount.isValid(total) || total !== transaction.amount) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= (transaction.amount + transaction.fee);
+    }
+    
+    // For validator registration
+    if (transaction.type === 'VALIDATOR_REGISTER') {
+      // Blocks are signed with one key, so a multisig account cannot validate
+      if (!transaction.publicKey) {
+        return false;
+      }
+      const commission = transaction.data && transaction.data.commission;
+      if (commission !== undefined && !(typeof commission === 'number' && commission >= 0 && commission <= 1)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= (transaction.amount + transaction.fee) && 
+             transaction.amount >= this.getValidatorMinDeposit(this.currentHeight + 1);
+    }
+    
+    // For delegating stake to a validator
+    if (transaction.type === 'DELEGATE') {
+      if (!this.validators.has(transaction.to) || transaction.to === transaction.from || transaction.amount <= 0) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= (transaction.amount + transaction.fee);
+    }
+    
+    // For taking delegated stake back
+    if (transaction.type === 'UNDELEGATE') {
+      if (transaction.amount <= 0 || transaction.amount > this.getDelegation(transaction.to, transaction.from)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For validator withdrawal
+    if (transaction.type === 'VALIDATOR_WITHDRAW') {
+      if (!this.validators.has(transaction.from)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For message transactions
+    if (transaction.type === 'MESSAGE') {
+      // Rewards and the fee follow from the recipient's whitelist and the consensus parameters
+      if (!Address.isValidAddress(transaction.to) || transaction.amount !== 0) {
+        return false;
+      }
+      const isWhitelisted = await this.isWhitelisted(transaction.to, transaction.from);
+      if ((transaction.data || {}).isWhitelisted !== isWhitelisted) {
+        return false;
+      }
+      if (isWhitelisted) {
+        return transaction.fee === 0 &&
+          transaction.senderReward === this.params.messageSendReward &&
+          transaction.receiverReward === this.params.messageReceiveReward;
+      }
+      if (transaction.senderReward !== 0 || transaction.receiverReward !== 0 || transaction.fee < this.params.messageFee) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For whitelist transactions
+    if (transaction.type === 'WHITELIST') {
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For multisig account registration
+    if (transaction.type === 'MULTISIG_CREATE') {
+      const { publicKeys, threshold } = transaction.data || {};
+      try {
+        Multisig.validate(publicKeys, threshold);
+      } catch (err) {
+        return false;
+      }
+      if (transaction.amount !== 0 || transaction.to !== Multisig.getAddress(publicKeys, threshold) ||
+          publicKeys.some((publicKey, i) => i > 0 && publicKeys[i - 1] > publicKey)) {
+        return false;
+      }
+      // An account is only registered at an address nothing has used yet
+      if (await this.hasAccountState(transaction.to)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For hash time-locked transfers
+    if (transaction.type === 'HTLC_LOCK') {
+      const { hashlock, expiryHeight } = transaction.data || {};
+      if (!Address.isValidAddress(transaction.to) || transaction.amount <= 0 || !Htlc.isValidHashlock(hashlock) ||
+          !Number.isInteger(expiryHeight) || expiryHeight <= this.currentHeight + 1) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= (transaction.amount + transaction.fee);
+    }
+    
+    // For settling a hash time-locked transfer: claims before expiry, refunds from expiry on
+    if (transaction.type === 'HTLC_CLAIM' || transaction.type === 'HTLC_REFUND') {
+      const htlc = await this.getHtlc(transaction.data && transaction.data.htlc);
+      if (!htlc || htlc.status !== 'locked' || transaction.amount !== 0) {
+        return false;
+      }
+      const expired = this.currentHeight + 1 >= htlc.expiryHeight;
+      if (transaction.type === 'HTLC_CLAIM' &&
+          (transaction.to !== htlc.recipient || expired || !Htlc.matches(transaction.data.preimage, htlc.hashlock))) {
+        return false;
+      }
+      if (transaction.type === 'HTLC_REFUND' && (transaction.to !== htlc.sender || !expired)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For name registry transactions
+    if (['NAME_REGISTER', 'NAME_TRANSFER', 'NAME_RENEW'].includes(transaction.type)) {
+      const name = transaction.data && transaction.data.name;
+      if (!Names.isValidName(name)) {
+        return false;
+      }
+      const record = await this.getName(name);
+      const active = record !== null && record.expiryHeight > this.currentHeight + 1;
+      if (transaction.type === 'NAME_REGISTER' &&
+          (active || transaction.to !== null || transaction.amount !== this.params.nameRegistrationFee)) {
+        return false;
+      }
+      if (transaction.type === 'NAME_TRANSFER' &&
+          (!active || record.owner !== transaction.from || transaction.amount !== 0 ||
+           !Address.isValidAddress(transaction.to) || transaction.to === transaction.from)) {
+        return false;
+      }
+      if (transaction.type === 'NAME_RENEW' &&
+          (!active || record.owner !== transaction.from || transaction.to !== null ||
+           transaction.amount !== this.params.nameRegistrationFee)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= (transaction.amount + transaction.fee);
+    }
+    
+    // For issuing a token
+    if (transaction.type === 'TOKEN_CREATE') {
+      const { symbol, decimals, supply, mintAuthority } = transaction.data || {};
+      if (!Tokens.isValidSymbol(symbol) || !Tokens.isValidDecimals(decimals) || !Amount.isValid(supply) ||
+          transaction.to !== null || transaction.amount !== 0) {
+        return false;
+      }
+      // A token needs either an initial supply or someone who can mint it
+      if (mintAuthority !== null && !Address.isValidAddress(mintAuthority)) {
+        return false;
+      }
+      if (supply === 0 && mintAuthority === null) {
+        return false;
+      }
+      if (await this.getToken(symbol)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For moving, minting and burning token units
+    if (['TOKEN_TRANSFER', 'TOKEN_MINT', 'TOKEN_BURN'].includes(transaction.type)) {
+      const { symbol, amount } = transaction.data || {};
+      const token = await this.getToken(symbol);
+      if (!token || !Amount.isValid(amount) || amount <= 0 || transaction.amount !== 0) {
+        return false;
+      }
+      if (transaction.type === 'TOKEN_BURN' ? transaction.to !== null : !Address.isValidAddress(transaction.to)) {
+        return false;
+      }
+      if (transaction.type === 'TOKEN_MINT') {
+        if (transaction.from !== token.mintAuthority || !Amount.isValid(token.supply + amount)) {
+          return false;
+        }
+      } else if (await this.getTokenBalance(transaction.from, symbol) < amount) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    // For double-signing or conflicting vote evidence
+    if (transaction.type === 'SLASH_EVIDENCE') {
+      let offense;
+      try {
+        offense = this.verifyOffense(transaction.data);
+      } catch (err) {
+        return false;
+      }
+      // Stake that is still unbonding can be slashed too
+      if (transaction.to !== offense.validator ||
+          (!this.validators.has(offense.validator) && this.getUnbondingStake(offense.validator) === 0)) {
+        return false;
+      }
+      // Each offense is slashed once
+      if (await this.state.exists(offense.key)) {
+        return false;
+      }
+      const senderBalance = await this.getAddressBalance(transaction.from);
+      return senderBalance >= transaction.fee;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Process a confirmed transaction
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processTransaction(transaction) {
+    // Store the transaction
+    await this.state.put(`TX_${transaction.hash}`, JSON.stringify(transaction.toJSON()));
+    
+    // Advance the sender's nonce
+    if (transaction.from) {
+      await this.state.put(`NONCE_${transaction.from}`, transaction.nonce + 1);
+    }
+    
+    // Process different transaction types
+    switch (transaction.type) {
+      case 'TRANSFER':
+        await this.processTransferTransaction(transaction);
+        break;
+      case 'MULTI_TRANSFER':
+        await this.processMultiTransfer(transaction);
+        break;
+      case 'VALIDATOR_REGISTER':
+        await this.processValidatorRegistration(transaction);
+        break;
+      case 'VALIDATOR_WITHDRAW':
+        await this.processValidatorWithdrawal(transaction);
+        break;
+      case 'MESSAGE':
+        await this.processMessageTransaction(transaction);
+        break;
+      case 'WHITELIST':
+        await this.processWhitelistTransaction(transaction);
+        break;
+      case 'SLASH_EVIDENCE':
+        await this.processSlashEvidence(transaction);
+        break;
+      case 'DELEGATE':
+        await this.processDelegation(transaction);
+        break;
+      case 'UNDELEGATE':
+        await this.processUndelegation(transaction);
+        break;
+      case 'MULTISIG_CREATE':
+        await this.processMultisigCreation(transaction);
+        break;
+      case 'HTLC_LOCK':
+        await this.processHtlcLock(transaction);
+        break;
+      case 'HTLC_CLAIM':
+      case 'HTLC_REFUND':
+        await this.processHtlcSettlement(transaction);
+        break;
+      case 'NAME_REGISTER':
+        await this.processNameRegistration(transaction);
+        break;
+      case 'NAME_TRANSFER':
+        await this.processNameTransfer(transaction);
+        break;
+      case 'NAME_RENEW':
+        await this.processNameRenewal(transaction);
+        break;
+      case 'TOKEN_CREATE':
+        await this.processTokenCreation(transaction);
+        break;
+      case 'TOKEN_TRANSFER':
+      case 'TOKEN_MINT':
+      case 'TOKEN_BURN':
+        await this.processTokenTransaction(transaction);
+        break;
+    }
+    
+    // Add to address transaction history
+    if (transaction.from) {
+      await this.addToAddressTransactions(transaction.from, transaction.hash);
+    }
+    for (const address of this.getTransactionRecipients(transaction)) {
+      if (address !== transaction.from) {
+        await this.addToAddressTransactions(address, transaction.hash);
+      }
+    }
+  }
+
+  /**
+   * Get the addresses a transaction is indexed under besides its sender
+   * @param {Transaction} transaction - Transaction
+   * @returns {Array<string>} - Distinct recipient addresses
+   */
+  getTransactionRecipients(transaction) {
+    if (transaction.type === 'MULTI_TRANSFER') {
+      return [...new Set(transaction.data.outputs.map(output => output.to))];
+    }
+    return transaction.to ? [transaction.to] : [];
+  }
+
+  /**
+   * Process a transfer transaction
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processTransferTransaction(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    // Add to recipient, read after the debit so a transfer to oneself only costs the fee
+    const recipientBalance = await this.getAddressBalance(transaction.to);
+    await this.state.put(`BALANCE_${transaction.to}`, recipientBalance + transaction.amount);
+  }
+
+  /**
+   * Process a batch transfer
+   * The sender pays the total and the fee once; a recipient listed more than once is credited each time.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processMultiTransfer(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct total + fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    // Add to each recipient
+    for (const output of transaction.data.outputs) {
+      const recipientBalance = await this.getAddressBalance(output.to);
+      await this.state.put(`BALANCE_${output.to}`, recipientBalance + output.amount);
+    }
+  }
+
+  /**
+   * Process a validator registration transaction
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processValidatorRegistration(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct staked amount + fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    // Record the key its blocks are checked against
+    await this.state.put(`VALIDATOR_KEY_${transaction.from}`, transaction.publicKey);
+    
+    // Add to validators map
+    const currentStake = this.validators.get(transaction.from) || 0;
+    this.validators.set(transaction.from, currentStake + transaction.amount);
+    
+    // Update validators in the database
+    await this.saveValidators();
+    await this.addToSupply({ staked: transaction.amount });
+    
+    // Set the commission taken from delegator rewards
+    if (transaction.data && transaction.data.commission !== undefined) {
+      this.commissions.set(transaction.from, transaction.data.commission);
+      await this.state.put(`COMMISSION_${transaction.from}`, transaction.data.commission);
+    }
+    
+    console.log(`Validator ${transaction.from} registered with ${Amount.format(transaction.amount)} DOU stake`);
+  }
+
+  /**
+   * Process a validator withdrawal transaction
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processValidatorWithdrawal(transaction) {
+    if (!this.validators.has(transaction.from)) {
+      throw new Error('Not a validator');
+    }
     
-    // Process different transaction types
-    switch (transaction.type) {
-      case 'TRANSFER':
-        await this.processTransferTransaction(transaction);
-        break;
-      case 'MINT':
-        await this.processMintTransaction(transaction);
-        break;
-      case 'REWARD':
-        await this.processRewardTransaction(transaction);
-        break;
-      case 'VALIDATOR_REGISTER':
-        await this.processValidatorRegistration(transaction);
-        break;
-      case 'VALIDATOR_WITHDRAW':
-        await this.processValidatorWithdrawal(transaction);
-        break;
-      case 'MESSAGE':
-        await this.processMessageTransaction(transaction);
-        break;
-      case 'WHITELIST':
-        await this.processWhitelistTransaction(transaction);
-        break;
+    const stakedAmount = this.validators.get(transaction.from);
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    // Remove from validators
+    this.validators.delete(transaction.from);
+    
+    // Update validators in the database
+    await this.saveValidators();
+    
+    // Lock the stake until the unbonding period has passed
+    const releaseHeight = await this.startUnbonding(transaction.from, transaction.from, stakedAmount);
+    
+    console.log(`Validator ${transaction.from} withdrew ${Amount.format(stakedAmount)} DOU stake, unbonding until block #${releaseHeight}`);
+  }
+
+  /**
+   * Process a delegation transaction
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processDelegation(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct delegated amount + fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    // Bind the stake to the validator
+    const delegated = this.getDelegation(transaction.to, transaction.from) + transaction.amount;
+    this.setDelegation(transaction.to, transaction.from, delegated);
+    await this.state.put(`DELEGATION_${transaction.to}_${transaction.from}`, delegated);
+    await this.addToSupply({ staked: transaction.amount });
+    
+    console.log(`${transaction.from} delegated ${Amount.format(transaction.amount)} DOU to validator ${transaction.to}`);
+  }
+
+  /**
+   * Process an undelegation transaction
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processUndelegation(transaction) {
+    const current = this.getDelegation(transaction.to, transaction.from);
+    if (transaction.amount > current) {
+      throw new Error('Amount exceeds delegated stake');
     }
     
-    // Add to address transaction history
-    if (transaction.from) {
-      await this.addToAddressTransactions(transaction.from, transaction.hash);
+    // Release the stake from the validator
+    const delegated = current - transaction.amount;
+    this.setDelegation(transaction.to, transaction.from, delegated);
+    if (delegated > 0) {
+      await this.state.put(`DELEGATION_${transaction.to}_${transaction.from}`, delegated);
+    } else {
+      await this.state.del(`DELEGATION_${transaction.to}_${transaction.from}`);
+    }
+    
+    // Deduct fee from sender
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    // Lock the stake until the unbonding period has passed
+    const releaseHeight = await this.startUnbonding(transaction.from, transaction.to, transaction.amount);
+    
+    console.log(`${transaction.from} undelegated ${Amount.format(transaction.amount)} DOU from validator ${transaction.to}, unbonding until block #${releaseHeight}`);
+  }
+
+  /**
+   * Queue stake for release after the unbonding period
+   * @param {string} address - Address the stake is released to
+   * @param {string} validator - Validator the stake was bonded to
+   * @param {number} amount - Stake in base units
+   * @returns {number} - Height at which the stake is released
+   */
+  async startUnbonding(address, validator, amount) {
+    const releaseHeight = this.currentHeight + 1 + this.params.unbondingBlocks;
+    const entries = [...(this.unbonding.get(address) || []), { validator, amount, releaseHeight }];
+    await this.setUnbonding(address, entries);
+    return releaseHeight;
+  }
+
+  /**
+   * Set the unbonding entries of an address in memory and in the state
+   * @param {string} address - Address the stake is released to
+   * @param {Array<Object>} entries - Unbonding entries (empty removes them)
+   */
+  async setUnbonding(address, entries) {
+    if (entries.length > 0) {
+      this.unbonding.set(address, entries);
+      await this.state.put(`UNBONDING_${address}`, JSON.stringify(entries));
+    } else {
+      this.unbonding.delete(address);
+      await this.state.del(`UNBONDING_${address}`);
+    }
+  }
+
+  /**
+   * Release the unbonding stake that has matured at a height
+   * Runs at the start of every block, before its transactions.
+   * @param {number} height - Height of the block being applied
+   */
+  async releaseUnbondedStake(height) {
+    for (const [address, entries] of [...this.unbonding.entries()]) {
+      const matured = entries.filter(entry => entry.releaseHeight <= height);
+      if (matured.length === 0) {
+        continue;
+      }
+      
+      const amount = matured.reduce((total, entry) => total + entry.amount, 0);
+      const balance = await this.getAddressBalance(address);
+      await this.state.put(`BALANCE_${address}`, balance + amount);
+      await this.setUnbonding(address, entries.filter(entry => entry.releaseHeight > height));
+      await this.addToSupply({ staked: -amount });
+      
+      console.log(`Released ${Amount.format(amount)} DOU of unbonded stake to ${address}`);
+    }
+  }
+
+  /**
+   * Get the stake an address is unbonding
+   * @param {string} address - Address the stake is released to
+   * @param {string} validator - Only count stake bonded to this validator (defaults to the address itself)
+   * @returns {number} - Unbonding stake in base units
+   */
+  getUnbondingStake(address, validator = address) {
+    return (this.unbonding.get(address) || [])
+      .filter(entry => entry.validator === validator)
+      .reduce((total, entry) => total + entry.amount, 0);
+  }
+
+  /**
+   * Get the staking status of an address
+   * @param {string} address - Address
+   * @returns {Object} - Bonded, delegated and unbonding stake with release heights
+   */
+  getStakeStatus(address) {
+    const delegations = [];
+    for (const [validator, delegators] of this.delegations.entries()) {
+      if (delegators.has(address)) {
+        delegations.push({ validator, amount: delegators.get(address) });
+      }
+    }
+    
+    return {
+      address,
+      height: this.currentHeight,
+      bonded: this.validators.get(address) || 0,
+      delegatedToValidator: this.getDelegatedStake(address),
+      delegations,
+      unbonding: [...(this.unbonding.get(address) || [])].sort((a, b) => a.releaseHeight - b.releaseHeight)
+    };
+  }
+
+  /**
+   * Process a slash evidence transaction
+   * The same fraction of the offender's own stake, of the stake delegated to it
+   * and of all stake still unbonding from it is slashed: the reporter receives a
+   * share and the rest is burned. The offender is jailed
+   * until jailEpochs epoch boundaries have passed.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processSlashEvidence(transaction) {
+    const { validator, key, description } = this.verifyOffense(transaction.data);
+    if (!this.validators.has(validator) && this.getUnbondingStake(validator) === 0) {
+      throw new Error('Not a validator');
+    }
+    
+    let slashed = 0;
+    
+    // Slash the bonded stake
+    if (this.validators.has(validator)) {
+      const stake = this.validators.get(validator);
+      const stakeSlashed = Amount.multiply(stake, this.params.slashFraction);
+      slashed += stakeSlashed;
+      this.validators.set(validator, stake - stakeSlashed);
+      await this.saveValidators();
+    }
+    
+    // Slash the stake delegated to it
+    for (const [delegator, amount] of [...(this.delegations.get(validator) || new Map()).entries()]) {
+      const delegationSlashed = Amount.multiply(amount, this.params.slashFraction);
+      slashed += delegationSlashed;
+      const delegated = amount - delegationSlashed;
+      this.setDelegation(validator, delegator, delegated);
+      if (delegated > 0) {
+        await this.state.put(`DELEGATION_${validator}_${delegator}`, delegated);
+      } else {
+        await this.state.del(`DELEGATION_${validator}_${delegator}`);
+      }
+    }
+    
+    // Slash the stake unbonding from it, its own and its delegators'
+    for (const [address, entries] of [...this.unbonding.entries()]) {
+      if (!entries.some(entry => entry.validator === validator)) {
+        continue;
+      }
+      const remaining = entries.map(entry => {
+        if (entry.validator !== validator) {
+          return entry;
+        }
+        const entrySlashed = Amount.multiply(entry.amount, this.params.slashFraction);
+        slashed += entrySlashed;
+        return { ...entry, amount: entry.amount - entrySlashed };
+      });
+      await this.setUnbonding(address, remaining.filter(entry => entry.amount > 0));
+    }
+    
+    const reporterReward = Amount.multiply(slashed, this.params.slashReporterShare);
+    await this.addToSupply({ staked: -slashed, slashBurned: slashed - reporterReward });
+    
+    // Pay the reporter
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance + reporterReward - transaction.fee);
+    
+    // Jail the validator, extending any jail it is already serving
+    const releaseHeight = (this.getEpoch(this.currentHeight + 1) + this.params.jailEpochs) * this.params.epochLength;
+    this.jailed.set(validator, Math.max(this.jailed.get(validator) || 0, releaseHeight));
+    await this.state.put(`JAIL_${validator}`, this.jailed.get(validator));
+    await this.state.put(key, transaction.hash);
+    
+    console.log(`Validator ${validator} slashed ${Amount.format(slashed)} DOU for ${description} and jailed until block #${this.jailed.get(validator)}`);
+  }
+
+  /**
+   * Verify slashing evidence, either two block headers or two finality votes
+   * @param {Object} evidence - Transaction data of SLASH_EVIDENCE
+   * @returns {Object} - Offending validator, state key marking the offense slashed and its description
+   * @throws {Error} - If the evidence does not prove an offense
+   */
+  verifyOffense(evidence) {
+    if (evidence && evidence.votes) {
+      const { validator, height } = Finality.verifyEvidence(evidence);
+      return { validator, key: `SLASHED_VOTE_${validator}_${height}`, description: `conflicting finality votes at height ${height}` };
+    }
+    const { validator, slot } = Evidence.verify(evidence, timestamp => this.getSlot(timestamp));
+    return { validator, key: `SLASHED_${validator}_${slot}`, description: `double-signing in slot ${slot}` };
+  }
+
+  /**
+   * Record the signed header of a block seen on the network
+   * Returns an earlier header of the same validator and slot if it differs,
+   * which together with this block proves double-signing.
+   * @param {Block} block - Block with a verified signature
+   * @returns {Object|null} - Conflicting signed header, or null
+   */
+  async recordSignedHeader(block) {
+    const key = `SIGNED_SLOT_${this.getSlot(block.timestamp)}_${block.validator}`;
+    try {
+      const header = JSON.parse(await this.db.get(key));
+      return header.hash !== block.hash ? header : null;
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+    }
+
+    await this.db.put(key, JSON.stringify(Evidence.getSignedHeader(block)));
+    return null;
+  }
+
+  /**
+   * Process a multisig account registration
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processMultisigCreation(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    const { publicKeys, threshold } = transaction.data;
+    await this.state.put(`MULTISIG_${transaction.to}`, JSON.stringify({ publicKeys, threshold }));
+    
+    console.log(`Multisig account ${transaction.to} registered (${threshold} of ${publicKeys.length})`);
+  }
+
+  /**
+   * Process a hash time-locked transfer
+   * The locked DOU leave the sender's balance until the lock is claimed or refunded.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processHtlcLock(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct locked amount + fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    const htlc = {
+      id: transaction.hash,
+      sender: transaction.from,
+      recipient: transaction.to,
+      amount: transaction.amount,
+      hashlock: transaction.data.hashlock,
+      expiryHeight: transaction.data.expiryHeight,
+      status: 'locked'
+    };
+    await this.state.put(`HTLC_${htlc.id}`, JSON.stringify(htlc));
+    await this.addToSupply({ locked: transaction.amount });
+    
+    console.log(`${transaction.from} locked ${Amount.format(transaction.amount)} DOU for ${transaction.to} until block #${htlc.expiryHeight} (HTLC ${htlc.id})`);
+  }
+
+  /**
+   * Process a claim or refund of a hash time-locked transfer
+   * A claim pays the recipient and records the revealed preimage; a refund pays the sender.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processHtlcSettlement(transaction) {
+    const htlc = await this.getHtlc(transaction.data.htlc);
+    
+    // Deduct fee from sender
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    // Release the locked DOU
+    const payee = transaction.type === 'HTLC_CLAIM' ? htlc.recipient : htlc.sender;
+    const payeeBalance = await this.getAddressBalance(payee);
+    await this.state.put(`BALANCE_${payee}`, payeeBalance + htlc.amount);
+    
+    htlc.status = transaction.type === 'HTLC_CLAIM' ? 'claimed' : 'refunded';
+    htlc.settlement = transaction.hash;
+    if (transaction.type === 'HTLC_CLAIM') {
+      htlc.preimage = transaction.data.preimage;
+    }
+    await this.state.put(`HTLC_${htlc.id}`, JSON.stringify(htlc));
+    await this.addToSupply({ locked: -htlc.amount });
+    
+    console.log(`HTLC ${htlc.id} ${htlc.status}: ${Amount.format(htlc.amount)} DOU released to ${payee}`);
+  }
+
+  /**
+   * Get a hash time-locked transfer
+   * @param {string} id - Hash of the HTLC_LOCK transaction
+   * @returns {Object|null} - Lock with sender, recipient, amount, hashlock, expiryHeight and status, or null if unknown
+   */
+  async getHtlc(id) {
+    if (typeof id !== 'string') {
+      return null;
+    }
+    try {
+      return JSON.parse(await this.state.get(`HTLC_${id}`));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Process a name registration
+   * A name that expired is taken from its previous owner. The registration fee is burned.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processNameRegistration(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct registration fee + fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    const { name } = transaction.data;
+    const previous = await this.getName(name);
+    if (previous) {
+      await this.removeOwnedName(previous.owner, name);
+    }
+    
+    const height = this.currentHeight + 1;
+    const record = {
+      name,
+      owner: transaction.from,
+      registeredHeight: height,
+      expiryHeight: height + this.params.nameRegistrationBlocks
+    };
+    await this.state.put(`NAME_${name}`, JSON.stringify(record));
+    await this.addOwnedName(transaction.from, name);
+    await this.addToSupply({ nameFeesBurned: transaction.amount });
+    
+    console.log(`Name @${name} registered to ${transaction.from} until block #${record.expiryHeight}`);
+  }
+
+  /**
+   * Process a name transfer
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processNameTransfer(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    const record = await this.getName(transaction.data.name);
+    await this.removeOwnedName(record.owner, record.name);
+    record.owner = transaction.to;
+    await this.state.put(`NAME_${record.name}`, JSON.stringify(record));
+    await this.addOwnedName(record.owner, record.name);
+    
+    console.log(`Name @${record.name} transferred from ${transaction.from} to ${transaction.to}`);
+  }
+
+  /**
+   * Process a name renewal
+   * The registration is extended from its current expiry height. The renewal fee is burned.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processNameRenewal(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct renewal fee + fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    
+    const record = await this.getName(transaction.data.name);
+    record.expiryHeight += this.params.nameRegistrationBlocks;
+    await this.state.put(`NAME_${record.name}`, JSON.stringify(record));
+    await this.addToSupply({ nameFeesBurned: transaction.amount });
+    
+    console.log(`Name @${record.name} renewed until block #${record.expiryHeight}`);
+  }
+
+  /**
+   * Get the registration of a name, whether or not it expired
+   * @param {string} name - Name without the @ prefix
+   * @returns {Object|null} - Name record, or null if it was never registered
+   */
+  async getName(name) {
+    try {
+      return JSON.parse(await this.state.get(`NAME_${name}`));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Get the names last registered to or transferred to an address
+   * This index is kept for reverse lookups; entries may have expired.
+   * @param {string} address - Address
+   * @returns {Array<string>} - Names
+   */
+  async getOwnedNames(address) {
+    try {
+      return JSON.parse(await this.state.get(`NAMES_${address}`));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return [];
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Add a name to an address's reverse lookup index
+   * @param {string} address - Owner address
+   * @param {string} name - Name
+   */
+  async addOwnedName(address, name) {
+    const names = await this.getOwnedNames(address);
+    names.push(name);
+    await this.state.put(`NAMES_${address}`, JSON.stringify(names));
+  }
+
+  /**
+   * Remove a name from an address's reverse lookup index
+   * @param {string} address - Previous owner address
+   * @param {string} name - Name
+   */
+  async removeOwnedName(address, name) {
+    const names = (await this.getOwnedNames(address)).filter(owned => owned !== name);
+    await this.state.put(`NAMES_${address}`, JSON.stringify(names));
+  }
+
+  /**
+   * Get the height of the latest stored block
+   * Name lookups are answered at this height, so they also work on a
+   * blockchain instance that was not initialized (e.g. from the CLI).
+   * @returns {number} - Height, or 0 if no block is stored
+   */
+  async getStoredHeight() {
+    if (!await this.state.exists('LATEST_BLOCK')) {
+      return 0;
+    }
+    return (await this.getLatestBlock()).height;
+  }
+
+  /**
+   * Resolve a name to the address it points to
+   * @param {string} name - Name, with or without the @ prefix
+   * @returns {string|null} - Owner address, or null if the name is not registered or expired
+   */
+  async resolveName(name) {
+    const record = await this.getName(Names.fromReference(name));
+    if (!record || record.expiryHeight <= await this.getStoredHeight()) {
+      return null;
+    }
+    return record.owner;
+  }
+
+  /**
+   * Resolve an address or @name to an address
+   * @param {string} value - Address or @name
+   * @returns {string} - Address (values without the @ prefix are returned unchanged)
+   * @throws {Error} - If the name is not registered or expired
+   */
+  async resolveAddress(value) {
+    if (!Names.isReference(value)) {
+      return value;
     }
-    if (transaction.to && transaction.to !== transaction.from) {
-      await this.addToAddressTransactions(transaction.to, transaction.hash);
+    const address = await this.resolveName(value);
+    if (!address) {
+      throw new Error(`Name ${value} is not registered or has expired`);
+    }
+    return address;
+  }
+
+  /**
+   * Get the registered names pointing to an address (reverse lookup)
+   * @param {string} address - Address
+   * @returns {Array<Object>} - Name records that have not expired, sorted by name
+   */
+  async lookupNames(address) {
+    const height = await this.getStoredHeight();
+    const records = [];
+    for (const name of await this.getOwnedNames(address)) {
+      const record = await this.getName(name);
+      if (record && record.owner === address && record.expiryHeight > height) {
+        records.push(record);
+      }
     }
+    return records.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Process a token issuance
+   * The initial supply is credited to the creator.
+   * @param {Transaction} transaction - Transaction to process
+   */
+  async processTokenCreation(transaction) {
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    
+    // Deduct fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    const { symbol, decimals, supply, mintAuthority } = transaction.data;
+    const token = {
+      symbol,
+      decimals,
+      supply,
+      mintAuthority,
+      creator: transaction.from,
+      createdHeight: this.currentHeight + 1
+    };
+    await this.state.put(`TOKEN_INFO_${symbol}`, JSON.stringify(token));
+    await this.state.put(`TOKEN_BALANCE_${transaction.from}_${symbol}`, supply);
+    
+    console.log(`Token ${symbol} created by ${transaction.from} with a supply of ${Amount.format(supply, decimals)}`);
   }
 
   /**
-   * Process a transfer transaction
+   * Process a token transfer, mint or burn
    * @param {Transaction} transaction - Transaction to process
    */
-  async processTransferTransaction(transaction) {
+  async processTokenTransaction(transaction) {
     const senderBalance = await this.getAddressBalance(transaction.from);
-    const recipientBalance = await this.getAddressBalance(transaction.to);
     
-    // Deduct from sender
-    await this.db.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
+    // Deduct fee from sender
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
+    const { symbol, amount } = transaction.data;
+    const token = await this.getToken(symbol);
     
-    // Add to recipient
-    await this.db.put(`BALANCE_${transaction.to}`, recipientBalance + transaction.amount);
+    // Mints create the units, transfers and burns take them from the sender
+    if (transaction.type === 'TOKEN_MINT') {
+      token.supply += amount;
+    } else {
+      const fromBalance = await this.getTokenBalance(transaction.from, symbol);
+      await this.state.put(`TOKEN_BALANCE_${transaction.from}_${symbol}`, fromBalance - amount);
+    }
+    
+    // Burns destroy them, transfers and mints credit the recipient
+    if (transaction.type === 'TOKEN_BURN') {
+      token.supply -= amount;
+    } else {
+      const toBalance = await this.getTokenBalance(transaction.to, symbol);
+      await this.state.put(`TOKEN_BALANCE_${transaction.to}_${symbol}`, toBalance + amount);
+    }
+    
+    if (transaction.type !== 'TOKEN_TRANSFER') {
+      await this.state.put(`TOKEN_INFO_${symbol}`, JSON.stringify(token));
+    }
   }
 
   /**
-   * Process a mint transaction (for genesis block)
-   * @param {Transaction} transaction - Transaction to process
+   * Get a token definition
+   * @param {string} symbol - Token symbol
+   * @returns {Object|null} - Token with its current supply, or null if no such token exists
    */
-  async processMintTransaction(transaction) {
-    const recipientBalance = await this.getAddressBalance(transaction.to);
-    await this.db.put(`BALANCE_${transaction.to}`, recipientBalance + transaction.amount);
+  async getToken(symbol) {
+    if (!Tokens.isValidSymbol(symbol)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await this.state.get(`TOKEN_INFO_${symbol}`));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return null;
+      }
+      throw err;
+    }
   }
 
   /**
-   * Process a reward transaction
-   * @param {Transaction} transaction - Transaction to process
+   * Get all token definitions
+   * @returns {Array<Object>} - Tokens sorted by symbol
    */
-  async processRewardTransaction(transaction) {
-    const recipientBalance = await this.getAddressBalance(transaction.to);
-    await this.db.put(`BALANCE_${transaction.to}`, recipientBalance + transaction.amount);
+  async getTokens() {
+    const tokens = Object.values(await this.state.getAll('TOKEN_INFO_')).map(value => JSON.parse(value));
+    return tokens.sort((a, b) => a.symbol.localeCompare(b.symbol));
   }
 
   /**
-   * Process a validator registration transaction
-   * @param {Transaction} transaction - Transaction to process
+   * Get the balance of a token for an address
+   * @param {string} address - Address
+   * @param {string} symbol - Token symbol
+   * @returns {number} - Balance in token base units
    */
-  async processValidatorRegistration(transaction) {
-    const senderBalance = await this.getAddressBalance(transaction.from);
-    
-    // Deduct staked amount + fee from sender
-    await this.db.put(`BALANCE_${transaction.from}`, senderBalance - transaction.amount - transaction.fee);
-    
-    // Add to validators map
-    const currentStake = this.validators.get(transaction.from) || 0;
-    this.validators.set(transaction.from, currentStake + transaction.amount);
-    
-    // Update validators in the database
-    await this.saveValidators();
-    
-    console.log(`Validator ${transaction.from} registered with ${transaction.amount} DOU stake`);
+  async getTokenBalance(address, symbol) {
+    try {
+      return await this.state.get(`TOKEN_BALANCE_${address}_${symbol}`);
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return 0;
+      }
+      throw err;
+    }
   }
 
   /**
-   * Process a validator withdrawal transaction
-   * @param {Transaction} transaction - Transaction to process
+   * Get all token balances of an address
+   * @param {string} address - Address
+   * @returns {Object} - Symbol -> balance in token base units, for tokens with a non-zero balance
    */
-  async processValidatorWithdrawal(transaction) {
-    if (!this.validators.has(transaction.from)) {
-      throw new Error('Not a validator');
+  async getTokenBalances(address) {
+    const prefix = `TOKEN_BALANCE_${address}_`;
+    const balances = {};
+    for (const [key, balance] of Object.entries(await this.state.getAll(prefix))) {
+      if (balance > 0) {
+        balances[key.slice(prefix.length)] = balance;
+      }
     }
-    
-    const stakedAmount = this.validators.get(transaction.from);
-    const senderBalance = await this.getAddressBalance(transaction.from);
-    
-    // Add staked amount back to sender balance
-    await this.db.put(`BALANCE_${transaction.from}`, senderBalance + stakedAmount - transaction.fee);
-    
-    // Remove from validators
-    this.validators.delete(transaction.from);
-    
-    // Update validators in the database
-    await this.saveValidators();
-    
-    console.log(`Validator ${transaction.from} withdrew ${stakedAmount} DOU stake`);
+    return balances;
+  }
+
+  /**
+   * Get a registered multisig account
+   * @param {string} address - Account address
+   * @returns {Object|null} - Account with publicKeys and threshold, or null if the address is not a multisig account
+   */
+  async getMultisigAccount(address) {
+    try {
+      return JSON.parse(await this.state.get(`MULTISIG_${address}`));
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Check whether an address has been used on chain
+   * @param {string} address - Address
+   * @returns {boolean} - Whether it has a balance, a used nonce, a validator key or a multisig account
+   */
+  async hasAccountState(address) {
+    return await this.getAddressBalance(address) > 0 ||
+      await this.getAccountNonce(address) > 0 ||
+      await this.state.exists(`VALIDATOR_KEY_${address}`) ||
+      await this.state.exists(`MULTISIG_${address}`);
+  }
+
+  /**
+   * Check that a transaction is authorized by its sender
+   * A multisig account needs threshold signatures of its keys; any other
+   * address needs the signature of the key it was derived from.
+   * @param {Transaction} transaction - Transaction to check
+   * @returns {boolean} - Whether the sender authorized the transaction
+   */
+  async verifyTransactionSender(transaction) {
+    const account = transaction.from ? await this.getMultisigAccount(transaction.from) : null;
+    if (account) {
+      return Multisig.verify(transaction, account);
+    }
+    return transaction.verifySender();
   }
 
   /**
@@ -540,22 +3035,27 @@ class Blockchain extends EventEmitter {
    * @param {Transaction} transaction - Transaction to process
    */
   async processMessageTransaction(transaction) {
+    let rewards = 0;
+    
     // Process sender fees or rewards
     if (transaction.fee > 0) {
       // This is a fee for sending to non-whitelisted address
       const senderBalance = await this.getAddressBalance(transaction.from);
-      await this.db.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+      await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
     } else if (transaction.senderReward > 0) {
       // This is a reward for sending a message
       const senderBalance = await this.getAddressBalance(transaction.from);
-      await this.db.put(`BALANCE_${transaction.from}`, senderBalance + transaction.senderReward);
+      await this.state.put(`BALANCE_${transaction.from}`, senderBalance + transaction.senderReward);
+      rewards += transaction.senderReward;
     }
     
     // Process receiver rewards
     if (transaction.receiverReward > 0) {
       const receiverBalance = await this.getAddressBalance(transaction.to);
-      await this.db.put(`BALANCE_${transaction.to}`, receiverBalance + transaction.receiverReward);
+      await this.state.put(`BALANCE_${transaction.to}`, receiverBalance + transaction.receiverReward);
+      rewards += transaction.receiverReward;
     }
+    await this.addToSupply({ messagingRewards: rewards });
     
     // Store the message
     await this.storeMessage(transaction);
@@ -566,13 +3066,17 @@ class Blockchain extends EventEmitter {
    * @param {Transaction} transaction - Transaction to process
    */
   async processWhitelistTransaction(transaction) {
+    // Deduct fee from sender
+    const senderBalance = await this.getAddressBalance(transaction.from);
+    await this.state.put(`BALANCE_${transaction.from}`, senderBalance - transaction.fee);
+    
     try {
       // Load current whitelist
       const whitelistKey = `WHITELIST_${transaction.from}`;
       let whitelist = [];
       
       try {
-        const whitelistData = await this.db.get(whitelistKey);
+        const whitelistData = await this.state.get(whitelistKey);
         whitelist = JSON.parse(whitelistData);
       } catch (err) {
         if (err.type !== 'NotFoundError') {
@@ -590,7 +3094,7 @@ class Blockchain extends EventEmitter {
       }
       
       // Save updated whitelist
-      await this.db.put(whitelistKey, JSON.stringify(whitelist));
+      await this.state.put(whitelistKey, JSON.stringify(whitelist));
     } catch (err) {
       console.error('Failed to process whitelist transaction:', err);
     }
@@ -606,7 +3110,7 @@ class Blockchain extends EventEmitter {
     let inbox = [];
     
     try {
-      const inboxData = await this.db.get(inboxKey);
+      const inboxData = await this.state.get(inboxKey);
       inbox = JSON.parse(inboxData);
     } catch (err) {
       if (err.type !== 'NotFoundError') {
@@ -623,14 +3127,14 @@ class Blockchain extends EventEmitter {
       reward: transaction.receiverReward
     });
     
-    await this.db.put(inboxKey, JSON.stringify(inbox));
+    await this.state.put(inboxKey, JSON.stringify(inbox));
     
     // Store message in sender's outbox
     const outboxKey = `OUTBOX_${transaction.from}`;
     let outbox = [];
     
     try {
-      const outboxData = await this.db.get(outboxKey);
+      const outboxData = await this.state.get(outboxKey);
       outbox = JSON.parse(outboxData);
     } catch (err) {
       if (err.type !== 'NotFoundError') {
@@ -647,7 +3151,7 @@ class Blockchain extends EventEmitter {
       fee: transaction.fee
     });
     
-    await this.db.put(outboxKey, JSON.stringify(outbox));
+    await this.state.put(outboxKey, JSON.stringify(outbox));
   }
 
   /**
@@ -660,7 +3164,7 @@ class Blockchain extends EventEmitter {
     let transactions = [];
     
     try {
-      const txData = await this.db.get(key);
+      const txData = await this.state.get(key);
       transactions = JSON.parse(txData);
     } catch (err) {
       if (err.type !== 'NotFoundError') {
@@ -669,7 +3173,7 @@ class Blockchain extends EventEmitter {
     }
     
     transactions.push(txHash);
-    await this.db.put(key, JSON.stringify(transactions));
+    await this.state.put(key, JSON.stringify(transactions));
   }
 
   /**
@@ -679,7 +3183,7 @@ class Blockchain extends EventEmitter {
    */
   async getAddressTransactions(address) {
     try {
-      const txData = await this.db.get(`ADDRESS_TXS_${address}`);
+      const txData = await this.state.get(`ADDRESS_TXS_${address}`);
       return JSON.parse(txData);
     } catch (err) {
       if (err.type === 'NotFoundError') {
@@ -692,12 +3196,28 @@ class Blockchain extends EventEmitter {
   /**
    * Get balance for an address
    * @param {string} address - Address
-   * @returns {number} - Balance
+   * @returns {number} - Balance in base units
    */
   async getAddressBalance(address) {
     try {
-      const balance = await this.db.get(`BALANCE_${address}`);
-      return parseFloat(balance);
+      return await this.state.get(`BALANCE_${address}`);
+    } catch (err) {
+      if (err.type === 'NotFoundError') {
+        return 0;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Get the nonce expected from an address in the next block
+   * @param {string} address - Address
+   * @returns {number} - Number of confirmed transactions sent by the address
+   */
+  async getAccountNonce(address) {
+    try {
+      const nonce = await this.state.get(`NONCE_${address}`);
+      return parseInt(nonce, 10);
     } catch (err) {
       if (err.type === 'NotFoundError') {
         return 0;
@@ -706,6 +3226,17 @@ class Blockchain extends EventEmitter {
     }
   }
 
+  /**
+   * Get the nonce to use for a new transaction from an address
+   * Pending transactions are counted so several transactions can be sent
+   * before the next block.
+   * @param {string} address - Address
+   * @returns {number} - Next nonce
+   */
+  async getNextNonce(address) {
+    return this.mempool.getNextNonce(address, await this.getAccountNonce(address));
+  }
+
   /**
    * Get a transaction by hash
    * @param {string} hash - Transaction hash
@@ -713,7 +3244,7 @@ class Blockchain extends EventEmitter {
    */
   async getTransaction(hash) {
     try {
-      const txData = await this.db.get(`TX_${hash}`);
+      const txData = await this.state.get(`TX_${hash}`);
       return Transaction.fromJSON(JSON.parse(txData));
     } catch (err) {
       if (err.type === 'NotFoundError') {
@@ -730,7 +3261,7 @@ class Blockchain extends EventEmitter {
    */
   async getWhitelist(address) {
     try {
-      const whitelistData = await this.db.get(`WHITELIST_${address}`);
+      const whitelistData = await this.state.get(`WHITELIST_${address}`);
       return JSON.parse(whitelistData);
     } catch (err) {
       if (err.type === 'NotFoundError') {
@@ -760,7 +3291,7 @@ class Blockchain extends EventEmitter {
    */
   async getMessages(address, onlyUnread = false, fromAddress = null) {
     try {
-      const inboxData = await this.db.get(`INBOX_${address}`);
+      const inboxData = await this.state.get(`INBOX_${address}`);
       let messages = JSON.parse(inboxData);
       
       if (onlyUnread) {
@@ -788,7 +3319,7 @@ class Blockchain extends EventEmitter {
   async markMessageAsRead(address, messageId) {
     try {
       const inboxKey = `INBOX_${address}`;
-      const inboxData = await this.db.get(inboxKey);
+      const inboxData = await this.state.get(inboxKey);
       const messages = JSON.parse(inboxData);
       
       const updatedMessages = messages.map(msg => {
@@ -798,7 +3329,7 @@ class Blockchain extends EventEmitter {
         return msg;
       });
       
-      await this.db.put(inboxKey, JSON.stringify(updatedMessages));
+      await this.state.put(inboxKey, JSON.stringify(updatedMessages));
     } catch (err) {
       throw new Error(`Failed to mark message as read: ${err.message}`);
     }
@@ -808,66 +3339,381 @@ class Blockchain extends EventEmitter {
    * Save validators to the database
    */
   async saveValidators() {
+    await this.state.put('VALIDATORS', JSON.stringify(this.getValidatorsObject()));
+  }
+
+  /**
+   * Get the current validator set as a plain object
+   * @returns {Object} - Validator address -> staked amount
+   */
+  getValidatorsObject() {
     const validatorsObj = {};
     for (const [address, amount] of this.validators.entries()) {
       validatorsObj[address] = amount;
     }
-    await this.db.put('VALIDATORS', JSON.stringify(validatorsObj));
+    return validatorsObj;
   }
 
   /**
-   * Calculate monthly validator rewards
-   * This should be called once a month
+   * Get the validators that are not jailed at a height
+   * @param {number} height - Block height
+   * @returns {Object} - Validator address -> stake weight (own and delegated stake)
    */
-  async calculateMonthlyValidatorRewards() {
-    for (const [address, stakedAmount] of this.validators.entries()) {
-      // Calculate monthly reward: APY / 12
-      const monthlyRate = config.blockchain.validatorAPY / 12;
-      const reward = stakedAmount * monthlyRate;
-      
-      // Create reward transaction
-      const rewardTx = new Transaction(
-        'REWARD',
-        null,
-        address,
-        reward,
-        0,
-        { type: 'VALIDATOR_MONTHLY_REWARD' }
-      );
-      
-      rewardTx.hash = rewardTx.calculateHash();
-      
-      // Add to pending transactions
-      this.addTransaction(rewardTx);
-      
-      console.log(`Added monthly reward of ${reward} DOU for validator ${address}`);
+  getActiveValidatorsObject(height) {
+    const validatorsObj = {};
+    for (const [address, weight] of Object.entries(this.getEpochValidators())) {
+      if (!this.isJailed(address, height)) {
+        validatorsObj[address] = weight;
+      }
     }
+    return validatorsObj;
   }
 
   /**
-   * Update validator minimum deposit (annual 10% increase)
+   * Get the validator set of the current epoch
+   * Chains that have not passed an epoch boundary since epochs were
+   * introduced use the current stakes.
+   * @returns {Object} - Validator address -> stake weight (own and delegated stake)
    */
-  async updateValidatorMinDeposit() {
-    // Increase by 10%
-    this.validatorMinDeposit *= 1.1;
-    console.log(`Validator minimum deposit increased to ${this.validatorMinDeposit} DOU`);
-    
-    // Check and remove validators that don't meet the new minimum
-    for (const [address, amount] of this.validators.entries()) {
-      if (amount < this.validatorMinDeposit) {
-        console.log(`Validator ${address} removed: staked amount (${amount}) below minimum (${this.validatorMinDeposit})`);
-        
-        // Return staked amount to validator
-        const validatorBalance = await this.getAddressBalance(address);
-        await this.db.put(`BALANCE_${address}`, validatorBalance + amount);
-        
-        // Remove from validators list
+  getEpochValidators() {
+    return this.epochValidators || this.getValidatorWeights();
+  }
+
+  /**
+   * Get the current stake weight of every validator
+   * @returns {Object} - Validator address -> stake weight (own and delegated stake)
+   */
+  getValidatorWeights() {
+    const validatorsObj = {};
+    for (const address of this.validators.keys()) {
+      validatorsObj[address] = this.getValidatorWeight(address);
+    }
+    return validatorsObj;
+  }
+
+  /**
+   * Get the stake weight of a validator
+   * @param {string} address - Validator address
+   * @returns {number} - Own stake plus stake delegated to it, in base units
+   */
+  getValidatorWeight(address) {
+    return (this.validators.get(address) || 0) + this.getDelegatedStake(address);
+  }
+
+  /**
+   * Get the total stake delegated to a validator
+   * @param {string} validator - Validator address
+   * @returns {number} - Delegated stake in base units
+   */
+  getDelegatedStake(validator) {
+    let total = 0;
+    for (const amount of (this.delegations.get(validator) || new Map()).values()) {
+      total += amount;
+    }
+    return total;
+  }
+
+  /**
+   * Get the stake a delegator has delegated to a validator
+   * @param {string} validator - Validator address
+   * @param {string} delegator - Delegator address
+   * @returns {number} - Delegated stake in base units
+   */
+  getDelegation(validator, delegator) {
+    const delegations = this.delegations.get(validator);
+    return (delegations && delegations.get(delegator)) || 0;
+  }
+
+  /**
+   * Set the stake a delegator has delegated to a validator in memory
+   * @param {string} validator - Validator address
+   * @param {string} delegator - Delegator address
+   * @param {number} amount - Delegated stake in base units (0 removes the delegation)
+   */
+  setDelegation(validator, delegator, amount) {
+    if (!this.delegations.has(validator)) {
+      this.delegations.set(validator, new Map());
+    }
+    if (amount > 0) {
+      this.delegations.get(validator).set(delegator, amount);
+    } else {
+      this.delegations.get(validator).delete(delegator);
+    }
+  }
+
+  /**
+   * Split a validator reward between the validator and its delegators
+   * Delegators share the part of the reward their stake earned, pro rata and
+   * minus the validator's commission. The validator keeps the rest, including
+   * rounding remainders.
+   * @param {string} validator - Validator address
+   * @param {number} reward - Reward in base units
+   * @returns {Map} - Address -> reward in base units
+   */
+  splitReward(validator, reward) {
+    const payouts = new Map();
+    const delegated = this.getDelegatedStake(validator);
+    let paid = 0;
+
+    if (delegated > 0) {
+      const delegatorsReward = Amount.multiply(reward, delegated / this.getValidatorWeight(validator));
+      const commission = Amount.multiply(delegatorsReward, this.commissions.get(validator) || 0);
+      for (const [delegator, amount] of this.delegations.get(validator).entries()) {
+        const share = Amount.multiply(delegatorsReward - commission, amount / delegated);
+        if (share > 0) {
+          payouts.set(delegator, share);
+          paid += share;
+        }
+      }
+    }
+
+    payouts.set(validator, reward - paid);
+    return payouts;
+  }
+
+  /**
+   * Check whether a validator is jailed at a height
+   * @param {string} address - Validator address
+   * @param {number} height - Block height
+   * @returns {boolean} - Whether the validator may not propose at that height
+   */
+  isJailed(address, height) {
+    return this.jailed.has(address) && height < this.jailed.get(address);
+  }
+
+  /**
+   * Get the epoch of a block height
+   * @param {number} height - Block height
+   * @returns {number} - Epoch number
+   */
+  getEpoch(height) {
+    return Math.floor(height / this.params.epochLength);
+  }
+
+  /**
+   * Get the number of epochs in a year
+   * @returns {number} - Epochs per year (at least 1)
+   */
+  getEpochsPerYear() {
+    return Math.max(1, Math.round(YEAR / (this.params.epochLength * this.params.blockTime)));
+  }
+
+  /**
+   * Get the minimum validator deposit at a height
+   * The deposit rises by validatorDepositIncreaseRate at the first epoch
+   * boundary of every year.
+   * @param {number} height - Block height
+   * @returns {number} - Minimum deposit in base units
+   */
+  getValidatorMinDeposit(height) {
+    const years = Math.floor(this.getEpoch(height) / this.getEpochsPerYear());
+    let minDeposit = this.params.validatorMinDeposit;
+    for (let year = 0; year < years; year++) {
+      minDeposit = Amount.multiply(minDeposit, 1 + this.params.validatorDepositIncreaseRate);
+    }
+    return minDeposit;
+  }
+
+  /**
+   * Apply the epoch transition at the first block of an epoch
+   * Runs at the start of the block, before its transactions:
+   * - pays the APY reward of the epoch that ended
+   * - moves validators below the minimum deposit into unbonding
+   * - fixes the validator set of the new epoch
+   * @param {number} height - Height of the block being applied
+   * @param {number} timestamp - Block timestamp
+   */
+  async processEpochBoundary(height, timestamp) {
+    if (height === 0 || height % this.params.epochLength !== 0) {
+      return;
+    }
+
+    const epoch = this.getEpoch(height);
+    const endedEpochValidators = this.getEpochValidators();
+
+    // Reward validators of the ended epoch that were not jailed at its end,
+    // on the smaller of their weight then and now
+    const epochRate = this.params.validatorAPY / this.getEpochsPerYear();
+    for (const address of Object.keys(endedEpochValidators).sort()) {
+      if (!this.validators.has(address) || this.isJailed(address, height - 1)) {
+        continue;
+      }
+      const weight = Math.min(endedEpochValidators[address], this.getValidatorWeight(address));
+      const reward = Amount.multiply(weight, epochRate);
+      if (reward > 0) {
+        await this.payEpochReward(address, reward, epoch - 1, timestamp);
+      }
+    }
+
+    // Eject validators below the minimum deposit of the new epoch
+    const minDeposit = this.getValidatorMinDeposit(height);
+    for (const [address, stake] of [...this.validators.entries()]) {
+      if (stake < minDeposit) {
         this.validators.delete(address);
+        const releaseHeight = await this.startUnbonding(address, address, stake);
+        console.log(`Validator ${address} removed: staked amount (${Amount.format(stake)}) below minimum (${Amount.format(minDeposit)}), unbonding until block #${releaseHeight}`);
       }
     }
-    
-    // Save updated validators list
     await this.saveValidators();
+
+    // Stake changes made during the ended epoch take effect now
+    this.epochValidators = this.getValidatorWeights();
+    await this.state.put('EPOCH_VALIDATORS', JSON.stringify(this.epochValidators));
+
+    console.log(`Epoch ${epoch} started at block #${height} with ${Object.keys(this.epochValidators).length} validators, minimum deposit ${Amount.format(minDeposit)} DOU`);
+  }
+
+  /**
+   * Pay the epoch reward of a validator and its delegators
+   * @param {string} validator - Validator address
+   * @param {number} reward - Reward in base units
+   * @param {number} epoch - Epoch the reward is for
+   * @param {number} timestamp - Timestamp of the block paying it
+   */
+  async payEpochReward(validator, reward, epoch, timestamp) {
+    const payouts = this.splitReward(validator, reward);
+
+    const rewardTx = new Transaction(
+      'REWARD',
+      null,
+      validator,
+      reward,
+      0,
+      { type: 'VALIDATOR_EPOCH_REWARD', epoch, payouts: Object.fromEntries(payouts) }
+    );
+
+    // Use the block time so every node derives the same reward hash
+    rewardTx.timestamp = timestamp;
+    rewardTx.hash = rewardTx.calculateHash();
+    await this.state.put(`TX_${rewardTx.hash}`, JSON.stringify(rewardTx.toJSON()));
+
+    for (const [address, amount] of payouts.entries()) {
+      const balance = await this.getAddressBalance(address);
+      await this.state.put(`BALANCE_${address}`, balance + amount);
+    }
+    await this.addToSupply({ validatorRewards: reward });
+
+    console.log(`Validator ${validator} earned ${Amount.format(reward)} DOU for epoch ${epoch}`);
+  }
+
+  /**
+   * Open the supply ledger before the first block that uses it
+   * Everything that exists at that point, liquid or staked, counts as the
+   * genesis allocation, so chains started before the ledger track their
+   * supply from that block on.
+   */
+  async openSupplyLedger() {
+    if (!await this.state.exists('SUPPLY')) {
+      await this.state.put('SUPPLY', JSON.stringify(await this.getSupplyLedger()));
+    }
+  }
+
+  /**
+   * Get the supply ledger
+   * @returns {Object} - Ledger buckets in base units
+   */
+  async getSupplyLedger() {
+    try {
+      return JSON.parse(await this.state.get('SUPPLY'));
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+    }
+
+    const staked = this.getTotalStake();
+    const locked = await this.getTotalLocked();
+    return {
+      genesis: await this.getTotalBalance() + staked + locked,
+      minted: 0,
+      validatorRewards: 0,
+      messagingRewards: 0,
+      feesRedistributed: 0,
+      slashBurned: 0,
+      nameFeesBurned: 0,
+      staked,
+      locked
+    };
+  }
+
+  /**
+   * Add amounts to buckets of the supply ledger
+   * @param {Object} changes - Bucket -> amount in base units (negative to subtract)
+   */
+  async addToSupply(changes) {
+    const ledger = await this.getSupplyLedger();
+    for (const [bucket, amount] of Object.entries(changes)) {
+      ledger[bucket] = (ledger[bucket] || 0) + amount;
+    }
+    await this.state.put('SUPPLY', JSON.stringify(ledger));
+  }
+
+  /**
+   * Get the total supply with its breakdown
+   * @returns {Object} - Ledger buckets plus total and liquid supply, in base units
+   */
+  async getSupply() {
+    // Ledgers opened before HTLCs or names existed lack those buckets until they are first used
+    const ledger = { locked: 0, nameFeesBurned: 0, ...await this.getSupplyLedger() };
+    const total = ledger.genesis + ledger.minted + ledger.validatorRewards + ledger.messagingRewards -
+      ledger.slashBurned - ledger.nameFeesBurned;
+    return { ...ledger, total, liquid: total - ledger.staked - ledger.locked };
+  }
+
+  /**
+   * Check the supply ledger against the balances and stakes in the state
+   * @returns {Object} - Supply, summed balances, stake and locked DOU, and whether they match
+   */
+  async auditSupply() {
+    const supply = await this.getSupply();
+    const balances = await this.getTotalBalance();
+    const staked = this.getTotalStake();
+    const locked = await this.getTotalLocked();
+    return {
+      supply,
+      balances,
+      staked,
+      locked,
+      consistent: balances === supply.liquid && staked === supply.staked && locked === supply.locked
+    };
+  }
+
+  /**
+   * Get the sum of all balances
+   * @returns {number} - Liquid DOU in base units
+   */
+  async getTotalBalance() {
+    const balances = await this.state.getAll('BALANCE_');
+    return Object.values(balances).reduce((total, balance) => total + balance, 0);
+  }
+
+  /**
+   * Get the DOU held in unsettled hash time-locked transfers
+   * @returns {number} - Locked DOU in base units
+   */
+  async getTotalLocked() {
+    const htlcs = Object.values(await this.state.getAll('HTLC_')).map(value => JSON.parse(value));
+    return htlcs.filter(htlc => htlc.status === 'locked').reduce((total, htlc) => total + htlc.amount, 0);
+  }
+
+  /**
+   * Get the stake that is bonded, delegated or unbonding
+   * @returns {number} - Staked DOU in base units
+   */
+  getTotalStake() {
+    let staked = 0;
+    for (const stake of this.validators.values()) {
+      staked += stake;
+    }
+    for (const delegators of this.delegations.values()) {
+      for (const amount of delegators.values()) {
+        staked += amount;
+      }
+    }
+    for (const entries of this.unbonding.values()) {
+      staked += entries.reduce((total, entry) => total + entry.amount, 0);
+    }
+    return staked;
   }
 
   /**
@@ -885,22 +3731,15 @@ class Blockchain extends EventEmitter {
    */
   async getNetworkStats() {
     const latestBlock = await this.getLatestBlock();
-    
-    let totalSupply = 0;
-    try {
-      totalSupply = parseFloat(await this.db.get('TOTAL_SUPPLY'));
-    } catch (err) {
-      if (err.type !== 'NotFoundError') {
-        throw err;
-      }
-    }
+    const supply = await this.getSupply();
     
     return {
+      chainId: this.chainId,
       blockHeight: latestBlock.height,
       lastBlockTime: latestBlock.timestamp,
       validatorCount: this.validators.size,
-      totalSupply: totalSupply,
-      minimumValidatorDeposit: this.validatorMinDeposit
+      totalSupply: supply.total,
+      minimumValidatorDeposit: this.getValidatorMinDeposit(this.currentHeight + 1)
     };
   }
 }
@@ -0,0 +1,103 @@
+/**
+ * Double-signing evidence for DoucyA blockchain
+ * Two different block headers for the same slot signed by the same validator
+ * prove that it equivocated: a proposer signs at most one block per slot.
+ * Headers at the same height from different slots are not evidence, since an
+ * honest validator signs both when a reorganization replaces its block. The
+ * evidence carries both signed
+ * headers and the validator's public key, so any node can check it without
+ * having seen the blocks.
+ */
+
+'use strict';
+
+const Address = require('./address');
+const Block = require('./block');
+
+// Header fields kept in the evidence, besides the hash and signature
+const HEADER_FIELDS = ['height', 'previousHash', 'timestamp', 'merkleRoot', 'stateRoot', 'validator'];
+
+class Evidence {
+  /**
+   * Get the signed header of a block
+   * @param {Block} block - Signed block
+   * @returns {Object} - Header fields with hash and signature
+   */
+  static getSignedHeader(block) {
+    const header = {};
+    for (const field of HEADER_FIELDS) {
+      header[field] = block[field];
+    }
+    header.hash = block.hash;
+    header.signature = block.signature;
+    return header;
+  }
+
+  /**
+   * Create evidence from two conflicting signed headers
+   * The headers are ordered by hash so the same conflict always yields the same evidence.
+   * @param {Object} headerA - First signed header
+   * @param {Object} headerB - Second signed header
+   * @param {string} publicKey - Public key of the validator
+   * @returns {Object} - Evidence (transaction data of SLASH_EVIDENCE)
+   */
+  static create(headerA, headerB, publicKey) {
+    const headers = [headerA, headerB].sort((a, b) => (a.hash < b.hash ? -1 : 1));
+    return { headers, publicKey };
+  }
+
+  /**
+   * Verify evidence of double-signing
+   * @param {Object} evidence - Evidence to verify
+   * @param {Function} getSlot - Slot of a block timestamp on this chain
+   * @returns {Object} - Offending validator and slot
+   * @throws {Error} - If the evidence does not prove double-signing
+   */
+  static verify(evidence, getSlot) {
+    if (!evidence || !Array.isArray(evidence.headers) || evidence.headers.length !== 2 ||
+        typeof evidence.publicKey !== 'string') {
+      throw new Error('Evidence must hold two headers and a public key');
+    }
+
+    const [headerA, headerB] = evidence.headers;
+    if (headerA.hash === headerB.hash) {
+      throw new Error('Evidence headers are the same block');
+    }
+    if (!Number.isInteger(headerA.timestamp) || !Number.isInteger(headerB.timestamp) ||
+        getSlot(headerA.timestamp) !== getSlot(headerB.timestamp)) {
+      throw new Error('Evidence headers are for different slots');
+    }
+    if (headerA.validator !== headerB.validator) {
+      throw new Error('Evidence headers are signed by different validators');
+    }
+
+    let validator;
+    try {
+      validator = Address.publicKeyToAddress(evidence.publicKey);
+    } catch (err) {
+      throw new Error('Invalid public key in evidence');
+    }
+    if (validator !== headerA.validator) {
+      throw new Error('Evidence public key does not belong to the validator');
+    }
+
+    for (const header of evidence.headers) {
+      if (header.hash !== Block.hashHeader(header)) {
+        throw new Error(`Evidence header ${header.hash} does not match its hash`);
+      }
+      let valid = false;
+      try {
+        valid = Address.verifySignature(header.hash, header.signature, evidence.publicKey);
+      } catch (err) {
+        // Malformed signature
+      }
+      if (!valid) {
+        throw new Error(`Evidence header ${header.hash} has an invalid signature`);
+      }
+    }
+
+    return { validator, slot: getSlot(headerA.timestamp) };
+  }
+}
+
+module.exports = Evidence;
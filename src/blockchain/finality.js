@@ -0,0 +1,159 @@
+/**
+ * Finality votes for DoucyA blockchain
+ * Validators sign a vote for each block they add to their main chain, linking
+ * it to the latest justified block they know (the source). Once the votes
+ * for a block with the same justified source carry more than 2/3 of the stake
+ * that could propose it, the block is justified; a justified block whose
+ * child is justified from it becomes a finalized checkpoint that the chain
+ * never reverts. A validator must never cast two different votes for one
+ * height, nor a vote whose source and target both lie strictly inside those
+ * of another of its votes. Two votes breaking either rule are slashable
+ * evidence, so conflicting checkpoints can only be finalized if validators
+ * holding more than 1/3 of the stake lose part of it.
+ * A vote carries the validator's public key, so any node can check it
+ * without knowing the validator.
+ */
+
+'use strict';
+
+const Address = require('./address');
+const Encoding = require('../crypto/encoding');
+
+class Finality {
+  /**
+   * Get the hash a vote signs
+   * @param {Object} vote - Vote with source, blockHash, height and validator
+   * @returns {string} - Vote hash
+   */
+  static getVoteHash(vote) {
+    return Encoding.hash({
+      sourceHash: vote.sourceHash,
+      sourceHeight: vote.sourceHeight,
+      blockHash: vote.blockHash,
+      height: vote.height,
+      validator: vote.validator
+    });
+  }
+
+  /**
+   * Create a signed vote for a block
+   * @param {Object} source - Justified checkpoint the block descends from ({ height, hash })
+   * @param {Block} block - Block to vote for
+   * @param {string} validator - Validator address
+   * @param {string} publicKey - Public key of the validator
+   * @param {Function} signCallback - Function to sign the vote hash
+   * @returns {Object} - Vote (gossiped on doucya:votes)
+   */
+  static async createVote(source, block, validator, publicKey, signCallback) {
+    const vote = {
+      sourceHash: source.hash,
+      sourceHeight: source.height,
+      blockHash: block.hash,
+      height: block.height,
+      validator,
+      publicKey
+    };
+    vote.signature = await signCallback(this.getVoteHash(vote));
+    return vote;
+  }
+
+  /**
+   * Verify a vote
+   * @param {Object} vote - Vote to verify
+   * @returns {Object} - Block hash, height and validator of the vote
+   * @throws {Error} - If the vote is malformed or not signed by the validator
+   */
+  static verify(vote) {
+    if (!vote || typeof vote.blockHash !== 'string' || !Number.isInteger(vote.height) ||
+        typeof vote.sourceHash !== 'string' || !Number.isInteger(vote.sourceHeight) ||
+        typeof vote.validator !== 'string' || typeof vote.publicKey !== 'string') {
+      throw new Error('Vote must hold a source, a block hash, height, validator and public key');
+    }
+    if (vote.sourceHeight < 0 || vote.sourceHeight >= vote.height) {
+      throw new Error('Vote source must be below the block voted for');
+    }
+
+    let validator;
+    try {
+      validator = Address.publicKeyToAddress(vote.publicKey);
+    } catch (err) {
+      throw new Error('Invalid public key in vote');
+    }
+    if (validator !== vote.validator) {
+      throw new Error('Vote public key does not belong to the validator');
+    }
+
+    let valid = false;
+    try {
+      valid = Address.verifySignature(this.getVoteHash(vote), vote.signature, vote.publicKey);
+    } catch (err) {
+      // Malformed signature
+    }
+    if (!valid) {
+      throw new Error(`Vote of ${vote.validator} for block ${vote.blockHash} has an invalid signature`);
+    }
+
+    return { blockHash: vote.blockHash, height: vote.height, validator };
+  }
+
+  /**
+   * Check whether two votes of a validator break the voting rules
+   * @param {Object} voteA - Verified vote
+   * @param {Object} voteB - Verified vote of the same validator
+   * @returns {boolean} - Whether they are two votes for one height, or one surrounds the other
+   */
+  static conflicts(voteA, voteB) {
+    if (voteA.height === voteB.height) {
+      return voteA.blockHash !== voteB.blockHash || voteA.sourceHash !== voteB.sourceHash;
+    }
+    const [inner, outer] = voteA.height < voteB.height ? [voteA, voteB] : [voteB, voteA];
+    return outer.sourceHeight < inner.sourceHeight;
+  }
+
+  /**
+   * Create evidence from two conflicting votes
+   * The votes are ordered by hash so the same conflict always yields the same evidence.
+   * @param {Object} voteA - First vote
+   * @param {Object} voteB - Second vote
+   * @returns {Object} - Evidence (transaction data of SLASH_EVIDENCE)
+   */
+  static createEvidence(voteA, voteB) {
+    const votes = [voteA, voteB].sort((a, b) => (this.getVoteHash(a) < this.getVoteHash(b) ? -1 : 1));
+    return { votes };
+  }
+
+  /**
+   * Verify evidence of conflicting votes
+   * @param {Object} evidence - Evidence to verify
+   * @returns {Object} - Offending validator and the higher height of the two votes
+   * @throws {Error} - If the evidence does not prove a broken voting rule
+   */
+  static verifyEvidence(evidence) {
+    if (!evidence || !Array.isArray(evidence.votes) || evidence.votes.length !== 2) {
+      throw new Error('Evidence must hold two votes');
+    }
+
+    const [voteA, voteB] = evidence.votes;
+    const { validator } = this.verify(voteA);
+    if (this.verify(voteB).validator !== validator) {
+      throw new Error('Evidence votes are signed by different validators');
+    }
+    if (!this.conflicts(voteA, voteB)) {
+      throw new Error('Evidence votes do not conflict');
+    }
+
+    return { validator, height: Math.max(voteA.height, voteB.height) };
+  }
+
+  /**
+   * Check whether votes carry more than 2/3 of the stake
+   * @param {number} votedStake - Stake of the validators that voted
+   * @param {number} totalStake - Stake of all validators
+   * @returns {boolean} - Whether the votes finalize the block
+   */
+  static hasQuorum(votedStake, totalStake) {
+    return totalStake > 0 && BigInt(votedStake) * 3n > BigInt(totalStake) * 2n;
+  }
+}
+
+module.exports = Finality;
@@ -0,0 +1,244 @@
+/**
+ * Genesis configuration for DoucyA blockchain
+ * The genesis file fixes everything the first block depends on (chain id,
+ * timestamp, initial allocations, initial validators and consensus
+ * parameters), so every node loading the same file derives the same genesis
+ * block hash. Amounts in the file are in DOU and are converted to base units.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const config = require('../config');
+const Address = require('./address');
+const Amount = require('./amount');
+const Transaction = require('./transaction');
+
+// Consensus parameters a genesis file may set; missing ones default to config.blockchain
+const CONSENSUS_PARAMS = [
+  'blockTime',
+  'validatorMinDeposit',
+  'validatorDepositIncreaseRate',
+  'validatorAPY',
+  'maxBlockTransactions',
+  'maxBlockSize',
+  'maxTransferOutputs',
+  'epochLength',
+  'slashFraction',
+  'slashReporterShare',
+  'jailEpochs',
+  'unbondingBlocks',
+  'nameRegistrationFee',
+  'nameRegistrationBlocks',
+  'messageSendReward',
+  'messageReceiveReward',
+  'messageFee'
+];
+
+// Consensus parameters given in DOU
+const AMOUNT_PARAMS = ['validatorMinDeposit', 'nameRegistrationFee', 'messageSendReward', 'messageReceiveReward', 'messageFee'];
+
+// Counts, lengths and times, which the chain divides by or counts down, so they must be positive integers
+const COUNT_PARAMS = [
+  'blockTime',
+  'maxBlockTransactions',
+  'maxBlockSize',
+  'maxTransferOutputs',
+  'epochLength',
+  'jailEpochs',
+  'unbondingBlocks',
+  'nameRegistrationBlocks'
+];
+
+// Rates and shares, from 0 to 1
+const FRACTION_PARAMS = ['validatorDepositIncreaseRate', 'validatorAPY', 'slashFraction', 'slashReporterShare'];
+
+class Genesis {
+  /**
+   * Load and validate a genesis file
+   * @param {string} filePath - Path to the genesis file
+   * @returns {Object} - Validated genesis configuration
+   * @throws {Error} - If the file is missing or invalid
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Genesis file not found: ${filePath}`);
+    }
+
+    let genesis;
+    try {
+      genesis = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid genesis file ${filePath}: ${err.message}`);
+    }
+
+    return this.validate(genesis);
+  }
+
+  /**
+   * Validate a genesis configuration and fill in default consensus parameters
+   * @param {Object} genesis - Genesis configuration
+   * @returns {Object} - Validated genesis configuration
+   * @throws {Error} - If the configuration is invalid
+   */
+  static validate(genesis) {
+    if (!genesis || typeof genesis !== 'object') {
+      throw new Error('Genesis must be an object');
+    }
+    if (typeof genesis.chainId !== 'string' || genesis.chainId.length === 0) {
+      throw new Error('Genesis chainId must be a non-empty string');
+    }
+    if (!Number.isSafeInteger(genesis.timestamp) || genesis.timestamp < 0) {
+      throw new Error('Genesis timestamp must be a non-negative integer (milliseconds)');
+    }
+
+    const consensus = this.defaultConsensus();
+    for (const [param, value] of Object.entries(genesis.consensus || {})) {
+      if (!CONSENSUS_PARAMS.includes(param)) {
+        throw new Error(`Unknown consensus parameter: ${param}`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new Error(`Consensus parameter ${param} must be a non-negative number`);
+      }
+      if (COUNT_PARAMS.includes(param) && !(Number.isSafeInteger(value) && value > 0)) {
+        throw new Error(`Consensus parameter ${param} must be a positive integer`);
+      }
+      if (FRACTION_PARAMS.includes(param) && value > 1) {
+        throw new Error(`Consensus parameter ${param} must be between 0 and 1`);
+      }
+      consensus[param] = AMOUNT_PARAMS.includes(param) ? this.parseAmount(value, param) : value;
+    }
+
+    const allocations = this.validateEntries(genesis.allocations || [], 'allocation', 'amount');
+    const validators = this.validateEntries(genesis.validators || [], 'validator', 'stake');
+    validators.forEach((validator, i) => {
+      if (validator.stake < consensus.validatorMinDeposit) {
+        throw new Error(`Genesis validator ${validator.address} stake is below the minimum deposit of ${Amount.format(consensus.validatorMinDeposit)} DOU`);
+      }
+      // Blocks are checked against the key, and genesis validators sign blocks
+      // before any transaction of theirs can be on chain
+      const { publicKey } = genesis.validators[i];
+      if (!Address.isValidPublicKey(publicKey) || Address.publicKeyToAddress(publicKey) !== validator.address) {
+        throw new Error(`Genesis validator ${validator.address} needs the public key of its address`);
+      }
+      validator.publicKey = publicKey;
+    });
+
+    return {
+      chainId: genesis.chainId,
+      timestamp: genesis.timestamp,
+      allocations,
+      validators,
+      consensus
+    };
+  }
+
+  /**
+   * Validate a list of address/amount entries
+   * @param {Array} entries - Entries from the genesis file
+   * @param {string} name - Entry name for error messages
+   * @param {string} field - Name of the amount field
+   * @returns {Array<Object>} - Entries with only the address and amount field (in base units)
+   * @throws {Error} - If an entry is invalid or an address is listed twice
+   */
+  static validateEntries(entries, name, field) {
+    if (!Array.isArray(entries)) {
+      throw new Error(`Genesis ${name}s must be an array`);
+    }
+
+    const seen = new Set();
+    return entries.map(entry => {
+      if (!entry || !Address.isValidAddress(entry.address)) {
+        throw new Error(`Invalid ${name} address: ${entry && entry.address}`);
+      }
+      if (seen.has(entry.address)) {
+        throw new Error(`Duplicate ${name} for ${entry.address}`);
+      }
+      const units = this.parseAmount(entry[field], `${name} ${field} for ${entry.address}`);
+      if (units === 0) {
+        throw new Error(`Genesis ${name} ${field} for ${entry.address} must be positive`);
+      }
+      seen.add(entry.address);
+      return { address: entry.address, [field]: units };
+    });
+  }
+
+  /**
+   * Parse a DOU amount from the genesis file
+   * @param {string|number} value - Amount in DOU
+   * @param {string} name - Name for error messages
+   * @returns {number} - Amount in base units
+   * @throws {Error} - If the amount is invalid
+   */
+  static parseAmount(value, name) {
+    try {
+      return Amount.parse(value);
+    } catch (err) {
+      throw new Error(`Genesis ${name}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Get the default consensus parameters
+   * @returns {Object} - Consensus parameters from config.blockchain (amounts in base units)
+   */
+  static defaultConsensus() {
+    const consensus = {};
+    for (const param of CONSENSUS_PARAMS) {
+      consensus[param] = AMOUNT_PARAMS.includes(param)
+        ? Amount.parse(config.blockchain[param])
+        : config.blockchain[param];
+    }
+    return consensus;
+  }
+
+  /**
+   * Get the chain configuration stored in the chain state
+   * @param {Object} genesis - Validated genesis configuration
+   * @returns {Object} - Chain id and consensus parameters
+   */
+  static getChainConfig(genesis) {
+    return {
+      chainId: genesis.chainId,
+      consensus: genesis.consensus
+    };
+  }
+
+  /**
+   * Create the MINT transactions for the initial allocations
+   * @param {Object} genesis - Validated genesis configuration
+   * @returns {Array<Transaction>} - Genesis transactions
+   */
+  static createTransactions(genesis) {
+    return genesis.allocations.map(allocation => {
+      const tx = new Transaction('MINT', null, allocation.address, allocation.amount, 0, { genesis: genesis.chainId });
+      tx.timestamp = genesis.timestamp;
+      tx.hash = tx.calculateHash();
+      return tx;
+    });
+  }
+
+  /**
+   * Get the chain state right after the genesis block
+   * @param {Object} genesis - Validated genesis configuration
+   * @returns {Object} - State key -> value
+   */
+  static getInitialState(genesis) {
+    const state = {};
+    for (const allocation of genesis.allocations) {
+      state[`BALANCE_${allocation.address}`] = allocation.amount;
+    }
+
+    const validators = {};
+    for (const validator of genesis.validators) {
+      validators[validator.address] = validator.stake;
+      state[`VALIDATOR_KEY_${validator.address}`] = validator.publicKey;
+    }
+    state.VALIDATORS = JSON.stringify(validators);
+    state.CHAIN_CONFIG = JSON.stringify(this.getChainConfig(genesis));
+
+    return state;
+  }
+}
+
+module.exports = Genesis;
@@ -0,0 +1,67 @@
+/**
+ * Hash time-locked contracts for DoucyA blockchain
+ * An HTLC_LOCK transaction moves DOU from the sender's balance into a lock
+ * identified by the transaction hash. Before the expiry height, HTLC_CLAIM
+ * releases it to the recipient by revealing a preimage whose SHA-256 hash is
+ * the hashlock; from the expiry height on, HTLC_REFUND returns it to the
+ * sender. The hashlock is the plain SHA-256 of the preimage bytes, as on other
+ * hashlock-compatible chains, so the same secret can settle both sides of a swap.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// Longest accepted preimage in bytes
+const MAX_PREIMAGE_BYTES = 64;
+
+class Htlc {
+  /**
+   * Compute the hashlock of a preimage
+   * @param {string} preimage - Preimage in hex format
+   * @returns {string} - SHA-256 of the preimage bytes in hex format
+   */
+  static hashPreimage(preimage) {
+    return crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+  }
+
+  /**
+   * Generate a random preimage and its hashlock
+   * @returns {Object} - Preimage and hashlock in hex format
+   */
+  static generateSecret() {
+    const preimage = crypto.randomBytes(32).toString('hex');
+    return { preimage, hashlock: this.hashPreimage(preimage) };
+  }
+
+  /**
+   * Check the format of a hashlock
+   * @param {string} hashlock - Hashlock
+   * @returns {boolean} - Whether it is a SHA-256 hash in lowercase hex
+   */
+  static isValidHashlock(hashlock) {
+    return typeof hashlock === 'string' && /^[0-9a-f]{64}$/.test(hashlock);
+  }
+
+  /**
+   * Check the format of a preimage
+   * @param {string} preimage - Preimage
+   * @returns {boolean} - Whether it is 1 to MAX_PREIMAGE_BYTES bytes in lowercase hex
+   */
+  static isValidPreimage(preimage) {
+    return typeof preimage === 'string' && preimage.length > 0 &&
+      preimage.length <= MAX_PREIMAGE_BYTES * 2 && /^([0-9a-f]{2})+$/.test(preimage);
+  }
+
+  /**
+   * Check whether a preimage unlocks a hashlock
+   * @param {string} preimage - Preimage in hex format
+   * @param {string} hashlock - Hashlock in hex format
+   * @returns {boolean} - Whether the preimage hashes to the hashlock
+   */
+  static matches(preimage, hashlock) {
+    return this.isValidPreimage(preimage) && this.hashPreimage(preimage) === hashlock;
+  }
+}
+
+module.exports = Htlc;
@@ -0,0 +1,264 @@
+/**
+ * Mempool for DoucyA blockchain
+ * Holds transactions waiting for a block, ordered by fee per byte while
+ * keeping each sender's transactions in nonce order.
+ */
+
+'use strict';
+
+const Encoding = require('../crypto/encoding');
+const Amount = require('./amount');
+const config = require('../config');
+
+class Mempool {
+  /**
+   * Create a new mempool
+   * @param {Object} options - Limits (defaults to config.mempool)
+   */
+  constructor(options = config.mempool) {
+    this.maxSize = options.maxSize;
+    this.maxPerSender = options.maxPerSender;
+    this.maxNonceGap = options.maxNonceGap;
+    this.expiryTime = options.expiryTime;
+    this.minFeeBump = options.minFeeBump;
+    this.entries = new Map(); // tx hash -> { tx, size, feeRate, addedAt }
+    this.senders = new Map(); // sender address -> Map(nonce -> tx hash)
+  }
+
+  /**
+   * Number of pending transactions
+   * @returns {number} - Mempool size
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add a transaction
+   * A transaction with the same sender and nonce as a pending one replaces it
+   * if it pays a high enough fee. When the mempool is full the transaction
+   * with the lowest fee per byte is evicted to make room.
+   * @param {Transaction} tx - Transaction to add
+   * @param {number} accountNonce - Confirmed nonce of the sender
+   * @param {number} now - Current time
+   * @returns {string} - Transaction hash
+   * @throws {Error} - If the transaction is rejected
+   */
+  add(tx, accountNonce = 0, now = Date.now()) {
+    if (this.entries.has(tx.hash)) {
+      throw new Error('Transaction already in mempool');
+    }
+
+    const size = Encoding.encode(tx).length;
+    const entry = { tx, size, feeRate: (tx.fee || 0) / size, addedAt: now };
+
+    if (tx.from) {
+      if (tx.nonce < accountNonce) {
+        throw new Error(`Nonce ${tx.nonce} already used (account nonce is ${accountNonce})`);
+      }
+      if (tx.nonce > accountNonce + this.maxNonceGap) {
+        throw new Error(`Nonce ${tx.nonce} too far ahead of account nonce ${accountNonce}`);
+      }
+
+      const nonces = this.senders.get(tx.from);
+      const replacedHash = nonces && nonces.get(tx.nonce);
+      if (replacedHash) {
+        // Replace-by-fee for a stuck transaction
+        const replaced = this.entries.get(replacedHash).tx;
+        // Lowest whole fee above the stuck one that raises it by minFeeBump
+        const minFee = Math.max(replaced.fee + 1, Math.ceil(replaced.fee * (1 + this.minFeeBump)));
+        if (tx.fee < minFee) {
+          throw new Error(`Replacement fee must be at least ${Amount.format(minFee)} DOU`);
+        }
+        this.remove(replacedHash);
+      } else if (nonces && nonces.size >= this.maxPerSender) {
+        throw new Error(`Sender ${tx.from} already has ${this.maxPerSender} pending transactions`);
+      }
+    }
+
+    if (this.entries.size >= this.maxSize) {
+      const lowest = this.getLowestFeeEntry();
+      if (!lowest || lowest.feeRate >= entry.feeRate) {
+        throw new Error('Mempool full and fee too low to evict a pending transaction');
+      }
+      this.remove(lowest.tx.hash);
+    }
+
+    this.entries.set(tx.hash, entry);
+    if (tx.from) {
+      if (!this.senders.has(tx.from)) {
+        this.senders.set(tx.from, new Map());
+      }
+      this.senders.get(tx.from).set(tx.nonce, tx.hash);
+    }
+
+    return tx.hash;
+  }
+
+  /**
+   * Remove a transaction
+   * @param {string} hash - Transaction hash
+   * @returns {boolean} - Whether the transaction was pending
+   */
+  remove(hash) {
+    const entry = this.entries.get(hash);
+    if (!entry) {
+      return false;
+    }
+
+    this.entries.delete(hash);
+    const nonces = entry.tx.from && this.senders.get(entry.tx.from);
+    if (nonces && nonces.get(entry.tx.nonce) === hash) {
+      nonces.delete(entry.tx.nonce);
+      if (nonces.size === 0) {
+        this.senders.delete(entry.tx.from);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a transaction is pending
+   * @param {string} hash - Transaction hash
+   * @returns {boolean} - Whether the transaction is pending
+   */
+  has(hash) {
+    return this.entries.has(hash);
+  }
+
+  /**
+   * Get a pending transaction
+   * @param {string} hash - Transaction hash
+   * @returns {Transaction|null} - Transaction
+   */
+  get(hash) {
+    const entry = this.entries.get(hash);
+    return entry ? entry.tx : null;
+  }
+
+  /**
+   * Get all pending transactions in arrival order
+   * @returns {Array<Transaction>} - Transactions
+   */
+  getTransactions() {
+    return Array.from(this.entries.values(), entry => entry.tx);
+  }
+
+  /**
+   * Get the addresses with pending transactions
+   * @returns {Array<string>} - Sender addresses
+   */
+  getSenders() {
+    return Array.from(this.senders.keys());
+  }
+
+  /**
+   * Get the nonce to use for a sender's next transaction
+   * @param {string} address - Sender address
+   * @param {number} accountNonce - Confirmed nonce of the sender
+   * @returns {number} - First nonce not taken by a pending transaction
+   */
+  getNextNonce(address, accountNonce) {
+    const nonces = this.senders.get(address);
+    let nonce = accountNonce;
+    while (nonces && nonces.has(nonce)) {
+      nonce++;
+    }
+    return nonce;
+  }
+
+  /**
+   * Drop a sender's transactions whose nonce has been used on chain
+   * @param {string} address - Sender address
+   * @param {number} accountNonce - Confirmed nonce of the sender
+   */
+  removeBelowNonce(address, accountNonce) {
+    const nonces = this.senders.get(address);
+    if (!nonces) return;
+
+    for (const [nonce, hash] of Array.from(nonces.entries())) {
+      if (nonce < accountNonce) {
+        this.remove(hash);
+      }
+    }
+  }
+
+  /**
+   * Drop transactions that have waited longer than the expiry time
+   * @param {number} now - Current time
+   * @returns {number} - Number of expired transactions
+   */
+  expire(now = Date.now()) {
+    let expired = 0;
+    for (const [hash, entry] of Array.from(this.entries.entries())) {
+      if (now - entry.addedAt > this.expiryTime) {
+        this.remove(hash);
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Get the entry with the lowest fee per byte (oldest first on ties)
+   * @returns {Object|null} - Mempool entry
+   */
+  getLowestFeeEntry() {
+    let lowest = null;
+    for (const entry of this.entries.values()) {
+      if (!lowest || entry.feeRate < lowest.feeRate) {
+        lowest = entry;
+      }
+    }
+    return lowest;
+  }
+
+  /**
+   * Select transactions for a block
+   * The highest fee per byte goes first, but a sender's transactions are
+   * always taken in nonce order.
+   * @param {number} maxCount - Maximum number of transactions
+   * @param {number} maxBytes - Maximum total encoded size
+   * @returns {Array<Transaction>} - Selected transactions
+   */
+  selectTransactions(maxCount, maxBytes) {
+    const queues = [];
+    for (const nonces of this.senders.values()) {
+      const ordered = Array.from(nonces.keys()).sort((a, b) => a - b);
+      queues.push(ordered.map(nonce => this.entries.get(nonces.get(nonce))));
+    }
+    for (const entry of this.entries.values()) {
+      if (!entry.tx.from) {
+        queues.push([entry]);
+      }
+    }
+
+    const selected = [];
+    let bytes = 0;
+    while (selected.length < maxCount) {
+      let best = null;
+      for (const queue of queues) {
+        if (queue.length === 0) continue;
+        if (!best || queue[0].feeRate > best[0].feeRate ||
+            (queue[0].feeRate === best[0].feeRate && queue[0].addedAt < best[0].addedAt)) {
+          best = queue;
+        }
+      }
+      if (!best) break;
+
+      const entry = best.shift();
+      if (bytes + entry.size > maxBytes) {
+        // Later nonces of this sender cannot be included without this one
+        best.length = 0;
+        continue;
+      }
+
+      selected.push(entry.tx);
+      bytes += entry.size;
+    }
+
+    return selected;
+  }
+}
+
+module.exports = Mempool;
@@ -0,0 +1,150 @@
+/**
+ * Merkle tree utilities for DoucyA blockchain
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Domain separation prefixes so a leaf can never be passed off as an inner node
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+// Root of a tree without leaves
+const EMPTY_ROOT = '0'.repeat(64);
+
+class MerkleTree {
+  /**
+   * Hash a leaf
+   * @param {string} hash - Leaf hash in hex format
+   * @returns {string} - Leaf node hash
+   */
+  static hashLeaf(hash) {
+    return crypto
+      .createHash(config.crypto.hashAlgorithm)
+      .update(Buffer.concat([LEAF_PREFIX, Buffer.from(hash, 'hex')]))
+      .digest('hex');
+  }
+
+  /**
+   * Hash two child nodes into their parent
+   * @param {string} left - Left child hash
+   * @param {string} right - Right child hash
+   * @returns {string} - Parent node hash
+   */
+  static hashNode(left, right) {
+    return crypto
+      .createHash(config.crypto.hashAlgorithm)
+      .update(Buffer.concat([NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]))
+      .digest('hex');
+  }
+
+  /**
+   * Build all levels of the tree, leaves first
+   * An odd node at the end of a level is promoted to the next level unchanged.
+   * @param {Array<string>} hashes - Leaf hashes in order
+   * @returns {Array<Array<string>>} - Tree levels
+   */
+  static buildLevels(hashes) {
+    const levels = [hashes.map(hash => this.hashLeaf(hash))];
+
+    while (levels[levels.length - 1].length > 1) {
+      const level = levels[levels.length - 1];
+      const next = [];
+
+      for (let i = 0; i < level.length; i += 2) {
+        if (i + 1 < level.length) {
+          next.push(this.hashNode(level[i], level[i + 1]));
+        } else {
+          next.push(level[i]);
+        }
+      }
+
+      levels.push(next);
+    }
+
+    return levels;
+  }
+
+  /**
+   * Compute the Merkle root of a list of hashes
+   * @param {Array<string>} hashes - Leaf hashes in order
+   * @returns {string} - Merkle root
+   */
+  static computeRoot(hashes) {
+    if (hashes.length === 0) {
+      return EMPTY_ROOT;
+    }
+
+    const levels = this.buildLevels(hashes);
+    return levels[levels.length - 1][0];
+  }
+
+  /**
+   * Get an inclusion proof for a leaf
+   * @param {Array<string>} hashes - Leaf hashes in order
+   * @param {number} index - Index of the leaf to prove
+   * @returns {Array<Object>} - Proof steps from leaf to root ({ position, hash })
+   * @throws {Error} - If index is out of range
+   */
+  static getProof(hashes, index) {
+    if (index < 0 || index >= hashes.length) {
+      throw new Error(`Leaf index ${index} out of range`);
+    }
+
+    const levels = this.buildLevels(hashes);
+    const proof = [];
+
+    for (let depth = 0; depth < levels.length - 1; depth++) {
+      const level = levels[depth];
+      const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+
+      // A promoted node has no sibling at this level
+      if (siblingIndex < level.length) {
+        proof.push({
+          position: siblingIndex < index ? 'left' : 'right',
+          hash: level[siblingIndex]
+        });
+      }
+
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  }
+
+  /**
+   * Verify an inclusion proof
+   * @param {string} hash - Leaf hash
+   * @param {Array<Object>} proof - Proof steps from getProof
+   * @param {string} root - Expected Merkle root
+   * @returns {boolean} - Whether the leaf is included under the root
+   */
+  static verifyProof(hash, proof, root) {
+    if (!Array.isArray(proof)) return false;
+
+    let node = this.hashLeaf(hash);
+    for (const step of proof) {
+      if (step.position === 'left') {
+        node = this.hashNode(step.hash, node);
+      } else if (step.position === 'right') {
+        node = this.hashNode(node, step.hash);
+      } else {
+        return false;
+      }
+    }
+
+    return node === root;
+  }
+
+  /**
+   * Get the root of an empty tree
+   * @returns {string} - Empty root
+   */
+  static get EMPTY_ROOT() {
+    return EMPTY_ROOT;
+  }
+}
+
+module.exports = MerkleTree;
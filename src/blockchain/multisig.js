@@ -0,0 +1,98 @@
+/**
+ * Multi-signature accounts for DoucyA blockchain
+ * An M-of-N account is identified by an address derived from its sorted
+ * public keys and threshold, and registered on chain with a MULTISIG_CREATE
+ * transaction. Its address ends with the multisig suffix, which no
+ * single-key address has. A transaction sent from the account is valid only when at
+ * least threshold of its keys signed the transaction hash.
+ */
+
+'use strict';
+
+const Address = require('./address');
+const Encoding = require('../crypto/encoding');
+const config = require('../config');
+
+// Upper bound on the keys of an account, which bounds the signature checks per transaction
+const MAX_KEYS = 20;
+
+class Multisig {
+  /**
+   * Sort public keys into the order the account is derived from
+   * @param {Array<string>} publicKeys - Public keys in hex format
+   * @returns {Array<string>} - Sorted copy of the keys
+   */
+  static sortKeys(publicKeys) {
+    return [...publicKeys].sort();
+  }
+
+  /**
+   * Check the keys and threshold of an account
+   * @param {Array<string>} publicKeys - Public keys in hex format
+   * @param {number} threshold - Number of signatures required
+   * @throws {Error} - If the keys or threshold do not form a valid account
+   */
+  static validate(publicKeys, threshold) {
+    if (!Array.isArray(publicKeys) || publicKeys.length < 2 || publicKeys.length > MAX_KEYS) {
+      throw new Error(`A multisig account needs between 2 and ${MAX_KEYS} public keys`);
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+      throw new Error(`Threshold must be between 1 and ${publicKeys.length}`);
+    }
+    if (new Set(publicKeys).size !== publicKeys.length) {
+      throw new Error('Multisig public keys must be distinct');
+    }
+
+    for (const publicKey of publicKeys) {
+      if (!Address.isValidPublicKey(publicKey)) {
+        throw new Error(`Invalid public key in multisig account: ${publicKey}`);
+      }
+    }
+  }
+
+  /**
+   * Derive the address of an account
+   * @param {Array<string>} publicKeys - Public keys in hex format, in any order
+   * @param {number} threshold - Number of signatures required
+   * @returns {string} - DoucyA multisig address
+   */
+  static getAddress(publicKeys, threshold) {
+    const hash = Encoding.hash({ type: 'MULTISIG', publicKeys: this.sortKeys(publicKeys), threshold });
+    return `${config.address.prefix}${Address.hashToUniqueString(hash, 10)}${config.address.multisigSuffix}`;
+  }
+
+  /**
+   * Count the keys of an account that signed a transaction
+   * @param {Transaction} transaction - Transaction with signatures
+   * @param {Object} account - Account with publicKeys and threshold
+   * @returns {number} - Number of distinct account keys with a valid signature
+   */
+  static countSignatures(transaction, account) {
+    const signers = new Set();
+    for (const { publicKey, signature } of transaction.signatures || []) {
+      if (signers.has(publicKey) || !account.publicKeys.includes(publicKey)) {
+        continue;
+      }
+      try {
+        if (Address.verifySignature(transaction.hash, signature, publicKey)) {
+          signers.add(publicKey);
+        }
+      } catch (err) {
+        // Malformed signature
+      }
+    }
+    return signers.size;
+  }
+
+  /**
+   * Check whether enough keys of an account signed a transaction
+   * @param {Transaction} transaction - Transaction with signatures
+   * @param {Object} account - Account with publicKeys and threshold
+   * @returns {boolean} - Whether at least threshold keys signed it
+   */
+  static verify(transaction, account) {
+    return this.countSignatures(transaction, account) >= account.threshold;
+  }
+}
+
+module.exports = Multisig;
@@ -0,0 +1,49 @@
+/**
+ * Name registry rules for DoucyA blockchain
+ * A NAME_REGISTER transaction binds a name to the sender's address until an
+ * expiry height, for the nameRegistrationFee consensus parameter (burned).
+ * The owner can hand the name to another address with NAME_TRANSFER and extend
+ * it with NAME_RENEW; once it expires, anyone can register it again. The CLI
+ * accepts a registered name written as @name wherever it takes an address.
+ */
+
+'use strict';
+
+// Lowercase letters, digits and inner hyphens; 3 to 32 characters
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,30}[a-z0-9]$/;
+
+// Prefix marking a name where an address is expected
+const REFERENCE_PREFIX = '@';
+
+class Names {
+  /**
+   * Check the format of a name
+   * Names are lowercase, so they can never be mistaken for an address.
+   * @param {string} name - Name without the @ prefix
+   * @returns {boolean} - Whether the name can be registered
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Check whether a value refers to a name rather than an address
+   * @param {string} value - Address or @name
+   * @returns {boolean} - Whether the value starts with the @ prefix
+   */
+  static isReference(value) {
+    return typeof value === 'string' && value.startsWith(REFERENCE_PREFIX);
+  }
+
+  /**
+   * Get the name a value refers to
+   * @param {string} value - Name, with or without the @ prefix
+   * @returns {string} - Name without the prefix, in lowercase
+   */
+  static fromReference(value) {
+    const name = this.isReference(value) ? value.slice(REFERENCE_PREFIX.length) : value;
+    return name.toLowerCase();
+  }
+}
+
+module.exports = Names;
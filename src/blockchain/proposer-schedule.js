@@ -0,0 +1,67 @@
+/**
+ * Proposer schedule for DoucyA blockchain
+ * Time since the genesis block is divided into slots of blockTime. The
+ * proposer of each slot is drawn by stake weight from the validator set of
+ * the block being extended, seeded from that block's hash and the slot
+ * number, so every node computes the same proposer without any coordination.
+ */
+
+'use strict';
+
+const Encoding = require('../crypto/encoding');
+
+class ProposerSchedule {
+  /**
+   * Get the slot a timestamp falls into
+   * @param {number} timestamp - Time in milliseconds
+   * @param {number} genesisTimestamp - Genesis block timestamp
+   * @param {number} blockTime - Slot length in milliseconds
+   * @returns {number} - Slot number (the genesis block is in slot 0)
+   */
+  static getSlot(timestamp, genesisTimestamp, blockTime) {
+    return Math.floor((timestamp - genesisTimestamp) / blockTime);
+  }
+
+  /**
+   * Get the start time of a slot
+   * @param {number} slot - Slot number
+   * @param {number} genesisTimestamp - Genesis block timestamp
+   * @param {number} blockTime - Slot length in milliseconds
+   * @returns {number} - Start time in milliseconds
+   */
+  static getSlotStart(slot, genesisTimestamp, blockTime) {
+    return genesisTimestamp + slot * blockTime;
+  }
+
+  /**
+   * Select the proposer of a slot by stake weight
+   * @param {Object} validators - Validator address -> stake in base units
+   * @param {string} seed - Hash of the block being extended
+   * @param {number} slot - Slot number
+   * @returns {string|null} - Proposer address, or null without staked validators
+   */
+  static selectProposer(validators, seed, slot) {
+    // Sort by address so the draw does not depend on insertion order
+    const entries = Object.entries(validators)
+      .filter(([_, stake]) => stake > 0)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const totalStake = entries.reduce((total, [_, stake]) => total + BigInt(stake), 0n);
+    const draw = BigInt(`0x${Encoding.hash({ seed, slot })}`) % totalStake;
+
+    let cumulativeStake = 0n;
+    for (const [address, stake] of entries) {
+      cumulativeStake += BigInt(stake);
+      if (draw < cumulativeStake) {
+        return address;
+      }
+    }
+
+    return entries[entries.length - 1][0];
+  }
+}
+
+module.exports = ProposerSchedule;
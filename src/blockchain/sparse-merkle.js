@@ -0,0 +1,193 @@
+/**
+ * Sparse Merkle tree for DoucyA blockchain state
+ * Every key has a fixed position given by the bits of its hash, so the same
+ * set of key/value pairs always produces the same root and a proof can show
+ * either the value of a key or that the key is absent.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const config = require('../config');
+const Encoding = require('../crypto/encoding');
+
+// Tree depth in bits (one level per bit of the key hash)
+const DEPTH = 256;
+
+// Domain separation prefixes so a leaf can never be passed off as an inner node
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+// Hash of an empty subtree at any level
+const EMPTY = '0'.repeat(64);
+
+class SparseMerkleTree {
+  /**
+   * Get the path of a key through the tree
+   * @param {string} key - State key
+   * @returns {Buffer} - Key hash whose bits select the branch at each level
+   */
+  static keyPath(key) {
+    return crypto.createHash(config.crypto.hashAlgorithm).update(key).digest();
+  }
+
+  /**
+   * Get the branch taken by a path at a level
+   * @param {Buffer} path - Key path
+   * @param {number} depth - Level (0 is just below the root)
+   * @returns {number} - 0 for left, 1 for right
+   */
+  static bit(path, depth) {
+    return (path[depth >> 3] >> (7 - (depth & 7))) & 1;
+  }
+
+  /**
+   * Hash a leaf
+   * @param {string} key - State key
+   * @param {any} value - State value
+   * @returns {string} - Leaf hash
+   */
+  static hashLeaf(key, value) {
+    return crypto
+      .createHash(config.crypto.hashAlgorithm)
+      .update(Buffer.concat([LEAF_PREFIX, this.keyPath(key), Buffer.from(Encoding.hash(value), 'hex')]))
+      .digest('hex');
+  }
+
+  /**
+   * Hash two child nodes into their parent
+   * Two empty children make an empty parent, so empty subtrees cost nothing.
+   * @param {string} left - Left child hash
+   * @param {string} right - Right child hash
+   * @returns {string} - Parent node hash
+   */
+  static hashNode(left, right) {
+    if (left === EMPTY && right === EMPTY) {
+      return EMPTY;
+    }
+    return crypto
+      .createHash(config.crypto.hashAlgorithm)
+      .update(Buffer.concat([NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex')]))
+      .digest('hex');
+  }
+
+  /**
+   * Turn key/value pairs into leaves sorted by path
+   * @param {Object} entries - State key -> value
+   * @returns {Array<Object>} - Leaves ({ path, hash })
+   */
+  static buildLeaves(entries) {
+    return Object.keys(entries)
+      .map(key => ({ path: this.keyPath(key), hash: this.hashLeaf(key, entries[key]) }))
+      .sort((a, b) => Buffer.compare(a.path, b.path));
+  }
+
+  /**
+   * Split sorted leaves at the first one that branches right at a level
+   * @param {Array<Object>} leaves - Leaves sorted by path
+   * @param {number} depth - Level
+   * @returns {number} - Index of the first right-hand leaf
+   */
+  static splitIndex(leaves, depth) {
+    let index = 0;
+    while (index < leaves.length && this.bit(leaves[index].path, depth) === 0) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Compute the hash of the subtree holding some leaves
+   * @param {Array<Object>} leaves - Leaves under the subtree, sorted by path
+   * @param {number} depth - Level of the subtree root
+   * @returns {string} - Subtree hash
+   */
+  static computeNode(leaves, depth) {
+    if (leaves.length === 0) {
+      return EMPTY;
+    }
+    if (depth === DEPTH) {
+      return leaves[0].hash;
+    }
+
+    const split = this.splitIndex(leaves, depth);
+    return this.hashNode(
+      this.computeNode(leaves.slice(0, split), depth + 1),
+      this.computeNode(leaves.slice(split), depth + 1)
+    );
+  }
+
+  /**
+   * Compute the root of a set of key/value pairs
+   * @param {Object} entries - State key -> value
+   * @returns {string} - State root
+   */
+  static computeRoot(entries) {
+    return this.computeNode(this.buildLeaves(entries), 0);
+  }
+
+  /**
+   * Get a proof for a key, whether or not it is present
+   * @param {Object} entries - State key -> value
+   * @param {string} key - Key to prove
+   * @returns {Array<Object>} - Non-empty siblings on the path ({ depth, hash })
+   */
+  static getProof(entries, key) {
+    const path = this.keyPath(key);
+    let leaves = this.buildLeaves(entries);
+    const siblings = [];
+
+    for (let depth = 0; depth < DEPTH && leaves.length > 0; depth++) {
+      const split = this.splitIndex(leaves, depth);
+      const left = leaves.slice(0, split);
+      const right = leaves.slice(split);
+
+      const [own, other] = this.bit(path, depth) === 0 ? [left, right] : [right, left];
+      const siblingHash = this.computeNode(other, depth + 1);
+      if (siblingHash !== EMPTY) {
+        siblings.push({ depth, hash: siblingHash });
+      }
+      leaves = own;
+    }
+
+    return siblings;
+  }
+
+  /**
+   * Verify a proof
+   * @param {string} key - State key
+   * @param {any} value - Claimed value, or null to prove the key is absent
+   * @param {Array<Object>} siblings - Proof from getProof
+   * @param {string} root - Expected state root
+   * @returns {boolean} - Whether the key holds the value under the root
+   */
+  static verifyProof(key, value, siblings, root) {
+    if (!Array.isArray(siblings)) return false;
+
+    const byDepth = new Map();
+    for (const sibling of siblings) {
+      byDepth.set(sibling.depth, sibling.hash);
+    }
+
+    const path = this.keyPath(key);
+    let node = value === null ? EMPTY : this.hashLeaf(key, value);
+    for (let depth = DEPTH - 1; depth >= 0; depth--) {
+      const sibling = byDepth.get(depth) || EMPTY;
+      node = this.bit(path, depth) === 0
+        ? this.hashNode(node, sibling)
+        : this.hashNode(sibling, node);
+    }
+
+    return node === root;
+  }
+
+  /**
+   * Get the root of an empty tree
+   * @returns {string} - Empty root
+   */
+  static get EMPTY_ROOT() {
+    return EMPTY;
+  }
+}
+
+module.exports = SparseMerkleTree;
@@ -0,0 +1,49 @@
+/**
+ * User-issued tokens for DoucyA blockchain
+ * A TOKEN_CREATE transaction defines a token by a unique symbol, its decimal
+ * places, an initial supply credited to the creator and an optional mint
+ * authority. TOKEN_TRANSFER, TOKEN_MINT and TOKEN_BURN move, create and destroy
+ * token units. Token amounts are integers in the token's own base units and
+ * are kept apart from DOU; fees are still paid in DOU.
+ */
+
+'use strict';
+
+// Uppercase letters and digits, starting with a letter; 2 to 10 characters
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+
+// Symbols that may not be issued because they name the native currency
+const RESERVED_SYMBOLS = ['DOU'];
+
+// Most decimal places a token can have, so whole token amounts stay in the safe integer range like DOU
+const MAX_DECIMALS = 8;
+
+class Tokens {
+  /**
+   * Check the format of a token symbol
+   * @param {string} symbol - Symbol
+   * @returns {boolean} - Whether the symbol can be issued
+   */
+  static isValidSymbol(symbol) {
+    return typeof symbol === 'string' && SYMBOL_PATTERN.test(symbol) && !RESERVED_SYMBOLS.includes(symbol);
+  }
+
+  /**
+   * Check the decimal places of a token
+   * @param {number} decimals - Decimal places
+   * @returns {boolean} - Whether it is an integer from 0 to MAX_DECIMALS
+   */
+  static isValidDecimals(decimals) {
+    return Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS;
+  }
+
+  /**
+   * Most decimal places a token can have
+   * @returns {number} - Decimals
+   */
+  static get MAX_DECIMALS() {
+    return MAX_DECIMALS;
+  }
+}
+
+module.exports = Tokens;
@@ -4,18 +4,35 @@
 
 'use strict';
 
-const crypto = require('crypto');
-const config = require('../config');
+const Encoding = require('../crypto/encoding');
+const Address = require('./address');
+const Amount = require('./amount');
+const Multisig = require('./multisig');
 
 /**
  * Transaction types:
  * - TRANSFER: Transfer DOU from one address to another
+ * - MULTI_TRANSFER: Transfer DOU from one address to several recipients at once
  * - MINT: Create new DOU (genesis or mining rewards)
  * - REWARD: Validator rewards
  * - VALIDATOR_REGISTER: Register as a validator
  * - VALIDATOR_WITHDRAW: Withdraw validator stake
+ * - DELEGATE: Delegate stake to a validator
+ * - UNDELEGATE: Take delegated stake back from a validator
  * - MESSAGE: Send a message
  * - WHITELIST: Add/remove address from whitelist
+ * - SLASH_EVIDENCE: Report a validator that signed two blocks in the same slot or two conflicting finality votes
+ * - MULTISIG_CREATE: Register an M-of-N multi-signature account
+ * - HTLC_LOCK: Lock DOU for a recipient against a hashlock and an expiry height
+ * - HTLC_CLAIM: Release locked DOU to the recipient by revealing the preimage
+ * - HTLC_REFUND: Return locked DOU to the sender after the expiry height
+ * - NAME_REGISTER: Bind a name to the sender's address for a fee
+ * - NAME_TRANSFER: Hand a registered name to another address
+ * - NAME_RENEW: Extend the registration of a name for a fee
+ * - TOKEN_CREATE: Issue a new token with a symbol, decimals, initial supply and mint authority
+ * - TOKEN_TRANSFER: Transfer token units from one address to another
+ * - TOKEN_MINT: Create new token units (mint authority only)
+ * - TOKEN_BURN: Destroy token units held by the sender
  */
 
 class Transaction {
@@ -24,47 +41,57 @@ class Transaction {
    * @param {string} type - Transaction type
    * @param {string} from - Sender address
    * @param {string} to - Recipient address
-   * @param {number} amount - Transaction amount
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Transaction amount in base units
+   * @param {number} fee - Transaction fee in base units
    * @param {Object} data - Additional transaction data
+   * @param {number} nonce - Sequence number of the transaction for the sender
    */
-  constructor(type, from, to, amount, fee, data = {}) {
+  constructor(type, from, to, amount, fee, data = {}, nonce = 0) {
     this.type = type;
     this.from = from;
     this.to = to;
     this.amount = amount;
     this.fee = fee;
     this.data = data;
+    this.nonce = nonce;
     this.timestamp = Date.now();
-    this.hash = this.calculateHash();
     this.signature = null;
+    this.publicKey = null;
+    this.signatures = []; // { publicKey, signature } of multisig signers
     
     // Special fields for message transactions
     this.senderReward = data.senderReward || 0;
     this.receiverReward = data.receiverReward || 0;
+    
+    // Hash last so every hashed field is already set
+    this.hash = this.calculateHash();
   }
 
   /**
-   * Calculate transaction hash
+   * Calculate transaction hash over the canonical encoding of its fields
    * @returns {string} - Transaction hash
    */
   calculateHash() {
-    const txData = {
+    return Encoding.hash(this.getHashData());
+  }
+
+  /**
+   * Get the fields covered by the transaction hash
+   * @returns {Object} - Hashed transaction fields
+   */
+  getHashData() {
+    return {
       type: this.type,
       from: this.from,
       to: this.to,
       amount: this.amount,
       fee: this.fee,
       data: this.data,
+      nonce: this.nonce,
       timestamp: this.timestamp,
       senderReward: this.senderReward,
       receiverReward: this.receiverReward
     };
-    
-    return crypto
-      .createHash(config.crypto.hashAlgorithm)
-      .update(JSON.stringify(txData))
-      .digest('hex');
   }
 
   /**
@@ -78,12 +105,27 @@ class Transaction {
   /**
    * Sign transaction with private key
    * @param {Function} signCallback - Function to sign data with private key
+   * @param {string} publicKey - Sender public key, embedded so the signature can be checked without a key lookup
    */
-  async sign(signCallback) {
+  async sign(signCallback, publicKey) {
+    this.publicKey = publicKey;
     this.signature = await signCallback(this.hash);
     return this.signature;
   }
 
+  /**
+   * Add the signature of one key of a multisig sender
+   * Signing again with the same key replaces its signature.
+   * @param {Function} signCallback - Function to sign data with the signer's private key
+   * @param {string} publicKey - Signer public key
+   */
+  async addSignature(signCallback, publicKey) {
+    const signature = await signCallback(this.hash);
+    this.signatures = this.signatures.filter(entry => entry.publicKey !== publicKey);
+    this.signatures.push({ publicKey, signature });
+    return signature;
+  }
+
   /**
    * Verify transaction signature
    * @param {Function} verifyCallback - Function to verify signature
@@ -94,6 +136,25 @@ class Transaction {
     return await verifyCallback(this.hash, this.signature, this.from);
   }
 
+  /**
+   * Verify that the transaction was signed by the owner of the sender address
+   * @returns {boolean} - Whether the embedded public key matches the sender and signed the hash
+   */
+  verifySender() {
+    if (!this.signature || !this.publicKey || !this.from) return false;
+    
+    if (Address.publicKeyToAddress(this.publicKey) !== this.from) {
+      return false;
+    }
+    
+    try {
+      return Address.verifySignature(this.hash, this.signature, this.publicKey);
+    } catch (err) {
+      // Malformed key or signature
+      return false;
+    }
+  }
+
   /**
    * Convert transaction to JSON object
    * @returns {Object} - Transaction as JSON object
@@ -106,9 +167,12 @@ class Transaction {
       amount: this.amount,
       fee: this.fee,
       data: this.data,
+      nonce: this.nonce,
       timestamp: this.timestamp,
       hash: this.hash,
       signature: this.signature,
+      publicKey: this.publicKey,
+      signatures: this.signatures,
       senderReward: this.senderReward,
       receiverReward: this.receiverReward
     };
@@ -126,12 +190,15 @@ class Transaction {
       data.to,
       data.amount,
       data.fee,
-      data.data
+      data.data,
+      data.nonce || 0
     );
     
     tx.timestamp = data.timestamp;
     tx.hash = data.hash;
     tx.signature = data.signature;
+    tx.publicKey = data.publicKey || null;
+    tx.signatures = data.signatures || [];
     tx.senderReward = data.senderReward || 0;
     tx.receiverReward = data.receiverReward || 0;
     
@@ -142,66 +209,114 @@ class Transaction {
    * Create a token transfer transaction
    * @param {string} from - Sender address
    * @param {string} to - Recipient address
-   * @param {number} amount - Amount to transfer
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to transfer in base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
    * @returns {Transaction} - Transaction instance
    */
-  static createTransfer(from, to, amount, fee) {
-    const tx = new Transaction('TRANSFER', from, to, amount, fee);
+  static createTransfer(from, to, amount, fee, nonce = 0) {
+    const tx = new Transaction('TRANSFER', from, to, amount, fee, {}, nonce);
     tx.hash = tx.calculateHash();
     return tx;
   }
 
+  /**
+   * Create a batch transfer to several recipients
+   * The amount is the sum of the outputs, so the batch is paid for as a whole.
+   * @param {string} from - Sender address
+   * @param {Array<Object>} outputs - Recipients as { to, amount } with amounts in base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createMultiTransfer(from, outputs, fee, nonce = 0) {
+    const amount = outputs.reduce((sum, output) => sum + output.amount, 0);
+    const data = { outputs: outputs.map(({ to, amount }) => ({ to, amount })) };
+    return new Transaction('MULTI_TRANSFER', from, null, amount, fee, data, nonce);
+  }
+
   /**
    * Create a message transaction
    * @param {string} from - Sender address
    * @param {string} to - Recipient address
    * @param {string} message - Message content
    * @param {boolean} isWhitelisted - Whether the recipient whitelisted the sender
+   * @param {Object} params - Consensus parameters with the message rewards and fee
+   * @param {number} nonce - Sender nonce
    * @returns {Transaction} - Transaction instance
    */
-  static createMessage(from, to, message, isWhitelisted) {
+  static createMessage(from, to, message, isWhitelisted, params, nonce = 0) {
     let fee = 0;
     let senderReward = 0;
     let receiverReward = 0;
     
     if (isWhitelisted) {
       // Regular rewards
-      senderReward = config.messaging.sendReward;
-      receiverReward = config.messaging.receiveReward;
+      senderReward = params.messageSendReward;
+      receiverReward = params.messageReceiveReward;
     } else {
       // Non-whitelisted fee
-      fee = config.messaging.nonWhitelistedFee;
+      fee = params.messageFee;
     }
     
+    // Rewards are read from data by the constructor so they are covered by the hash
     return new Transaction('MESSAGE', from, to, 0, fee, {
       message,
-      isWhitelisted
-    }, {
+      isWhitelisted,
       senderReward,
       receiverReward
-    });
+    }, nonce);
   }
 
   /**
    * Create a validator registration transaction
    * @param {string} from - Validator address
-   * @param {number} amount - Amount to stake
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to stake in base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @param {number|null} commission - Commission rate on delegator rewards (0-1), null to keep the current one
    * @returns {Transaction} - Transaction instance
    */
-  static createValidatorRegister(from, amount, fee) {
-    return new Transaction('VALIDATOR_REGISTER', from, null, amount, fee);
+  static createValidatorRegister(from, amount, fee, nonce = 0, commission = null) {
+    const data = commission === null ? {} : { commission };
+    return new Transaction('VALIDATOR_REGISTER', from, null, amount, fee, data, nonce);
   }
 
   /**
    * Create a validator withdrawal transaction
    * @param {string} from - Validator address
-   * @param {number} fee - Transaction fee
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
    * @returns {Transaction} - Transaction instance
    */
-  static createValidatorWithdraw(from, fee) {
-    return new Transaction('VALIDATOR_WITHDRAW', from, from, 0, fee);
+  static createValidatorWithdraw(from, fee, nonce = 0) {
+    return new Transaction('VALIDATOR_WITHDRAW', from, from, 0, fee, {}, nonce);
+  }
+
+  /**
+   * Create a delegation transaction
+   * @param {string} from - Delegator address
+   * @param {string} validator - Validator address
+   * @param {number} amount - Amount to delegate in base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createDelegate(from, validator, amount, fee, nonce = 0) {
+    return new Transaction('DELEGATE', from, validator, amount, fee, {}, nonce);
+  }
+
+  /**
+   * Create an undelegation transaction
+   * @param {string} from - Delegator address
+   * @param {string} validator - Validator address
+   * @param {number} amount - Amount to take back in base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createUndelegate(from, validator, amount, fee, nonce = 0) {
+    return new Transaction('UNDELEGATE', from, validator, amount, fee, {}, nonce);
   }
 
   /**
@@ -209,10 +324,173 @@ class Transaction {
    * @param {string} from - Owner address
    * @param {string} to - Address to whitelist
    * @param {string} action - 'add' or 'remove'
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createWhitelist(from, to, action, nonce = 0) {
+    return new Transaction('WHITELIST', from, to, 0, 0, { action }, nonce);
+  }
+
+  /**
+   * Create a slash evidence transaction
+   * @param {string} from - Reporter address
+   * @param {string} validator - Offending validator address
+   * @param {Object} evidence - Evidence from Evidence.create or Finality.createEvidence
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createSlashEvidence(from, validator, evidence, fee, nonce = 0) {
+    return new Transaction('SLASH_EVIDENCE', from, validator, 0, fee, evidence, nonce);
+  }
+
+  /**
+   * Create a multisig account registration transaction
+   * @param {string} from - Address paying the fee
+   * @param {Array<string>} publicKeys - Public keys of the account, in any order
+   * @param {number} threshold - Number of signatures required
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createMultisig(from, publicKeys, threshold, fee, nonce = 0) {
+    const to = Multisig.getAddress(publicKeys, threshold);
+    return new Transaction('MULTISIG_CREATE', from, to, 0, fee, { publicKeys: Multisig.sortKeys(publicKeys), threshold }, nonce);
+  }
+
+  /**
+   * Create a hash time-locked transfer
+   * @param {string} from - Sender address
+   * @param {string} to - Recipient address
+   * @param {number} amount - Amount to lock in base units
+   * @param {string} hashlock - SHA-256 of the preimage in hex format
+   * @param {number} expiryHeight - Height from which the sender can take the DOU back
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance (its hash identifies the lock)
+   */
+  static createHtlcLock(from, to, amount, hashlock, expiryHeight, fee, nonce = 0) {
+    return new Transaction('HTLC_LOCK', from, to, amount, fee, { hashlock, expiryHeight }, nonce);
+  }
+
+  /**
+   * Create a claim of a hash time-locked transfer
+   * @param {string} from - Address submitting the claim
+   * @param {Object} htlc - Lock from Blockchain.getHtlc
+   * @param {string} preimage - Preimage of the hashlock in hex format
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createHtlcClaim(from, htlc, preimage, fee, nonce = 0) {
+    return new Transaction('HTLC_CLAIM', from, htlc.recipient, 0, fee, { htlc: htlc.id, preimage }, nonce);
+  }
+
+  /**
+   * Create a refund of an expired hash time-locked transfer
+   * @param {string} from - Address submitting the refund
+   * @param {Object} htlc - Lock from Blockchain.getHtlc
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createHtlcRefund(from, htlc, fee, nonce = 0) {
+    return new Transaction('HTLC_REFUND', from, htlc.sender, 0, fee, { htlc: htlc.id }, nonce);
+  }
+
+  /**
+   * Create a name registration
+   * @param {string} from - Address the name will point to
+   * @param {string} name - Name without the @ prefix
+   * @param {number} price - Registration fee in base units (the nameRegistrationFee consensus parameter)
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createNameRegister(from, name, price, fee, nonce = 0) {
+    return new Transaction('NAME_REGISTER', from, null, price, fee, { name }, nonce);
+  }
+
+  /**
+   * Create a transfer of a registered name
+   * @param {string} from - Current owner of the name
+   * @param {string} name - Name without the @ prefix
+   * @param {string} to - New owner of the name
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createNameTransfer(from, name, to, fee, nonce = 0) {
+    return new Transaction('NAME_TRANSFER', from, to, 0, fee, { name }, nonce);
+  }
+
+  /**
+   * Create a renewal of a registered name
+   * @param {string} from - Owner of the name
+   * @param {string} name - Name without the @ prefix
+   * @param {number} price - Renewal fee in base units (the nameRegistrationFee consensus parameter)
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createNameRenew(from, name, price, fee, nonce = 0) {
+    return new Transaction('NAME_RENEW', from, null, price, fee, { name }, nonce);
+  }
+
+  /**
+   * Create a token issuance
+   * @param {string} from - Creator address, credited with the initial supply
+   * @param {string} symbol - Unique symbol
+   * @param {number} decimals - Decimal places of the token
+   * @param {number} supply - Initial supply in token base units
+   * @param {string|null} mintAuthority - Address allowed to mint more, or null for a fixed supply
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createToken(from, symbol, decimals, supply, mintAuthority, fee, nonce = 0) {
+    return new Transaction('TOKEN_CREATE', from, null, 0, fee, { symbol, decimals, supply, mintAuthority }, nonce);
+  }
+
+  /**
+   * Create a token transfer
+   * @param {string} from - Sender address
+   * @param {string} to - Recipient address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createTokenTransfer(from, to, symbol, amount, fee, nonce = 0) {
+    return new Transaction('TOKEN_TRANSFER', from, to, 0, fee, { symbol, amount }, nonce);
+  }
+
+  /**
+   * Create a mint of new token units
+   * @param {string} from - Mint authority of the token
+   * @param {string} to - Recipient address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
+   * @returns {Transaction} - Transaction instance
+   */
+  static createTokenMint(from, to, symbol, amount, fee, nonce = 0) {
+    return new Transaction('TOKEN_MINT', from, to, 0, fee, { symbol, amount }, nonce);
+  }
+
+  /**
+   * Create a burn of token units
+   * @param {string} from - Holder address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number} nonce - Sender nonce
    * @returns {Transaction} - Transaction instance
    */
-  static createWhitelist(from, to, action) {
-    return new Transaction('WHITELIST', from, to, 0, 0, { action });
+  static createTokenBurn(from, symbol, amount, fee, nonce = 0) {
+    return new Transaction('TOKEN_BURN', from, null, 0, fee, { symbol, amount }, nonce);
   }
 }
 
@@ -4,12 +4,21 @@
 
 'use strict';
 
+const fs = require('fs');
+const readline = require('readline');
 const { Command } = require('commander');
 const SimpleNode = require('./network/simple-node');
 const P2PNode = require('./network/p2p-node'); 
 const Wallet = require('./storage/wallet');
 const BlockchainExplorer = require('./explorer/explorer');
 const Address = require('./blockchain/address');
+const Amount = require('./blockchain/amount');
+const Blockchain = require('./blockchain/blockchain');
+const Genesis = require('./blockchain/genesis');
+const Htlc = require('./blockchain/htlc');
+const Names = require('./blockchain/names');
+const Transaction = require('./blockchain/transaction');
+const LevelDB = require('./storage/db');
 const config = require('./config');
 
 class CLI {
@@ -83,6 +92,75 @@ class CLI {
         console.log('\nPress Ctrl+C to stop the node');
       });
 
+    this.program
+      .command('init')
+      .description('Initialize the data directory from a genesis file')
+      .option('-g, --genesis <file>', 'Genesis file', config.blockchain.genesisFile)
+      .action(async (options) => {
+        const db = new LevelDB(config.storage.dbPath);
+        try {
+          const genesis = Genesis.load(options.genesis);
+          const blockchain = new Blockchain(db);
+          await blockchain.initialize(genesis);
+          const genesisBlock = await blockchain.getBlock(0);
+
+          console.log(`\nChain ID: ${genesis.chainId}`);
+          console.log(`Genesis hash: ${genesisBlock.hash}`);
+          console.log(`Initial allocations: ${genesis.allocations.length}`);
+          console.log(`Initial validators: ${genesis.validators.length}`);
+          console.log(`Data directory: ${config.storage.dbPath}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        } finally {
+          await db.close();
+        }
+      });
+
+    this.program
+      .command('verify-chain')
+      .description('Replay the chain and check the stored balances, stakes and whitelists')
+      .option('--from <height>', 'Start the replay at this height instead of genesis', '0')
+      .option('--repair', 'Rewrite mismatching state from the replay')
+      .action(async (options) => {
+        const db = new LevelDB(config.storage.dbPath);
+        try {
+          const blockchain = new Blockchain(db);
+          await blockchain.initialize();
+          const report = await blockchain.replay({
+            fromHeight: parseInt(options.from, 10),
+            repair: !!options.repair
+          });
+
+          console.log(`\nReplayed blocks #${report.fromHeight} to #${report.toHeight} (${report.blocksChecked} checked)`);
+          for (const error of report.errors) {
+            console.log(`Error in block #${error.height} (${error.hash}): ${error.reason}`);
+          }
+          for (const warning of report.warnings) {
+            console.log(`Warning in block #${warning.height}: ${warning.reason}`);
+          }
+
+          const formatValue = (key, value) => {
+            if (value === null) return '(missing)';
+            return key.startsWith('BALANCE_') ? `${Amount.format(value)} DOU` : value;
+          };
+          for (const mismatch of report.mismatches) {
+            console.log(`Mismatch ${mismatch.key}: replayed ${formatValue(mismatch.key, mismatch.expected)}, stored ${formatValue(mismatch.key, mismatch.actual)}`);
+          }
+
+          if (report.errors.length === 0 && report.mismatches.length === 0) {
+            console.log('Chain and state are consistent');
+          } else if (report.repaired) {
+            console.log(`Repaired ${report.mismatches.length} state entries`);
+          } else if (report.mismatches.length > 0) {
+            console.log(`${report.mismatches.length} state entries differ; run with --repair to rewrite them`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        } finally {
+          await db.close();
+        }
+      });
+
     // Address commands
     this.program
       .command('create-address')
@@ -133,22 +211,47 @@ class CLI {
         }
       });
 
+    this.program
+      .command('show-public-key')
+      .description('Show the public key for an address, to share as a multisig key')
+      .argument('<address>', 'DoucyA address')
+      .action(async (address) => {
+        await this.initialize();
+        try {
+          const privateKey = await this.wallet.getPrivateKey(address);
+          if (!privateKey) {
+            throw new Error('Address not found in wallet');
+          }
+          console.log(`Public key for address ${address}:`);
+          console.log(Address.fromPrivateKey(privateKey).publicKey);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
     // Balance and transaction commands
     this.program
       .command('balance')
       .description('Check balance of an address')
-      .argument('[address]', 'DoucyA address (defaults to all wallet addresses)')
+      .argument('[address]', 'DoucyA address or @name (defaults to all wallet addresses)')
       .action(async (address) => {
         await this.initialize();
         
         if (address) {
-          const balance = await this.node.getAddressBalance(address);
-          console.log(`Balance for ${address}: ${balance} DOU`);
+          try {
+            const resolved = await this.resolveAddress(address);
+            const balance = await this.node.getAddressBalance(resolved);
+            console.log(`Balance for ${this.describeAddress(address, resolved)}: ${Amount.format(balance)} DOU`);
+            await this.printTokenBalances(resolved);
+          } catch (err) {
+            console.error(`Error: ${err.message}`);
+          }
         } else {
           const addresses = await this.wallet.listAddresses();
           for (const addr of addresses) {
             const balance = await this.node.getAddressBalance(addr);
-            console.log(`${addr}: ${balance} DOU`);
+            console.log(`${addr}: ${Amount.format(balance)} DOU`);
+            await this.printTokenBalances(addr);
           }
         }
       });
@@ -157,9 +260,9 @@ class CLI {
       .command('send')
       .description('Send DOU tokens to another address')
       .argument('<fromAddress>', 'Sender address')
-      .argument('<toAddress>', 'Recipient address')
+      .argument('<toAddress>', 'Recipient address or @name')
       .argument('<amount>', 'Amount of DOU to send')
-      .option('-f, --fee <fee>', 'Transaction fee (higher fee = higher priority)', '0.1')
+      .option('-f, --fee <fee>', 'Transaction fee (higher fee = higher priority)', String(config.blockchain.defaultFee))
       .option('-n, --network', 'Use libp2p networking', false)
       .action(async (fromAddress, toAddress, amount, options) => {
         // Set environment variable to indicate we want P2PNode if --network was specified
@@ -170,14 +273,11 @@ class CLI {
         
         await this.initialize();
         try {
-          const txHash = await this.node.sendTokens(fromAddress, toAddress, amount, options.fee);
+          fromAddress = await this.resolveAddress(fromAddress);
+          toAddress = await this.resolveAddress(toAddress);
+          const txHash = await this.node.sendTokens(fromAddress, toAddress, Amount.parse(amount), Amount.parse(options.fee));
           console.log(`Transaction sent: ${txHash}`);
-          
-          // Display the new balances
-          const senderBalance = await this.node.getAddressBalance(fromAddress);
-          const recipientBalance = await this.node.getAddressBalance(toAddress);
-          console.log(`New sender balance (${fromAddress}): ${senderBalance} DOU`);
-          console.log(`New recipient balance (${toAddress}): ${recipientBalance} DOU`);
+          console.log('Balances change once a validator includes it in a block');
         } catch (err) {
           console.error(`Error: ${err.message}`);
         }
@@ -187,43 +287,448 @@ class CLI {
       .command('send-detailed')
       .description('Send DOU tokens with detailed transaction info')
       .argument('<fromAddress>', 'Sender address')
-      .argument('<toAddress>', 'Recipient address')
+      .argument('<toAddress>', 'Recipient address or @name')
       .argument('<amount>', 'Amount of DOU to send')
-      .option('-f, --fee <fee>', 'Transaction fee (higher fee = higher priority)', '0.1')
+      .option('-f, --fee <fee>', 'Transaction fee (higher fee = higher priority)', String(config.blockchain.defaultFee))
       .action(async (fromAddress, toAddress, amount, options) => {
         await this.initialize();
         try {
-          console.log(`Preparing to send ${amount} DOU from ${fromAddress} to ${toAddress}...`);
+          fromAddress = await this.resolveAddress(fromAddress);
+          toAddress = await this.resolveAddress(toAddress);
+          const amountUnits = Amount.parse(amount);
+          const feeUnits = Amount.parse(options.fee);
+          console.log(`Preparing to send ${Amount.format(amountUnits)} DOU from ${fromAddress} to ${toAddress}...`);
           
           // Check initial balances
           const initialSenderBalance = await this.node.getAddressBalance(fromAddress);
           const initialRecipientBalance = await this.node.getAddressBalance(toAddress);
-          console.log(`Initial sender balance: ${initialSenderBalance} DOU`);
-          console.log(`Initial recipient balance: ${initialRecipientBalance} DOU`);
+          console.log(`Initial sender balance: ${Amount.format(initialSenderBalance)} DOU`);
+          console.log(`Initial recipient balance: ${Amount.format(initialRecipientBalance)} DOU`);
           
           // Send the transaction
-          console.log(`Sending transaction with fee: ${options.fee} DOU...`);
+          console.log(`Sending transaction with fee: ${Amount.format(feeUnits)} DOU...`);
           const startTime = Date.now();
-          const txHash = await this.node.sendTokens(fromAddress, toAddress, amount, options.fee);
+          const txHash = await this.node.sendTokens(fromAddress, toAddress, amountUnits, feeUnits);
           const endTime = Date.now();
           
-          console.log(`\nTransaction completed in ${endTime - startTime}ms`);
+          console.log(`\nTransaction submitted in ${endTime - startTime}ms`);
           console.log(`Transaction hash: ${txHash}`);
           console.log(`Transaction type: TRANSFER`);
-          console.log(`Amount: ${amount} DOU`);
-          console.log(`Fee: ${options.fee} DOU`);
-          console.log(`Total cost: ${parseFloat(amount) + parseFloat(options.fee)} DOU`);
+          console.log(`Amount: ${Amount.format(amountUnits)} DOU`);
+          console.log(`Fee: ${Amount.format(feeUnits)} DOU`);
+          console.log(`Total cost: ${Amount.format(amountUnits + feeUnits)} DOU`);
           console.log(`Timestamp: ${new Date().toLocaleString()}`);
           
-          // Display the new balances
-          const senderBalance = await this.node.getAddressBalance(fromAddress);
-          const recipientBalance = await this.node.getAddressBalance(toAddress);
-          console.log(`\nNew sender balance (${fromAddress}): ${senderBalance} DOU`);
-          console.log(`New recipient balance (${toAddress}): ${recipientBalance} DOU`);
-          
           // Confirmation
-          console.log(`\nTransaction successfully recorded on the blockchain!`);
-          console.log(`You can view details anytime with: tx ${txHash}`);
+          console.log(`\nTransaction added to the pending pool; balances change once a validator includes it in a block.`);
+          console.log(`Once it is included, view it with: tx ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('send-batch')
+      .description('Send DOU to several recipients in one transaction')
+      .argument('<csv>', 'File with one "address,amount" line per recipient (addresses may be @names)')
+      .requiredOption('--from <address>', 'Sender address or @name')
+      .option('-f, --fee <fee>', 'Transaction fee (higher fee = higher priority)', String(config.blockchain.defaultFee))
+      .option('-y, --yes', 'Broadcast without asking for confirmation', false)
+      .action(async (csv, options) => {
+        await this.initialize();
+        try {
+          const entries = this.loadBatchFile(csv);
+          const outputs = [];
+          for (const entry of entries) {
+            outputs.push({ to: await this.resolveAddress(entry.to), amount: entry.amount });
+          }
+          const fromAddress = await this.resolveAddress(options.from);
+          const tx = await this.node.createBatchTransfer(fromAddress, outputs, Amount.parse(options.fee));
+          
+          // Preview the signed transaction before it leaves the wallet
+          console.log(`Batch transfer from ${this.describeAddress(options.from, tx.from)} to ${outputs.length} recipients:`);
+          outputs.forEach((output, i) => {
+            console.log(`  ${this.describeAddress(entries[i].to, output.to)}  ${Amount.format(output.amount)} DOU`);
+          });
+          console.log(`Total: ${Amount.format(tx.amount)} DOU`);
+          console.log(`Fee: ${Amount.format(tx.fee)} DOU`);
+          console.log(`Total cost: ${Amount.format(tx.amount + tx.fee)} DOU`);
+          console.log(`Transaction hash: ${tx.hash}`);
+          
+          if (!options.yes && !await this.confirm('Broadcast this transaction? [y/N] ')) {
+            console.log('Batch transfer not sent');
+            return;
+          }
+          
+          const txHash = await this.node.submitBatchTransfer(tx);
+          console.log(`Transaction sent: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    // Name registry commands
+    this.program
+      .command('name-register')
+      .description('Register a name that resolves to your address')
+      .argument('<address>', 'Address the name will point to (pays the registration fee)')
+      .argument('<name>', 'Name (3 to 32 lowercase letters, digits or hyphens)')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, name, options) => {
+        await this.initialize();
+        try {
+          const txHash = await this.node.registerName(address, name, Amount.parse(options.fee));
+          console.log(`Name registration sent. Transaction: ${txHash}`);
+          console.log(`Registration fee: ${Amount.format(this.node.blockchain.params.nameRegistrationFee)} DOU`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('name-transfer')
+      .description('Transfer a name you own to another address')
+      .argument('<address>', 'Current owner of the name')
+      .argument('<name>', 'Name')
+      .argument('<toAddress>', 'New owner address or @name')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, name, toAddress, options) => {
+        await this.initialize();
+        try {
+          toAddress = await this.resolveAddress(toAddress);
+          const txHash = await this.node.transferName(address, name, toAddress, Amount.parse(options.fee));
+          console.log(`Name transfer sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('name-renew')
+      .description('Extend the registration of a name you own')
+      .argument('<address>', 'Owner of the name (pays the renewal fee)')
+      .argument('<name>', 'Name')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, name, options) => {
+        await this.initialize();
+        try {
+          const txHash = await this.node.renewName(address, name, Amount.parse(options.fee));
+          console.log(`Name renewal sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('name')
+      .description('Show the address a name resolves to')
+      .argument('<name>', 'Name, with or without @')
+      .action(async (name) => {
+        await this.initialize();
+        try {
+          const record = await this.explorer.getName(name);
+          if (!record) {
+            console.log(`@${Names.fromReference(name)} is not registered`);
+            return;
+          }
+          console.log(`Name: @${record.name}`);
+          console.log(`Address: ${record.owner}`);
+          console.log(`Registered at block: #${record.registeredHeight}`);
+          console.log(`Expires at block: #${record.expiryHeight}${record.expired ? ' (expired)' : ''}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    // Token commands
+    this.program
+      .command('token-create')
+      .description('Issue a new token')
+      .argument('<address>', 'Creator address, credited with the initial supply')
+      .argument('<symbol>', 'Token symbol (2 to 10 uppercase letters or digits)')
+      .argument('<supply>', 'Initial supply in token units')
+      .option('-d, --decimals <decimals>', 'Decimal places of the token', '0')
+      .option('-m, --mint-authority <address>', 'Address or @name allowed to mint more (fixed supply if omitted)')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, symbol, supply, options) => {
+        await this.initialize();
+        try {
+          const decimals = parseInt(options.decimals, 10);
+          const mintAuthority = options.mintAuthority ? await this.resolveAddress(options.mintAuthority) : null;
+          const txHash = await this.node.createToken(
+            address, symbol, decimals, Amount.parse(supply, decimals), mintAuthority, Amount.parse(options.fee)
+          );
+          console.log(`Token ${symbol} creation sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('token-send')
+      .description('Send token units to another address')
+      .argument('<fromAddress>', 'Sender address')
+      .argument('<toAddress>', 'Recipient address or @name')
+      .argument('<amount>', 'Amount in token units')
+      .argument('<symbol>', 'Token symbol')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (fromAddress, toAddress, amount, symbol, options) => {
+        await this.initialize();
+        try {
+          toAddress = await this.resolveAddress(toAddress);
+          const units = await this.parseTokenAmount(amount, symbol);
+          const txHash = await this.node.transferToken(fromAddress, toAddress, symbol, units, Amount.parse(options.fee));
+          console.log(`Transaction sent: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('token-mint')
+      .description('Mint new token units as the mint authority')
+      .argument('<address>', 'Mint authority address')
+      .argument('<toAddress>', 'Recipient address or @name')
+      .argument('<amount>', 'Amount in token units')
+      .argument('<symbol>', 'Token symbol')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, toAddress, amount, symbol, options) => {
+        await this.initialize();
+        try {
+          toAddress = await this.resolveAddress(toAddress);
+          const units = await this.parseTokenAmount(amount, symbol);
+          const txHash = await this.node.mintToken(address, toAddress, symbol, units, Amount.parse(options.fee));
+          console.log(`Mint sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('token-burn')
+      .description('Destroy token units you hold')
+      .argument('<address>', 'Holder address')
+      .argument('<amount>', 'Amount in token units')
+      .argument('<symbol>', 'Token symbol')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, amount, symbol, options) => {
+        await this.initialize();
+        try {
+          const units = await this.parseTokenAmount(amount, symbol);
+          const txHash = await this.node.burnToken(address, symbol, units, Amount.parse(options.fee));
+          console.log(`Burn sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('tokens')
+      .description('List all user-issued tokens')
+      .action(async () => {
+        await this.initialize();
+        try {
+          const tokens = await this.explorer.getTokens();
+          if (tokens.length === 0) {
+            console.log('No tokens have been issued');
+            return;
+          }
+          for (const token of tokens) {
+            const minting = token.mintAuthority ? `mintable by ${token.mintAuthority}` : 'fixed supply';
+            console.log(`${token.symbol}: ${token.supply} issued, ${token.decimals} decimals, ${minting}`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('token')
+      .description('Show a user-issued token')
+      .argument('<symbol>', 'Token symbol')
+      .action(async (symbol) => {
+        await this.initialize();
+        try {
+          const token = await this.explorer.getToken(symbol);
+          if (!token) {
+            console.log(`Unknown token: ${symbol}`);
+            return;
+          }
+          console.log(`Token: ${token.symbol}`);
+          console.log(`Supply: ${token.supply}`);
+          console.log(`Decimals: ${token.decimals}`);
+          console.log(`Mint authority: ${token.mintAuthority || 'none (fixed supply)'}`);
+          console.log(`Created by: ${token.creator} at block #${token.createdHeight}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    // Multisig commands
+    this.program
+      .command('multisig-create')
+      .description('Register an M-of-N multisig account')
+      .argument('<address>', 'Address paying the fee')
+      .argument('<threshold>', 'Number of signatures required')
+      .argument('<publicKeys...>', 'Public keys of the account (see show-public-key)')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, threshold, publicKeys, options) => {
+        await this.initialize();
+        try {
+          const { txHash, multisigAddress } = await this.node.createMultisig(
+            address, publicKeys, parseInt(threshold, 10), Amount.parse(options.fee)
+          );
+          console.log(`Multisig account registration sent. Transaction: ${txHash}`);
+          console.log(`Multisig address: ${multisigAddress} (${threshold} of ${publicKeys.length})`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('multisig-transfer')
+      .description('Create a transfer from a multisig account, signed by one of its keys')
+      .argument('<multisigAddress>', 'Multisig account')
+      .argument('<toAddress>', 'Recipient address or @name')
+      .argument('<amount>', 'Amount of DOU to send')
+      .argument('<signer>', 'Wallet address of a key of the account')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .option('-o, --out <file>', 'File to write the partially signed transaction to')
+      .action(async (multisigAddress, toAddress, amount, signer, options) => {
+        await this.initialize();
+        try {
+          toAddress = await this.resolveAddress(toAddress);
+          const tx = await this.node.createMultisigTransfer(
+            multisigAddress, toAddress, Amount.parse(amount), signer, Amount.parse(options.fee)
+          );
+          const file = options.out || `multisig-${tx.hash.slice(0, 16)}.json`;
+          this.saveTransactionFile(file, tx);
+          const account = await this.node.blockchain.getMultisigAccount(multisigAddress);
+          console.log(`Partially signed transaction written to ${file}`);
+          console.log(`Signatures: 1 of ${account.threshold} required`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('multisig-sign')
+      .description('Add a signature to a partially signed multisig transaction')
+      .argument('<file>', 'Partially signed transaction file')
+      .argument('<signer>', 'Wallet address of a key of the account')
+      .action(async (file, signer) => {
+        await this.initialize();
+        try {
+          const tx = this.loadTransactionFile(file);
+          const signed = await this.node.signMultisigTransaction(tx, signer);
+          this.saveTransactionFile(file, tx);
+          const account = await this.node.blockchain.getMultisigAccount(tx.from);
+          console.log(`Signature added to ${file}`);
+          console.log(`Signatures: ${signed} of ${account.threshold} required`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('multisig-broadcast')
+      .description('Submit a multisig transaction once enough keys have signed it')
+      .argument('<file>', 'Signed transaction file')
+      .action(async (file) => {
+        await this.initialize();
+        try {
+          const txHash = await this.node.submitMultisigTransaction(this.loadTransactionFile(file));
+          console.log(`Transaction sent: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    // Hash time-locked transfer commands
+    this.program
+      .command('htlc-lock')
+      .description('Lock DOU for a recipient until they reveal a secret or the lock expires')
+      .argument('<fromAddress>', 'Sender address')
+      .argument('<toAddress>', 'Recipient address or @name')
+      .argument('<amount>', 'Amount of DOU to lock')
+      .option('-H, --hashlock <hash>', 'SHA-256 hashlock in hex (a new secret is generated if omitted)')
+      .option('-t, --timeout <blocks>', 'Blocks until the sender can take the DOU back', '1440')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (fromAddress, toAddress, amount, options) => {
+        await this.initialize();
+        try {
+          toAddress = await this.resolveAddress(toAddress);
+          const secret = options.hashlock ? { hashlock: options.hashlock } : Htlc.generateSecret();
+          const latestBlock = await this.node.blockchain.getLatestBlock();
+          const expiryHeight = latestBlock.height + parseInt(options.timeout, 10);
+          const txHash = await this.node.lockHtlc(
+            fromAddress, toAddress, Amount.parse(amount), secret.hashlock, expiryHeight, Amount.parse(options.fee)
+          );
+          console.log(`HTLC created: ${txHash}`);
+          console.log(`Hashlock: ${secret.hashlock}`);
+          console.log(`Expires at block #${expiryHeight}`);
+          if (secret.preimage) {
+            console.log(`Secret (preimage): ${secret.preimage}`);
+            console.log('IMPORTANT: Anyone with the secret can release the DOU to the recipient. Share it only to settle.');
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('htlc-claim')
+      .description('Release locked DOU to the recipient by revealing the secret')
+      .argument('<address>', 'Address submitting the claim (pays the fee)')
+      .argument('<htlcId>', 'HTLC ID (hash of the lock transaction)')
+      .argument('<preimage>', 'Secret in hex')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, htlcId, preimage, options) => {
+        await this.initialize();
+        try {
+          const txHash = await this.node.claimHtlc(address, htlcId, preimage, Amount.parse(options.fee));
+          console.log(`HTLC claim sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('htlc-refund')
+      .description('Return expired locked DOU to the sender')
+      .argument('<address>', 'Address submitting the refund (pays the fee)')
+      .argument('<htlcId>', 'HTLC ID (hash of the lock transaction)')
+      .option('-f, --fee <fee>', 'Transaction fee', String(config.blockchain.defaultFee))
+      .action(async (address, htlcId, options) => {
+        await this.initialize();
+        try {
+          const txHash = await this.node.refundHtlc(address, htlcId, Amount.parse(options.fee));
+          console.log(`HTLC refund sent. Transaction: ${txHash}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('htlc')
+      .description('Show a hash time-locked transfer')
+      .argument('<htlcId>', 'HTLC ID (hash of the lock transaction)')
+      .action(async (htlcId) => {
+        await this.initialize();
+        try {
+          const htlc = await this.explorer.getHtlc(htlcId);
+          if (!htlc) {
+            throw new Error(`HTLC ${htlcId} not found`);
+          }
+          console.log(`HTLC ${htlc.id}:`);
+          console.log(`Sender: ${htlc.sender}`);
+          console.log(`Recipient: ${htlc.recipient}`);
+          console.log(`Amount: ${htlc.amount} DOU`);
+          console.log(`Hashlock: ${htlc.hashlock}`);
+          console.log(`Expires at block #${htlc.expiryHeight}`);
+          console.log(`Status: ${htlc.status}`);
+          if (htlc.preimage) console.log(`Preimage: ${htlc.preimage}`);
+          if (htlc.settlement) console.log(`Settled by: ${htlc.settlement}`);
         } catch (err) {
           console.error(`Error: ${err.message}`);
         }
@@ -243,6 +748,7 @@ class CLI {
           console.log(`Timestamp: ${new Date(info.timestamp).toLocaleString()}`);
           console.log(`Transactions: ${info.transactions}`);
           console.log(`Validator: ${info.validator}`);
+          console.log(`Finalized height: ${info.finalizedHeight}`);
         } catch (err) {
           console.error(`Error: ${err.message}`);
         }
@@ -260,9 +766,68 @@ class CLI {
           console.log(`Type: ${tx.type}`);
           if (tx.from) console.log(`From: ${tx.from}`);
           if (tx.to) console.log(`To: ${tx.to}`);
-          if (tx.amount) console.log(`Amount: ${tx.amount} DOU`);
-          if (tx.fee) console.log(`Fee: ${tx.fee} DOU`);
+          if (tx.amount !== '0') console.log(`Amount: ${tx.amount} DOU`);
+          if (tx.fee !== '0') console.log(`Fee: ${tx.fee} DOU`);
+          if (tx.from) console.log(`Nonce: ${tx.nonce}`);
           console.log(`Timestamp: ${new Date(tx.timestamp).toLocaleString()}`);
+          if (tx.blockHash) console.log(`Block: #${tx.blockHeight} (${tx.blockHash})`);
+          if (tx.name) console.log(`Name: @${tx.name}`);
+          if (tx.token) console.log(`Token amount: ${tx.token.amount} ${tx.token.symbol}`);
+          if (tx.outputs) {
+            console.log(`Outputs (${tx.outputs.length}):`);
+            for (const output of tx.outputs) console.log(`  ${output.to}  ${output.amount} DOU`);
+          }
+          if (tx.htlc) console.log(`HTLC ${tx.htlc.id}: ${tx.htlc.amount} DOU ${tx.htlc.status}, expires at block #${tx.htlc.expiryHeight}`);
+          if (tx.finalized) {
+            console.log(`Finality: final (finalized up to block #${tx.finalizedHeight})`);
+          } else if (tx.status === 'confirmed') {
+            console.log(`Finality: not final yet (finalized up to block #${tx.finalizedHeight})`);
+          } else {
+            console.log(`Finality: ${tx.status}`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+    
+    this.program
+      .command('tx-proof')
+      .description('Show a Merkle inclusion proof for a transaction')
+      .argument('<hash>', 'Transaction hash')
+      .action(async (hash) => {
+        await this.initialize();
+        try {
+          const txProof = await this.explorer.getTransactionProof(hash);
+          console.log(`Transaction: ${txProof.txHash}`);
+          console.log(`Block: #${txProof.header.height} (${txProof.header.hash})`);
+          console.log(`Merkle root: ${txProof.header.merkleRoot}`);
+          console.log(`Position in block: ${txProof.index}`);
+          txProof.proof.forEach((step, i) => {
+            console.log(`  ${i + 1}. ${step.position}: ${step.hash}`);
+          });
+          console.log(`Verified: ${txProof.verified ? 'yes' : 'no'}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+    
+    this.program
+      .command('account-proof')
+      .description('Show a state proof of an address balance and nonce')
+      .argument('<address>', 'DoucyA address')
+      .action(async (address) => {
+        await this.initialize();
+        try {
+          const accountProof = await this.explorer.getAccountProof(address);
+          console.log(`Address: ${accountProof.address}`);
+          console.log(`Balance: ${Amount.format(accountProof.balance)} DOU`);
+          console.log(`Nonce: ${accountProof.nonce}`);
+          console.log(`Block: #${accountProof.header.height} (${accountProof.header.hash})`);
+          console.log(`State root: ${accountProof.header.stateRoot}`);
+          for (const proof of accountProof.proofs) {
+            console.log(`  ${proof.key}: ${proof.siblings.length} siblings`);
+          }
+          console.log(`Verified: ${accountProof.verified ? 'yes' : 'no'}`);
         } catch (err) {
           console.error(`Error: ${err.message}`);
         }
@@ -271,13 +836,17 @@ class CLI {
     this.program
       .command('address-info')
       .description('Get detailed address information')
-      .argument('<address>', 'DoucyA address')
+      .argument('<address>', 'DoucyA address or @name')
       .action(async (address) => {
         await this.initialize();
         try {
+          address = await this.resolveAddress(address);
           const info = await this.explorer.getAddressInfo(address);
           console.log(`Address: ${info.address}`);
+          if (info.names.length > 0) console.log(`Names: ${info.names.map(record => `@${record.name}`).join(', ')}`);
+          if (info.tokens.length > 0) console.log(`Tokens: ${info.tokens.map(token => `${token.balance} ${token.symbol}`).join(', ')}`);
           console.log(`Balance: ${info.balance} DOU`);
+          console.log(`Nonce: ${info.nonce}`);
           console.log(`Transaction Count: ${info.transactionCount}`);
           
           if (info.transactions.length > 0) {
@@ -287,7 +856,7 @@ class CLI {
               console.log(`  Type: ${tx.type}`);
               if (tx.from && tx.from !== address) console.log(`  From: ${tx.from}`);
               if (tx.to && tx.to !== address) console.log(`  To: ${tx.to}`);
-              if (tx.amount) console.log(`  Amount: ${tx.amount} DOU`);
+              if (tx.amount !== '0') console.log(`  Amount: ${tx.amount} DOU`);
               console.log(`  Time: ${new Date(tx.timestamp).toLocaleString()}`);
               console.log();
             }
@@ -311,14 +880,12 @@ class CLI {
         await this.initialize();
         try {
           // For test purposes, we'll directly modify the balance in the DB
-          const db = this.node.db;
-          const currentBalanceStr = await db.get(`BALANCE_${address}`).catch(() => '0');
-          const currentBalance = parseInt(currentBalanceStr) || 0;
-          const newBalance = currentBalance + parseInt(amount);
+          const units = Amount.parse(amount);
+          const newBalance = await this.node.getAddressBalance(address) + units;
           
-          await db.put(`BALANCE_${address}`, newBalance.toString());
-          console.log(`Minted ${amount} DOU to ${address}`);
-          console.log(`New balance: ${newBalance} DOU`);
+          await this.node.db.put(`BALANCE_${address}`, newBalance);
+          console.log(`Minted ${Amount.format(units)} DOU to ${address}`);
+          console.log(`New balance: ${Amount.format(newBalance)} DOU`);
         } catch (err) {
           console.error(`Error: ${err.message}`);
         }
@@ -329,10 +896,11 @@ class CLI {
       .command('whitelist')
       .description('Add an address to your whitelist')
       .argument('<fromAddress>', 'Your address')
-      .argument('<toAddress>', 'Address to whitelist')
+      .argument('<toAddress>', 'Address or @name to whitelist')
       .action(async (fromAddress, toAddress) => {
         await this.initialize();
         try {
+          toAddress = await this.resolveAddress(toAddress);
           await this.node.addToWhitelist(fromAddress, toAddress);
           console.log(`Address ${toAddress} added to whitelist for ${fromAddress}`);
         } catch (err) {
@@ -344,10 +912,11 @@ class CLI {
       .command('unwhitelist')
       .description('Remove an address from your whitelist')
       .argument('<fromAddress>', 'Your address')
-      .argument('<toAddress>', 'Address to remove from whitelist')
+      .argument('<toAddress>', 'Address or @name to remove from whitelist')
       .action(async (fromAddress, toAddress) => {
         await this.initialize();
         try {
+          toAddress = await this.resolveAddress(toAddress);
           await this.node.removeFromWhitelist(fromAddress, toAddress);
           console.log(`Address ${toAddress} removed from whitelist for ${fromAddress}`);
         } catch (err) {
@@ -376,18 +945,19 @@ class CLI {
       .command('send-message')
       .description('Send a message to another address')
       .argument('<fromAddress>', 'Sender address')
-      .argument('<toAddress>', 'Recipient address')
+      .argument('<toAddress>', 'Recipient address or @name')
       .argument('<message>', 'Message content')
       .action(async (fromAddress, toAddress, message) => {
         await this.initialize();
         try {
+          toAddress = await this.resolveAddress(toAddress);
           const result = await this.node.sendMessage(fromAddress, toAddress, message);
           if (result.status === 'success') {
             console.log(`Message sent successfully. Message ID: ${result.messageId}`);
             if (result.reward) {
-              console.log(`You earned ${result.reward} DOU for sending this message`);
+              console.log(`You earned ${Amount.format(result.reward)} DOU for sending this message`);
             } else if (result.fee) {
-              console.log(`You paid ${result.fee} DOU fee (recipient not whitelisted)`);
+              console.log(`You paid ${Amount.format(result.fee)} DOU fee (recipient not whitelisted)`);
             }
           }
         } catch (err) {
@@ -417,7 +987,7 @@ class CLI {
             console.log(`Date: ${new Date(msg.timestamp).toLocaleString()}`);
             console.log(`Message: ${msg.content}`);
             if (msg.reward) {
-              console.log(`Reward: ${msg.reward} DOU`);
+              console.log(`Reward: ${Amount.format(msg.reward)} DOU`);
             }
           });
         } catch (err) {
@@ -464,12 +1034,55 @@ class CLI {
       .description('Register as a validator')
       .argument('<address>', 'Validator address')
       .argument('<amount>', 'Amount to stake (minimum 50 DOU)')
-      .action(async (address, amount) => {
+      .option('-c, --commission <rate>', 'Share of delegator rewards kept by the validator (0-1)')
+      .action(async (address, amount, options) => {
         await this.initialize();
         try {
-          const txHash = await this.node.becomeValidator(address, parseFloat(amount));
+          const units = Amount.parse(amount);
+          const commission = options.commission !== undefined ? parseFloat(options.commission) : null;
+          const txHash = await this.node.becomeValidator(address, units, commission);
           console.log(`Validator registration successful. Transaction: ${txHash}`);
-          console.log(`Staked amount: ${amount} DOU`);
+          console.log(`Staked amount: ${Amount.format(units)} DOU`);
+          if (commission !== null) {
+            console.log(`Commission: ${commission * 100}%`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('delegate')
+      .description('Delegate stake to a validator')
+      .argument('<address>', 'Delegator address')
+      .argument('<validator>', 'Validator address or @name')
+      .argument('<amount>', 'Amount to delegate')
+      .action(async (address, validator, amount) => {
+        await this.initialize();
+        try {
+          validator = await this.resolveAddress(validator);
+          const units = Amount.parse(amount);
+          const txHash = await this.node.delegate(address, validator, units);
+          console.log(`Delegation successful. Transaction: ${txHash}`);
+          console.log(`Delegated ${Amount.format(units)} DOU to ${validator}`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
+      });
+
+    this.program
+      .command('undelegate')
+      .description('Take delegated stake back from a validator')
+      .argument('<address>', 'Delegator address')
+      .argument('<validator>', 'Validator address')
+      .argument('<amount>', 'Amount to take back')
+      .action(async (address, validator, amount) => {
+        await this.initialize();
+        try {
+          const units = Amount.parse(amount);
+          const txHash = await this.node.undelegate(address, validator, units);
+          console.log(`Undelegation successful. Transaction: ${txHash}`);
+          console.log(`Took back ${Amount.format(units)} DOU from ${validator}`);
         } catch (err) {
           console.error(`Error: ${err.message}`);
         }
@@ -495,13 +1108,18 @@ class CLI {
       .description('Display network information')
       .action(async () => {
         await this.initialize();
-        const networkInfo = await this.explorer.getNetworkInfo();
-        console.log('DoucyA Blockchain Network Information:');
-        console.log(`Block height: ${networkInfo.blockHeight}`);
-        console.log(`Peer count: ${networkInfo.peerCount}`);
-        console.log(`Validator count: ${networkInfo.validatorCount}`);
-        console.log(`Total supply: ${networkInfo.totalSupply} DOU`);
-        console.log(`Network hash rate: ${networkInfo.hashRate}`);
+        try {
+          // Load the chain so the validator set is that of the stored tip
+          await this.node.blockchain.initialize();
+          const networkInfo = await this.explorer.getNetworkInfo();
+          console.log('DoucyA Blockchain Network Information:');
+          console.log(`Block height: ${networkInfo.blockHeight}`);
+          console.log(`Peer count: ${networkInfo.peerCount}`);
+          console.log(`Validator count: ${networkInfo.validatorCount}`);
+          console.log(`Total supply: ${networkInfo.totalSupply} DOU`);
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        }
       });
 
     this.program
@@ -523,6 +1141,103 @@ class CLI {
         }
       });
 
+    this.program
+      .command('schedule')
+      .description('Show the scheduled block proposers of the upcoming slots')
+      .option('-n, --count <slots>', 'Number of slots', '10')
+      .action(async (options) => {
+        const db = new LevelDB(config.storage.dbPath);
+        try {
+          const blockchain = new Blockchain(db);
+          await blockchain.initialize();
+          const latestBlock = await blockchain.getLatestBlock();
+          const schedule = await blockchain.getProposerSchedule(parseInt(options.count, 10));
+
+          console.log(`\nSchedule after block #${latestBlock.height} (${latestBlock.hash}):`);
+          for (const entry of schedule) {
+            console.log(`Slot ${entry.slot} at ${new Date(entry.startTime).toLocaleString()}: ${entry.proposer || 'no validators'}`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        } finally {
+          await db.close();
+        }
+      });
+
+    this.program
+      .command('stake-status')
+      .description('Show the bonded and unbonding stake of an address')
+      .argument('<address>', 'Validator or delegator address')
+      .action(async (address) => {
+        if (!Address.isValidAddress(address)) {
+          console.error('Error: Invalid address format');
+          return;
+        }
+
+        const db = new LevelDB(config.storage.dbPath);
+        try {
+          const blockchain = new Blockchain(db);
+          await blockchain.initialize();
+          const status = blockchain.getStakeStatus(address);
+
+          console.log(`\nStake of ${address} at block #${status.height}:`);
+          console.log(`Bonded: ${Amount.format(status.bonded)} DOU`);
+          if (status.delegatedToValidator > 0) {
+            console.log(`Delegated to it: ${Amount.format(status.delegatedToValidator)} DOU`);
+          }
+          for (const delegation of status.delegations) {
+            console.log(`Delegated to ${delegation.validator}: ${Amount.format(delegation.amount)} DOU`);
+          }
+          if (status.unbonding.length === 0) {
+            console.log('Unbonding: none');
+          }
+          for (const entry of status.unbonding) {
+            const source = entry.validator === address ? 'own stake' : `from ${entry.validator}`;
+            console.log(`Unbonding: ${Amount.format(entry.amount)} DOU (${source}), released at block #${entry.releaseHeight}`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        } finally {
+          await db.close();
+        }
+      });
+
+    this.program
+      .command('supply')
+      .description('Show the total supply breakdown and check it against all balances')
+      .action(async () => {
+        const db = new LevelDB(config.storage.dbPath);
+        try {
+          const blockchain = new Blockchain(db);
+          await blockchain.initialize();
+          const latestBlock = await blockchain.getLatestBlock();
+          const { supply, balances, staked, locked, consistent } = await blockchain.auditSupply();
+
+          console.log(`\nSupply at block #${latestBlock.height}:`);
+          console.log(`Genesis allocation: ${Amount.format(supply.genesis)} DOU`);
+          console.log(`Minted: ${Amount.format(supply.minted)} DOU`);
+          console.log(`Validator rewards: ${Amount.format(supply.validatorRewards)} DOU`);
+          console.log(`Messaging rewards: ${Amount.format(supply.messagingRewards)} DOU`);
+          console.log(`Fees redistributed: ${Amount.format(supply.feesRedistributed)} DOU`);
+          console.log(`Slashed and burned: ${Amount.format(supply.slashBurned)} DOU`);
+          console.log(`Name fees burned: ${Amount.format(supply.nameFeesBurned)} DOU`);
+          console.log(`Total supply: ${Amount.format(supply.total)} DOU`);
+          console.log(`Staked: ${Amount.format(supply.staked)} DOU`);
+          console.log(`Locked in HTLCs: ${Amount.format(supply.locked)} DOU`);
+          console.log(`Liquid: ${Amount.format(supply.liquid)} DOU`);
+
+          if (consistent) {
+            console.log('\nCheck: liquid supply matches the sum of all balances');
+          } else {
+            console.log(`\nCheck FAILED: balances sum to ${Amount.format(balances)} DOU, stakes to ${Amount.format(staked)} DOU and HTLCs to ${Amount.format(locked)} DOU`);
+          }
+        } catch (err) {
+          console.error(`Error: ${err.message}`);
+        } finally {
+          await db.close();
+        }
+      });
+
     this.program
       .command('transaction')
       .description('Display transaction information')
@@ -537,7 +1252,7 @@ class CLI {
           console.log(`Timestamp: ${new Date(tx.timestamp).toLocaleString()}`);
           console.log(`From: ${tx.from}`);
           if (tx.to) console.log(`To: ${tx.to}`);
-          if (tx.amount) console.log(`Amount: ${tx.amount} DOU`);
+          if (tx.amount !== '0') console.log(`Amount: ${tx.amount} DOU`);
           console.log(`Fee: ${tx.fee} DOU`);
           console.log(`Status: ${tx.status}`);
         } catch (err) {
@@ -546,6 +1261,123 @@ class CLI {
       });
   }
 
+  /**
+   * Resolve an address argument that may be given as @name
+   * @param {string} value - Address or @name
+   * @returns {Promise<string>} - Address
+   */
+  async resolveAddress(value) {
+    return await this.node.blockchain.resolveAddress(value);
+  }
+
+  /**
+   * Describe an address together with the name it was given as
+   * @param {string} value - Address or @name as typed
+   * @param {string} address - Resolved address
+   * @returns {string} - "@name (address)" for names, the address otherwise
+   */
+  describeAddress(value, address) {
+    return Names.isReference(value) ? `${value} (${address})` : address;
+  }
+
+  /**
+   * Parse an amount of a user-issued token into its base units
+   * @param {string} value - Amount in token units (e.g. "12.5")
+   * @param {string} symbol - Token symbol
+   * @returns {Promise<number>} - Amount in token base units
+   * @throws {Error} - If the token does not exist or the amount is invalid for its decimals
+   */
+  async parseTokenAmount(value, symbol) {
+    const token = await this.node.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    return Amount.parse(value, token.decimals);
+  }
+
+  /**
+   * Print the token balances of an address below its DOU balance
+   * @param {string} address - Address
+   */
+  async printTokenBalances(address) {
+    for (const token of await this.explorer.getTokenBalances(address)) {
+      console.log(`  ${token.balance} ${token.symbol}`);
+    }
+  }
+
+  /**
+   * Read the recipients of a batch transfer from a CSV file
+   * Blank lines and lines starting with # are skipped.
+   * @param {string} file - Path of a file with one "address,amount" line per recipient
+   * @returns {Array<Object>} - Recipients as { to, amount } with amounts in base units (to may be an @name)
+   * @throws {Error} - If the file is missing or a line is invalid
+   */
+  loadBatchFile(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Batch file not found: ${file}`);
+    }
+    
+    const outputs = [];
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+    lines.forEach((line, i) => {
+      const text = line.trim();
+      if (!text || text.startsWith('#')) {
+        return;
+      }
+      
+      const fields = text.split(',').map(field => field.trim());
+      if (fields.length !== 2 || !(Address.isValidAddress(fields[0]) || Names.isReference(fields[0]))) {
+        throw new Error(`${file}:${i + 1}: expected "address,amount"`);
+      }
+      try {
+        outputs.push({ to: fields[0], amount: Amount.parse(fields[1]) });
+      } catch (err) {
+        throw new Error(`${file}:${i + 1}: ${err.message}`);
+      }
+    });
+    
+    if (outputs.length === 0) {
+      throw new Error(`Batch file ${file} lists no recipients`);
+    }
+    return outputs;
+  }
+
+  /**
+   * Ask a yes/no question on the terminal
+   * @param {string} question - Question to show
+   * @returns {Promise<boolean>} - Whether the answer was yes
+   */
+  confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+      rl.question(question, answer => {
+        rl.close();
+        resolve(/^y(es)?$/i.test(answer.trim()));
+      });
+    });
+  }
+
+  /**
+   * Read a transaction shared as a file between multisig signers
+   * @param {string} file - Path of the file
+   * @returns {Transaction} - Transaction
+   */
+  loadTransactionFile(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Transaction file not found: ${file}`);
+    }
+    return Transaction.fromJSON(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  /**
+   * Write a transaction to share it between multisig signers
+   * @param {string} file - Path of the file
+   * @param {Transaction} tx - Transaction
+   */
+  saveTransactionFile(file, tx) {
+    fs.writeFileSync(file, JSON.stringify(tx.toJSON(), null, 2));
+  }
+
   async run() {
     this.setupCommands();
     await this.program.parseAsync(process.argv);
@@ -4,16 +4,48 @@
 
 'use strict';
 
+const path = require('path');
+
 module.exports = {
   // Blockchain settings
   blockchain: {
-    genesisTimestamp: Date.now(),
+    genesisFile: path.join(__dirname, '..', 'genesis.json'), // Used when the data directory is empty
     blockTime: 60000, // 60 seconds per block
     initialSupply: 15000, // Initial DOU tokens for first 10 nodes
     maxInitialNodes: 10, // Maximum number of nodes that get initial supply
     validatorMinDeposit: 50, // Minimum deposit to be a validator
-    validatorDepositIncreaseRate: 0.1, // 10% yearly increase
-    validatorAPY: 0.17, // 17% annually
+    validatorDepositIncreaseRate: 0.1, // 10% yearly increase, applied at the first epoch boundary of each year
+    validatorAPY: 0.17, // 17% annually, paid per epoch
+    defaultFee: 0.1, // Default transaction fee
+    maxBlockTransactions: 500, // Maximum transactions per block
+    maxBlockSize: 1000000, // Maximum encoded size of a block's transactions in bytes
+    maxTransferOutputs: 100, // Maximum recipients of a MULTI_TRANSFER transaction
+    epochLength: 1440, // Blocks per epoch (one day at 60 second slots)
+    slashFraction: 0.05, // Share of a double-signing validator's stake that is slashed
+    slashReporterShare: 0.1, // Share of the slashed stake paid to the reporter; the rest is burned
+    jailEpochs: 2, // Epoch boundaries a slashed validator stays jailed for
+    unbondingBlocks: 10080, // Blocks withdrawn stake stays locked and slashable (a week at 60 second slots)
+    nameRegistrationFee: 10, // DOU burned to register or renew a name
+    nameRegistrationBlocks: 525600, // Blocks a name stays registered per registration or renewal (a year at 60 second slots)
+    messageSendReward: 0.75, // DOU reward for sending a message to an address that whitelisted the sender
+    messageReceiveReward: 0.25, // DOU reward for receiving a message from a whitelisted sender
+    messageFee: 0.75, // Minimum fee for sending a message to an address that has not whitelisted the sender
+    medianTimeBlocks: 11, // A block's timestamp must be after the median of this many previous blocks
+    maxFutureBlockTime: 2 * 60 * 1000, // How far ahead of local time a block timestamp may be
+  },
+  
+  // Currency settings
+  currency: {
+    decimals: 8, // Amounts are integers in units of 10^-8 DOU; config amounts below are in DOU
+  },
+  
+  // Mempool settings
+  mempool: {
+    maxSize: 5000, // Maximum number of pending transactions
+    maxPerSender: 64, // Maximum pending transactions per sender
+    maxNonceGap: 16, // How far ahead of the account nonce a transaction may be
+    expiryTime: 3 * 60 * 60 * 1000, // Drop pending transactions after 3 hours
+    minFeeBump: 0.1, // A replacement must pay at least 10% more fee
   },
   
   // Network settings
@@ -27,11 +59,8 @@ module.exports = {
 
   // Messaging settings
   messaging: {
-    sendReward: 0.75, // DOU reward for sending a message
-    receiveReward: 0.25, // DOU reward for receiving a message
     maxMessagesPerHour: 200, // Maximum messages per hour
     maxMessagesToAddressPerHour: 30, // Maximum messages to a single address per hour
-    nonWhitelistedFee: 0.75, // Fee for sending to non-whitelisted address
   },
 
   // Storage settings
@@ -44,6 +73,7 @@ module.exports = {
   address: {
     prefix: 'Dou',
     suffix: 'cyA',
+    multisigSuffix: 'cyM', // Multisig account addresses end differently, so no key can derive one
     length: 16, // Total address length (including prefix and suffix)
   },
 
@@ -5,7 +5,10 @@
 'use strict';
 
 const Address = require('../blockchain/address');
+const Amount = require('../blockchain/amount');
 const Block = require('../blockchain/block');
+const Blockchain = require('../blockchain/blockchain');
+const Names = require('../blockchain/names');
 const Transaction = require('../blockchain/transaction');
 
 class BlockchainExplorer {
@@ -24,13 +27,15 @@ class BlockchainExplorer {
   async getBlockchainInfo() {
     try {
       const latestBlock = await this.node.blockchain.getLatestBlock();
+      const checkpoint = await this.node.blockchain.getStoredCheckpoint();
       
       return {
         height: latestBlock.height,
         latestBlockHash: latestBlock.hash,
         timestamp: latestBlock.timestamp,
         transactions: latestBlock.transactions.length,
-        validator: latestBlock.validator
+        validator: latestBlock.validator,
+        finalizedHeight: checkpoint ? checkpoint.height : 0
       };
     } catch (error) {
       // Handle case where no blocks exist yet
@@ -39,11 +44,58 @@ class BlockchainExplorer {
         latestBlockHash: "No blocks yet",
         timestamp: Date.now(),
         transactions: 0,
-        validator: "None"
+        validator: "None",
+        finalizedHeight: 0
       };
     }
   }
 
+  /**
+   * Get the total supply with its breakdown, checked against the balances
+   * @returns {Object} - Supply buckets, summed balances and stake (amounts in DOU) and whether they match
+   */
+  async getSupply() {
+    const audit = await this.node.blockchain.auditSupply();
+    const supply = {};
+    for (const [bucket, amount] of Object.entries(audit.supply)) {
+      supply[bucket] = Amount.format(amount);
+    }
+
+    return {
+      supply,
+      balances: Amount.format(audit.balances),
+      staked: Amount.format(audit.staked),
+      locked: Amount.format(audit.locked),
+      consistent: audit.consistent
+    };
+  }
+
+  /**
+   * Get an overview of the network
+   * @returns {Object} - Block height, connected peers, validators of the current epoch and total supply (in DOU)
+   */
+  async getNetworkInfo() {
+    const blockchain = this.node.blockchain;
+    const latestBlock = await blockchain.getLatestBlock();
+    const supply = await blockchain.getSupply();
+
+    return {
+      blockHeight: latestBlock.height,
+      peerCount: this.node.peers ? this.node.peers.size : 0,
+      validatorCount: Object.keys(blockchain.getEpochValidators()).length,
+      totalSupply: Amount.format(supply.total)
+    };
+  }
+
+  /**
+   * Get the proposers of the upcoming slots
+   * @param {number} count - Number of slots
+   * @returns {Array<Object>} - Slots with slot number, start time and proposer
+   */
+  async getProposerSchedule(count = 10) {
+    return await this.node.blockchain.getProposerSchedule(count);
+  }
+
   /**
    * Get a block by height or hash
    * @param {string|number} heightOrHash - Block height or hash
@@ -56,6 +108,8 @@ class BlockchainExplorer {
       height: block.height,
       hash: block.hash,
       previousHash: block.previousHash,
+      merkleRoot: block.merkleRoot,
+      stateRoot: block.stateRoot,
       timestamp: block.timestamp,
       validator: block.validator,
       transactions: block.transactions.length,
@@ -63,10 +117,51 @@ class BlockchainExplorer {
     };
   }
 
+  /**
+   * Get the header of a block by height or hash
+   * @param {string|number} heightOrHash - Block height or hash
+   * @returns {Object} - Block header
+   */
+  async getBlockHeader(heightOrHash) {
+    return await this.node.blockchain.getBlockHeader(heightOrHash);
+  }
+
+  /**
+   * Get a Merkle inclusion proof for a transaction
+   * @param {string} hash - Transaction hash
+   * @returns {Object} - Proof with block header and verification result
+   */
+  async getTransactionProof(hash) {
+    const proof = await this.node.blockchain.getTransactionProof(hash);
+    
+    return {
+      ...proof,
+      verified: Blockchain.verifyTransactionProof(proof)
+    };
+  }
+
+  /**
+   * Get a state proof of an address's balance and nonce
+   * @param {string} address - Address
+   * @returns {Object} - Proof with block header and verification result
+   */
+  async getAccountProof(address) {
+    if (!Address.isValidAddress(address)) {
+      throw new Error('Invalid address format');
+    }
+    
+    const proof = await this.node.blockchain.getAccountProof(address);
+    
+    return {
+      ...proof,
+      verified: Blockchain.verifyAccountProof(proof)
+    };
+  }
+
   /**
    * Get transactions for a block
    * @param {string|number} heightOrHash - Block height or hash
-   * @returns {Array} - Transactions
+   * @returns {Array} - Transactions (amounts in DOU)
    */
   async getBlockTransactions(heightOrHash) {
     const block = await this.node.blockchain.getBlock(heightOrHash);
@@ -76,8 +171,8 @@ class BlockchainExplorer {
       type: tx.type,
       from: tx.from,
       to: tx.to,
-      amount: tx.amount,
-      fee: tx.fee,
+      amount: Amount.format(tx.amount || 0),
+      fee: Amount.format(tx.fee || 0),
       timestamp: tx.timestamp
     }));
   }
@@ -85,28 +180,130 @@ class BlockchainExplorer {
   /**
    * Get a transaction by hash
    * @param {string} hash - Transaction hash
-   * @returns {Object} - Transaction information
+   * @returns {Object} - Transaction information (amounts in DOU)
    */
   async getTransaction(hash) {
     const tx = await this.node.blockchain.getTransaction(hash);
+    const finality = await this.node.blockchain.getTransactionFinality(hash);
+    
+    // Hash time-locked transfers show the current state of their lock
+    let htlc;
+    if (tx.type === 'HTLC_LOCK') {
+      htlc = await this.getHtlc(tx.hash);
+    } else if (tx.type === 'HTLC_CLAIM' || tx.type === 'HTLC_REFUND') {
+      htlc = await this.getHtlc(tx.data.htlc);
+    }
+    
+    // Name registry transactions show the name they act on
+    const name = ['NAME_REGISTER', 'NAME_TRANSFER', 'NAME_RENEW'].includes(tx.type) ? tx.data.name : undefined;
+    
+    // Token transactions show the token amount they move
+    let token;
+    if (['TOKEN_TRANSFER', 'TOKEN_MINT', 'TOKEN_BURN'].includes(tx.type)) {
+      const { decimals } = await this.node.blockchain.getToken(tx.data.symbol);
+      token = { symbol: tx.data.symbol, amount: Amount.format(tx.data.amount, decimals) };
+    } else if (tx.type === 'TOKEN_CREATE') {
+      token = { symbol: tx.data.symbol, amount: Amount.format(tx.data.supply, tx.data.decimals) };
+    }
+    
+    // Batch transfers list their recipients
+    let outputs;
+    if (tx.type === 'MULTI_TRANSFER') {
+      outputs = tx.data.outputs.map(output => ({ to: output.to, amount: Amount.format(output.amount) }));
+    }
     
     return {
       hash: tx.hash,
       type: tx.type,
       from: tx.from,
       to: tx.to,
-      amount: tx.amount,
-      fee: tx.fee,
+      amount: Amount.format(tx.amount || 0),
+      fee: Amount.format(tx.fee || 0),
+      nonce: tx.nonce,
       timestamp: tx.timestamp,
-      blockHeight: tx.blockHeight,
-      blockHash: tx.blockHash
+      blockHeight: finality.blockHeight,
+      blockHash: finality.blockHash,
+      status: finality.status,
+      finalized: finality.status === 'finalized',
+      finalizedHeight: finality.finalizedHeight,
+      outputs,
+      name,
+      token,
+      htlc
     };
   }
 
+  /**
+   * Get a hash time-locked transfer
+   * @param {string} id - Hash of the HTLC_LOCK transaction
+   * @returns {Object|null} - Lock with its status (amount in DOU), or null if unknown
+   */
+  async getHtlc(id) {
+    const htlc = await this.node.blockchain.getHtlc(id);
+    if (!htlc) {
+      return null;
+    }
+    
+    return { ...htlc, amount: Amount.format(htlc.amount) };
+  }
+
+  /**
+   * Get the registration of a name
+   * @param {string} name - Name, with or without the @ prefix
+   * @returns {Object|null} - Name record with an expired flag, or null if it was never registered
+   */
+  async getName(name) {
+    const record = await this.node.blockchain.getName(Names.fromReference(name));
+    if (!record) {
+      return null;
+    }
+    
+    const height = await this.node.blockchain.getStoredHeight();
+    return { ...record, expired: record.expiryHeight <= height };
+  }
+
+  /**
+   * Get all user-issued tokens
+   * @returns {Array<Object>} - Tokens sorted by symbol (supply in token units)
+   */
+  async getTokens() {
+    const tokens = await this.node.blockchain.getTokens();
+    return tokens.map(token => ({ ...token, supply: Amount.format(token.supply, token.decimals) }));
+  }
+
+  /**
+   * Get a user-issued token
+   * @param {string} symbol - Token symbol
+   * @returns {Object|null} - Token (supply in token units), or null if no such token exists
+   */
+  async getToken(symbol) {
+    const token = await this.node.blockchain.getToken(symbol);
+    if (!token) {
+      return null;
+    }
+    
+    return { ...token, supply: Amount.format(token.supply, token.decimals) };
+  }
+
+  /**
+   * Get the token balances of an address
+   * @param {string} address - Address
+   * @returns {Array<Object>} - Symbol and balance (in token units) of each token held, sorted by symbol
+   */
+  async getTokenBalances(address) {
+    const balances = await this.node.blockchain.getTokenBalances(address);
+    const result = [];
+    for (const symbol of Object.keys(balances).sort()) {
+      const { decimals } = await this.node.blockchain.getToken(symbol);
+      result.push({ symbol, balance: Amount.format(balances[symbol], decimals) });
+    }
+    return result;
+  }
+
   /**
    * Get information about an address
    * @param {string} address - Address to get information for
-   * @returns {Object} - Address information
+   * @returns {Object} - Address information (amounts in DOU)
    */
   async getAddressInfo(address) {
     if (!Address.isValidAddress(address)) {
@@ -114,6 +311,9 @@ class BlockchainExplorer {
     }
     
     const balance = await this.node.getAddressBalance(address);
+    const nonce = await this.node.blockchain.getAccountNonce(address);
+    const names = await this.node.blockchain.lookupNames(address);
+    const tokens = await this.getTokenBalances(address);
     const transactions = await this.node.blockchain.getAddressTransactions(address);
     
     // Get transaction details
@@ -126,8 +326,8 @@ class BlockchainExplorer {
           type: tx.type,
           from: tx.from,
           to: tx.to,
-          amount: tx.amount,
-          fee: tx.fee,
+          amount: Amount.format(tx.amount || 0),
+          fee: Amount.format(tx.fee || 0),
           timestamp: tx.timestamp
         });
       } catch (err) {
@@ -140,7 +340,10 @@ class BlockchainExplorer {
     
     return {
       address,
-      balance,
+      balance: Amount.format(balance),
+      nonce,
+      names,
+      tokens,
       transactionCount: txDetails.length,
       transactions: txDetails
     };
@@ -158,10 +361,11 @@ class BlockchainExplorer {
       addresses: []
     };
     
-    // Check if query is an address
-    if (Address.isValidAddress(query)) {
+    // Check if query is an address or a registered @name
+    const address = Names.isReference(query) ? await this.node.blockchain.resolveName(query) : query;
+    if (address && Address.isValidAddress(address)) {
       try {
-        const addressInfo = await this.getAddressInfo(query);
+        const addressInfo = await this.getAddressInfo(address);
         results.addresses.push(addressInfo);
       } catch (err) {
         // Address not found
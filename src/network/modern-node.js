@@ -20,6 +20,7 @@ const uint8ArrayToString = require('uint8arrays/to-string');
 const Blockchain = require('../blockchain/blockchain');
 const Transaction = require('../blockchain/transaction');
 const Block = require('../blockchain/block');
+const Evidence = require('../blockchain/evidence');
 const ValidatorManager = require('../blockchain/validator');
 const LevelDB = require('../storage/db');
 const Message = require('../messaging/message');
@@ -28,7 +29,9 @@ const Channel = require('../messaging/channel');
 const config = require('../config');
 const Protocol = require('./protocol');
 const Address = require('../blockchain/address');
+const Amount = require('../blockchain/amount');
 const Encryption = require('../crypto/encryption');
+const Encoding = require('../crypto/encoding');
 
 class ModernNode {
   /**
@@ -40,7 +43,7 @@ class ModernNode {
     this.wallet = wallet;
     this.db = new LevelDB(config.storage.dbPath);
     this.blockchain = new Blockchain(this.db);
-    this.validatorManager = new ValidatorManager(this.blockchain, this.db);
+    this.validatorManager = new ValidatorManager(this.blockchain);
     this.protocol = null; // Will be initialized after libp2p is created
     this.bootstrapped = false;
     this.peers = new Map();
@@ -63,7 +66,6 @@ class ModernNode {
   async initialize() {
     await this.db.open();
     await this.blockchain.initialize();
-    await this.validatorManager.initialize();
     await this.loadGroups();
     await this.loadChannels();
     
@@ -127,7 +129,7 @@ class ModernNode {
     // Subscribe to blockchain topics
     await this.libp2p.pubsub.subscribe('doucya:blocks');
     await this.libp2p.pubsub.subscribe('doucya:transactions');
-    await this.libp2p.pubsub.subscribe('doucya:validators');
+    await this.libp2p.pubsub.subscribe('doucya:votes');
     await this.libp2p.pubsub.subscribe('doucya:discovery');
     
     // Start the blockchain
@@ -136,7 +138,7 @@ class ModernNode {
     
     // Check if any of our addresses are validators
     for (const address of addresses) {
-      if (await this.validatorManager.isValidator(address)) {
+      if (this.validatorManager.isValidator(address)) {
         validatorAddress = address;
         break;
       }
@@ -149,7 +151,8 @@ class ModernNode {
         return Address.sign(data, privateKey);
       };
       
-      await this.blockchain.start(validatorAddress, signCallback);
+      const { publicKey } = Address.fromPrivateKey(privateKey);
+      await this.blockchain.start(validatorAddress, signCallback, publicKey);
       console.log(`Started as validator with address: ${validatorAddress}`);
     } else {
       await this.blockchain.start();
@@ -171,7 +174,14 @@ class ModernNode {
     // Pubsub message events - using legacy API
     this.libp2p.pubsub.on('doucya:blocks', this.handleBlockMessage.bind(this));
     this.libp2p.pubsub.on('doucya:transactions', this.handleTransactionMessage.bind(this));
-    this.libp2p.pubsub.on('doucya:validators', this.handleValidatorMessage.bind(this));
+    this.libp2p.pubsub.on('doucya:votes', this.handleVoteMessage.bind(this));
+    
+    // Gossip the finality votes this node casts
+    this.blockchain.on('voteCast', vote => {
+      this.broadcastVote(vote).catch(err => {
+        console.error('Error broadcasting vote:', err);
+      });
+    });
   }
 
   /**
@@ -216,46 +226,24 @@ class ModernNode {
       const blockData = JSON.parse(uint8ArrayToString(data));
       const block = Block.fromJSON(blockData);
       
-      // Verify the block before adding it
-      const latestBlock = await this.blockchain.getLatestBlock();
-      
-      // Ignore blocks we already have
-      if (block.height <= latestBlock.height) {
-        return;
-      }
-      
-      // Check if block builds on our chain
-      if (block.height > latestBlock.height + 1) {
-        // We're behind, need to sync
-        await this.syncBlockchain();
-        return;
-      }
-      
-      // Verify block is valid
-      if (block.previousHash !== latestBlock.hash) {
-        console.error('Block has invalid previous hash');
-        return;
+      // Conflicting headers from the same validator prove double-signing,
+      // once the signature checks out against the key on chain
+      if (await this.blockchain.verifyBlockSignature(block)) {
+        await this.reportDoubleSigning(block);
       }
       
-      // Verify block signature
-      const isValid = await block.verifySignature(
-        async (hash, signature, address) => {
-          // Lookup validator's public key
-          const publicKey = await this.getPublicKeyForAddress(address);
-          if (!publicKey) return false;
-          
-          return Address.verifySignature(hash, signature, publicKey);
-        }
-      );
+      // The fork-choice rule decides whether the block extends our chain,
+      // is kept on a side branch or triggers a reorganization
+      const result = await this.blockchain.acceptBlock(block);
       
-      if (!isValid) {
-        console.error('Block has invalid signature');
-        return;
+      if (result.status === 'orphan') {
+        // We're missing its ancestors, need to sync
+        await this.syncBlockchain();
+      } else if (result.status === 'invalid') {
+        console.error(`Rejected block #${block.height}: ${result.reason}`);
+      } else if (result.status === 'extended' || result.status === 'reorganized') {
+        console.log(`Added block #${block.height} from peer`);
       }
-      
-      // Process the block
-      await this.blockchain.saveBlock(block);
-      console.log(`Added block #${block.height} from peer`);
     } catch (err) {
       console.error('Error processing block message:', err);
     }
@@ -287,7 +275,7 @@ class ModernNode {
       }
       
       // Add to pending transactions
-      this.blockchain.addTransaction(tx);
+      await this.blockchain.addTransaction(tx);
       console.log(`Added transaction ${tx.hash} from peer`);
     } catch (err) {
       console.error('Error processing transaction message:', err);
@@ -295,28 +283,22 @@ class ModernNode {
   }
 
   /**
-   * Handle validator message from pubsub
+   * Handle finality vote message from pubsub
    * @param {Message} message - Libp2p pubsub message
    */
-  async handleValidatorMessage(message) {
+  async handleVoteMessage(message) {
     const data = message.data;
     try {
-      const validatorData = JSON.parse(uint8ArrayToString(data));
-      
-      // Update validator information
-      if (validatorData.action === 'register') {
-        this.validatorManager.registerValidator(
-          validatorData.address,
-          validatorData.amount
-        );
-      } else if (validatorData.action === 'withdraw') {
-        this.validatorManager.removeValidator(validatorData.address);
+      const vote = JSON.parse(uint8ArrayToString(data));
+      const result = await this.blockchain.addVote(vote);
+      if (result.status === 'finalized') {
+        console.log(`Block #${this.blockchain.getFinalizedHeight()} finalized by votes from peers`);
+      }
+      if (result.evidence) {
+        await this.submitSlashEvidence(vote.validator, result.evidence);
       }
-      
-      // Save validator state
-      await this.validatorManager.save();
     } catch (err) {
-      console.error('Error processing validator message:', err);
+      console.error('Error processing vote message:', err.message);
     }
   }
 
@@ -325,39 +307,30 @@ class ModernNode {
    * @param {Transaction} transaction - Transaction to broadcast
    */
   async broadcastTransaction(transaction) {
-    const txData = uint8ArrayFromString(JSON.stringify(transaction));
+    const txData = uint8ArrayFromString(Encoding.encode(transaction));
     await this.libp2p.pubsub.publish('doucya:transactions', txData);
     console.log(`Broadcasted transaction ${transaction.hash} to network`);
   }
 
+  /**
+   * Broadcast a finality vote to the network
+   * @param {Object} vote - Signed vote
+   */
+  async broadcastVote(vote) {
+    const voteData = uint8ArrayFromString(Encoding.encode(vote));
+    await this.libp2p.pubsub.publish('doucya:votes', voteData);
+  }
+
   /**
    * Broadcast a block to the network
    * @param {Block} block - Block to broadcast
    */
   async broadcastBlock(block) {
-    const blockData = uint8ArrayFromString(JSON.stringify(block.toJSON()));
+    const blockData = uint8ArrayFromString(Encoding.encode(block.toJSON()));
     await this.libp2p.pubsub.publish('doucya:blocks', blockData);
     console.log(`Broadcasted block #${block.height} to network`);
   }
 
-  /**
-   * Broadcast validator information to the network
-   * @param {string} action - Action (register or withdraw)
-   * @param {string} address - Validator address
-   * @param {number} amount - Amount staked (for register action)
-   */
-  async broadcastValidatorInfo(action, address, amount = 0) {
-    const data = {
-      action,
-      address,
-      amount
-    };
-    
-    const validatorData = uint8ArrayFromString(JSON.stringify(data));
-    await this.libp2p.pubsub.publish('doucya:validators', validatorData);
-    console.log(`Broadcasted validator ${action} for ${address} to network`);
-  }
-
   /**
    * Sync blockchain with a specific peer
    * @param {string} peerId - Peer ID to sync with
@@ -374,26 +347,31 @@ class ModernNode {
       if (peerHeight > latestBlock.height) {
         console.log(`Peer ${peerId} has higher block height (${peerHeight} vs ${latestBlock.height})`);
         
-        // Request blocks we don't have
-        for (let i = latestBlock.height + 1; i <= peerHeight; i++) {
+        // Walk back from the peer's tip to a block we know, so a competing
+        // branch is fetched down to its fork point
+        const blocks = [];
+        for (let i = peerHeight; i > 0; i--) {
+          
           const blockResponse = await this.protocol.request(peerId, '/doucya/sync/block', { height: i });
           const block = Block.fromJSON(blockResponse);
-          
-          // Verify and add the block
-          await this.blockchain.saveBlock(block);
-          console.log(`Synced block #${i} from peer ${peerId}`);
+          if (await this.blockchain.hasBlock(block.hash)) {
+            break;
+          }
+          blocks.unshift(block);
+          if (await this.blockchain.hasBlock(block.previousHash)) {
+            break;
+          }
         }
-      }
-      
-      // Sync validators
-      const validatorsResponse = await this.protocol.request(peerId, '/doucya/sync/validators');
-      for (const [address, amount] of Object.entries(validatorsResponse.validators)) {
-        if (!this.validatorManager.isValidator(address)) {
-          this.validatorManager.registerValidator(address, amount);
+        
+        // Add the blocks in order and let the fork-choice rule pick the chain
+        for (const block of blocks) {
+          const result = await this.blockchain.acceptBlock(block);
+          if (result.status === 'invalid') {
+            throw new Error(`Peer sent invalid block #${block.height}: ${result.reason}`);
+          }
+          console.log(`Synced block #${block.height} from peer ${peerId}`);
         }
       }
-      
-      await this.validatorManager.save();
     } catch (err) {
       console.error(`Error syncing with peer ${peerId}:`, err);
     }
@@ -512,6 +490,55 @@ class ModernNode {
     }
   }
 
+  /**
+   * Report a validator that signed a conflicting block in the same slot
+   * The evidence is submitted from the first wallet address and broadcast.
+   * @param {Block} block - Block with a verified signature
+   */
+  async reportDoubleSigning(block) {
+    const conflicting = await this.blockchain.recordSignedHeader(block);
+    if (!conflicting) return;
+    
+    console.log(`Validator ${block.validator} signed two blocks in slot ${this.blockchain.getSlot(block.timestamp)}`);
+    try {
+      const validatorKey = await this.blockchain.getValidatorKey(block.validator);
+      const evidence = Evidence.create(conflicting, Evidence.getSignedHeader(block), validatorKey);
+      await this.submitSlashEvidence(block.validator, evidence);
+    } catch (err) {
+      console.error(`Failed to submit slash evidence: ${err.message}`);
+    }
+  }
+
+  /**
+   * Submit slashing evidence from the first wallet address and broadcast it
+   * @param {string} validator - Offending validator address
+   * @param {Object} evidence - Evidence from Evidence.create or Finality.createEvidence
+   */
+  async submitSlashEvidence(validator, evidence) {
+    const [reporter] = await this.wallet.listAddresses();
+    if (!reporter) {
+      console.log('No wallet address to submit slash evidence from');
+      return;
+    }
+    
+    try {
+      const privateKey = await this.wallet.getPrivateKey(reporter);
+      const nonce = await this.blockchain.getNextNonce(reporter);
+      const tx = Transaction.createSlashEvidence(reporter, validator, evidence, 0, nonce);
+      
+      const { publicKey } = Address.fromPrivateKey(privateKey);
+      await tx.sign(async (data) => {
+        return Address.sign(data, privateKey);
+      }, publicKey);
+      
+      await this.blockchain.addTransaction(tx);
+      await this.broadcastTransaction(tx);
+      console.log(`Submitted slash evidence ${tx.hash}`);
+    } catch (err) {
+      console.error(`Failed to submit slash evidence: ${err.message}`);
+    }
+  }
+
   /**
    * Get public key for an address
    * @param {string} address - Address to get public key for
@@ -530,8 +557,9 @@ class ModernNode {
               address
             });
             
-            if (response.publicKey) {
-              // Store for future use
+            // Only a key that derives the address is stored for future use
+            if (Address.isValidPublicKey(response.publicKey) &&
+                Address.publicKeyToAddress(response.publicKey) === address) {
               await this.db.put(`PUBKEY_${address}`, response.publicKey);
               return response.publicKey;
             }
@@ -557,11 +585,11 @@ class ModernNode {
    * Send tokens from one address to another
    * @param {string} fromAddress - Sender address
    * @param {string} toAddress - Recipient address
-   * @param {number} amount - Amount to send
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to send in base units
+   * @param {number} fee - Transaction fee in base units
    * @returns {Promise<string>} - Transaction hash
    */
-  async sendTokens(fromAddress, toAddress, amount, fee = 0.1) {
+  async sendTokens(fromAddress, toAddress, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
     // Use the SimpleNode implementation for now
     // This allows us to work with both approaches during transition
     
@@ -576,14 +604,14 @@ class ModernNode {
       throw new Error('Address not found in wallet');
     }
     
-    // Convert amount and fee to numbers
-    amount = parseFloat(amount);
-    fee = parseFloat(fee);
+    if (!Amount.isValid(amount) || !Amount.isValid(fee)) {
+      throw new Error('Amount and fee must be whole base units');
+    }
     
     // Check balance
     const balance = await this.blockchain.getAddressBalance(fromAddress);
     if (balance < amount + fee) {
-      throw new Error(`Insufficient balance: ${balance} DOU (need ${amount + fee} DOU)`);
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
     }
     
     // For simplified version, directly update balances in the DB
@@ -594,12 +622,12 @@ class ModernNode {
       
       // Deduct from sender
       const newSenderBalance = balance - (amount + fee);
-      await this.db.put(`BALANCE_${fromAddress}`, newSenderBalance.toString());
+      await this.db.put(`BALANCE_${fromAddress}`, newSenderBalance);
       
       // Add to recipient
       const recipientBalance = await this.blockchain.getAddressBalance(toAddress);
       const newRecipientBalance = recipientBalance + amount;
-      await this.db.put(`BALANCE_${toAddress}`, newRecipientBalance.toString());
+      await this.db.put(`BALANCE_${toAddress}`, newRecipientBalance);
       
       // Store transaction record
       const transaction = {
@@ -623,7 +651,7 @@ class ModernNode {
         this.broadcastTransaction(transaction);
       }
       
-      console.log(`Transfer completed: ${amount} DOU from ${fromAddress} to ${toAddress}`);
+      console.log(`Transfer completed: ${Amount.format(amount)} DOU from ${fromAddress} to ${toAddress}`);
       return txHash;
     } catch (err) {
       throw new Error(`Failed to process transfer: ${err.message}`);
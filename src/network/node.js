@@ -18,6 +18,7 @@ const uint8ArrayToString = require('uint8arrays/to-string');
 const Blockchain = require('../blockchain/blockchain');
 const Transaction = require('../blockchain/transaction');
 const Block = require('../blockchain/block');
+const Evidence = require('../blockchain/evidence');
 const ValidatorManager = require('../blockchain/validator');
 const LevelDB = require('../storage/db');
 const Message = require('../messaging/message');
@@ -26,7 +27,13 @@ const Channel = require('../messaging/channel');
 const config = require('../config');
 const Protocol = require('./protocol');
 const Address = require('../blockchain/address');
+const Amount = require('../blockchain/amount');
+const Multisig = require('../blockchain/multisig');
+const Htlc = require('../blockchain/htlc');
+const Names = require('../blockchain/names');
+const Tokens = require('../blockchain/tokens');
 const Encryption = require('../crypto/encryption');
+const Encoding = require('../crypto/encoding');
 
 class Node {
   /**
@@ -38,7 +45,7 @@ class Node {
     this.wallet = wallet;
     this.db = new LevelDB(config.storage.dbPath);
     this.blockchain = new Blockchain(this.db);
-    this.validatorManager = new ValidatorManager(this.blockchain, this.db);
+    this.validatorManager = new ValidatorManager(this.blockchain);
     this.protocol = new Protocol(this);
     this.bootstrapped = false;
     this.peers = new Map();
@@ -61,7 +68,6 @@ class Node {
   async initialize() {
     await this.db.open();
     await this.blockchain.initialize();
-    await this.validatorManager.initialize();
     await this.loadGroups();
     await this.loadChannels();
     
@@ -122,7 +128,7 @@ class Node {
     // Subscribe to blockchain topics
     await this.libp2p.pubsub.subscribe('doucya:blocks');
     await this.libp2p.pubsub.subscribe('doucya:transactions');
-    await this.libp2p.pubsub.subscribe('doucya:validators');
+    await this.libp2p.pubsub.subscribe('doucya:votes');
     
     // Start the blockchain
     const addresses = await this.wallet.listAddresses();
@@ -143,7 +149,8 @@ class Node {
         return Address.sign(data, privateKey);
       };
       
-      await this.blockchain.start(validatorAddress, signCallback);
+      const { publicKey } = Address.fromPrivateKey(privateKey);
+      await this.blockchain.start(validatorAddress, signCallback, publicKey);
       console.log(`Started as validator with address: ${validatorAddress}`);
     } else {
       await this.blockchain.start();
@@ -165,7 +172,14 @@ class Node {
     // Pubsub message events
     this.libp2p.pubsub.on('doucya:blocks', this.handleBlockMessage.bind(this));
     this.libp2p.pubsub.on('doucya:transactions', this.handleTransactionMessage.bind(this));
-    this.libp2p.pubsub.on('doucya:validators', this.handleValidatorMessage.bind(this));
+    this.libp2p.pubsub.on('doucya:votes', this.handleVoteMessage.bind(this));
+    
+    // Gossip the finality votes this node casts
+    this.blockchain.on('voteCast', vote => {
+      this.broadcastVote(vote).catch(err => {
+        console.error('Error broadcasting vote:', err);
+      });
+    });
   }
 
   /**
@@ -209,46 +223,24 @@ class Node {
       const blockData = JSON.parse(uint8ArrayToString(message.data));
       const block = Block.fromJSON(blockData);
       
-      // Verify the block before adding it
-      const latestBlock = await this.blockchain.getLatestBlock();
-      
-      // Ignore blocks we already have
-      if (block.height <= latestBlock.height) {
-        return;
+      // Conflicting headers from the same validator prove double-signing,
+      // once the signature checks out against the key on chain
+      if (await this.blockchain.verifyBlockSignature(block)) {
+        await this.reportDoubleSigning(block);
       }
       
-      // Check if block builds on our chain
-      if (block.height > latestBlock.height + 1) {
-        // We're behind, need to sync
-        await this.syncBlockchain();
-        return;
-      }
-      
-      // Verify block is valid
-      if (block.previousHash !== latestBlock.hash) {
-        console.error('Block has invalid previous hash');
-        return;
-      }
+      // The fork-choice rule decides whether the block extends our chain,
+      // is kept on a side branch or triggers a reorganization
+      const result = await this.blockchain.acceptBlock(block);
       
-      // Verify block signature
-      const isValid = await block.verifySignature(
-        async (hash, signature, address) => {
-          // Lookup validator's public key
-          const publicKey = await this.getPublicKeyForAddress(address);
-          if (!publicKey) return false;
-          
-          return Address.verifySignature(hash, signature, publicKey);
-        }
-      );
-      
-      if (!isValid) {
-        console.error('Block has invalid signature');
-        return;
+      if (result.status === 'orphan') {
+        // We're missing its ancestors, need to sync
+        await this.syncBlockchain();
+      } else if (result.status === 'invalid') {
+        console.error(`Rejected block #${block.height}: ${result.reason}`);
+      } else if (result.status === 'extended' || result.status === 'reorganized') {
+        console.log(`Added block #${block.height} from peer`);
       }
-      
-      // Process the block
-      await this.blockchain.saveBlock(block);
-      console.log(`Added block #${block.height} from peer`);
     } catch (err) {
       console.error('Error processing block message:', err);
     }
@@ -279,7 +271,7 @@ class Node {
       }
       
       // Add to pending transactions
-      this.blockchain.addTransaction(tx);
+      await this.blockchain.addTransaction(tx);
       console.log(`Added transaction ${tx.hash} from peer`);
     } catch (err) {
       console.error('Error processing transaction message:', err);
@@ -287,27 +279,21 @@ class Node {
   }
 
   /**
-   * Handle validator message from pubsub
+   * Handle finality vote message from pubsub
    * @param {Message} message - Libp2p pubsub message
    */
-  async handleValidatorMessage(message) {
+  async handleVoteMessage(message) {
     try {
-      const validatorData = JSON.parse(uint8ArrayToString(message.data));
-      
-      // Update validator information
-      if (validatorData.action === 'register') {
-        this.validatorManager.registerValidator(
-          validatorData.address,
-          validatorData.amount
-        );
-      } else if (validatorData.action === 'withdraw') {
-        this.validatorManager.removeValidator(validatorData.address);
+      const vote = JSON.parse(uint8ArrayToString(message.data));
+      const result = await this.blockchain.addVote(vote);
+      if (result.status === 'finalized') {
+        console.log(`Block #${this.blockchain.getFinalizedHeight()} finalized by votes from peers`);
+      }
+      if (result.evidence) {
+        await this.submitSlashEvidence(vote.validator, result.evidence);
       }
-      
-      // Save validator state
-      await this.validatorManager.save();
     } catch (err) {
-      console.error('Error processing validator message:', err);
+      console.error('Error processing vote message:', err.message);
     }
   }
 
@@ -327,26 +313,31 @@ class Node {
       if (peerHeight > latestBlock.height) {
         console.log(`Peer ${peerId} has higher block height (${peerHeight} vs ${latestBlock.height})`);
         
-        // Request blocks we don't have
-        for (let i = latestBlock.height + 1; i <= peerHeight; i++) {
+        // Walk back from the peer's tip to a block we know, so a competing
+        // branch is fetched down to its fork point
+        const blocks = [];
+        for (let i = peerHeight; i > 0; i--) {
+          
           const blockResponse = await this.protocol.request(peerId, '/doucya/sync/block', { height: i });
           const block = Block.fromJSON(blockResponse);
-          
-          // Verify and add the block
-          await this.blockchain.saveBlock(block);
-          console.log(`Synced block #${i} from peer ${peerId}`);
+          if (await this.blockchain.hasBlock(block.hash)) {
+            break;
+          }
+          blocks.unshift(block);
+          if (await this.blockchain.hasBlock(block.previousHash)) {
+            break;
+          }
         }
-      }
-      
-      // Sync validators
-      const validatorsResponse = await this.protocol.request(peerId, '/doucya/sync/validators');
-      for (const [address, amount] of Object.entries(validatorsResponse.validators)) {
-        if (!this.validatorManager.isValidator(address)) {
-          this.validatorManager.registerValidator(address, amount);
+        
+        // Add the blocks in order and let the fork-choice rule pick the chain
+        for (const block of blocks) {
+          const result = await this.blockchain.acceptBlock(block);
+          if (result.status === 'invalid') {
+            throw new Error(`Peer sent invalid block #${block.height}: ${result.reason}`);
+          }
+          console.log(`Synced block #${block.height} from peer ${peerId}`);
         }
       }
-      
-      await this.validatorManager.save();
     } catch (err) {
       console.error(`Error syncing with peer ${peerId}:`, err);
     }
@@ -415,6 +406,45 @@ class Node {
     }
   }
 
+  /**
+   * Report a validator that signed a conflicting block in the same slot
+   * The evidence is submitted from the first wallet address and broadcast.
+   * @param {Block} block - Block with a verified signature
+   */
+  async reportDoubleSigning(block) {
+    const conflicting = await this.blockchain.recordSignedHeader(block);
+    if (!conflicting) return;
+    
+    console.log(`Validator ${block.validator} signed two blocks in slot ${this.blockchain.getSlot(block.timestamp)}`);
+    try {
+      const validatorKey = await this.blockchain.getValidatorKey(block.validator);
+      const evidence = Evidence.create(conflicting, Evidence.getSignedHeader(block), validatorKey);
+      await this.submitSlashEvidence(block.validator, evidence);
+    } catch (err) {
+      console.error(`Failed to submit slash evidence: ${err.message}`);
+    }
+  }
+
+  /**
+   * Submit slashing evidence from the first wallet address and broadcast it
+   * @param {string} validator - Offending validator address
+   * @param {Object} evidence - Evidence from Evidence.create or Finality.createEvidence
+   */
+  async submitSlashEvidence(validator, evidence) {
+    const [reporter] = await this.wallet.listAddresses();
+    if (!reporter) {
+      console.log('No wallet address to submit slash evidence from');
+      return;
+    }
+    
+    try {
+      const tx = await this.submitTransaction(reporter, nonce => Transaction.createSlashEvidence(reporter, validator, evidence, 0, nonce));
+      console.log(`Submitted slash evidence ${tx.hash}`);
+    } catch (err) {
+      console.error(`Failed to submit slash evidence: ${err.message}`);
+    }
+  }
+
   /**
    * Get public key for an address
    * @param {string} address - Address to get public key for
@@ -433,8 +463,9 @@ class Node {
               address
             });
             
-            if (response.publicKey) {
-              // Store for future use
+            // Only a key that derives the address is stored for future use
+            if (Address.isValidPublicKey(response.publicKey) &&
+                Address.publicKeyToAddress(response.publicKey) === address) {
               await this.db.put(`PUBKEY_${address}`, response.publicKey);
               return response.publicKey;
             }
@@ -451,8 +482,8 @@ class Node {
    * Send DOU tokens to another address
    * @param {string} fromAddress - Sender address
    * @param {string} toAddress - Recipient address
-   * @param {number} amount - Amount to send
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to send in base units
+   * @param {number} fee - Transaction fee in base units
    * @returns {string} - Transaction hash
    */
   async sendTokens(fromAddress, toAddress, amount, fee) {
@@ -461,28 +492,68 @@ class Node {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
     // Check balance
     const balance = await this.blockchain.getAddressBalance(fromAddress);
     if (balance < amount + fee) {
-      throw new Error(`Insufficient balance: ${balance} DOU (need ${amount + fee} DOU)`);
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
     }
     
-    // Create transaction
-    const tx = Transaction.createTransfer(fromAddress, toAddress, amount, fee);
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createTransfer(fromAddress, toAddress, amount, fee, nonce));
     
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
+    return tx.hash;
+  }
+
+  /**
+   * Create a signed batch transfer to several recipients without submitting it
+   * @param {string} fromAddress - Sender address
+   * @param {Array<Object>} outputs - Recipients as { to, amount } with amounts in base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Transaction} - Signed transaction, to be previewed and passed to submitBatchTransfer
+   */
+  async createBatchTransfer(fromAddress, outputs, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(fromAddress)) {
+      throw new Error('Invalid address format');
+    }
+    if (!Array.isArray(outputs) || outputs.length === 0) {
+      throw new Error('A batch transfer needs at least one recipient');
+    }
+    if (outputs.length > this.blockchain.params.maxTransferOutputs) {
+      throw new Error(`A batch transfer can have at most ${this.blockchain.params.maxTransferOutputs} recipients`);
+    }
+    for (const output of outputs) {
+      if (!Address.isValidAddress(output.to)) {
+        throw new Error(`Invalid address format: ${output.to}`);
+      }
+      if (!Amount.isValid(output.amount) || output.amount <= 0) {
+        throw new Error(`Amount sent to ${output.to} must be positive whole base units`);
+      }
+    }
+    
+    // Check balance
+    const total = outputs.reduce((sum, output) => sum + output.amount, 0);
+    const balance = await this.blockchain.getAddressBalance(fromAddress);
+    if (balance < total + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(total + fee)} DOU)`);
+    }
+    
+    // Create and sign the transaction
+    return this.signTransaction(fromAddress, nonce => Transaction.createMultiTransfer(fromAddress, outputs, fee, nonce));
+  }
+
+  /**
+   * Submit a batch transfer created with createBatchTransfer
+   * @param {Transaction} tx - Signed batch transfer
+   * @returns {string} - Transaction hash
+   */
+  async submitBatchTransfer(tx) {
+    if (tx.type !== 'MULTI_TRANSFER') {
+      throw new Error(`Expected a MULTI_TRANSFER transaction, got ${tx.type}`);
+    }
     
     // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
+    const txHash = await this.blockchain.addTransaction(tx);
     
     // Broadcast to network
     await this.broadcastTransaction(tx);
@@ -502,27 +573,10 @@ class Node {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
-    // Create transaction
-    const tx = Transaction.createWhitelist(fromAddress, toAddress, 'add');
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createWhitelist(fromAddress, toAddress, 'add', nonce));
     
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
-    
-    // Broadcast to network
-    await this.broadcastTransaction(tx);
-    
-    return txHash;
+    return tx.hash;
   }
 
   /**
@@ -537,27 +591,10 @@ class Node {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
-    // Create transaction
-    const tx = Transaction.createWhitelist(fromAddress, toAddress, 'remove');
-    
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
-    
-    // Broadcast to network
-    await this.broadcastTransaction(tx);
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createWhitelist(fromAddress, toAddress, 'remove', nonce));
     
-    return txHash;
+    return tx.hash;
   }
 
   /**
@@ -582,12 +619,6 @@ class Node {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
     // Check message rate limits
     await this.checkMessageRateLimits(fromAddress, toAddress);
     
@@ -600,32 +631,15 @@ class Node {
       await this.getPublicKeyForAddress(toAddress) // This will be null if not found, handled by encryption function
     );
     
-    // Create transaction
-    const tx = Transaction.createMessage(
+    // Create, sign and submit the transaction (rewards and fee follow the whitelist status)
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createMessage(
       fromAddress,
       toAddress,
       encryptedMessage,
-      isWhitelisted
-    );
-    
-    // Set rewards based on whitelist status
-    if (isWhitelisted) {
-      tx.senderReward = config.messaging.sendReward;
-      tx.receiverReward = config.messaging.receiveReward;
-    } else {
-      tx.fee = config.messaging.nonWhitelistedFee;
-    }
-    
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
-    
-    // Broadcast to network
-    await this.broadcastTransaction(tx);
+      isWhitelisted,
+      this.blockchain.params,
+      nonce
+    ));
     
     // Update message count for rate limiting
     this.updateMessageCount(fromAddress, toAddress);
@@ -633,9 +647,9 @@ class Node {
     // Return result
     return {
       status: 'success',
-      messageId: txHash,
-      reward: isWhitelisted ? config.messaging.sendReward : 0,
-      fee: isWhitelisted ? 0 : config.messaging.nonWhitelistedFee
+      messageId: tx.hash,
+      reward: tx.senderReward,
+      fee: tx.fee
     };
   }
 
@@ -912,12 +926,46 @@ class Node {
   /**
    * Get address balance
    * @param {string} address - Address to get balance for
-   * @returns {number} - Balance in DOU
+   * @returns {number} - Balance in base units
    */
   async getAddressBalance(address) {
     return await this.blockchain.getAddressBalance(address);
   }
 
+  /**
+   * Sign a transaction with the key of a wallet address
+   * The signature embeds the public key, so any node can verify it.
+   * @param {string} fromAddress - Sender address
+   * @param {Function} build - Function creating the transaction from the sender's next nonce
+   * @returns {Transaction} - Signed transaction
+   */
+  async signTransaction(fromAddress, build) {
+    const privateKey = await this.wallet.getPrivateKey(fromAddress);
+    if (!privateKey) {
+      throw new Error('Address not found in wallet');
+    }
+    
+    const tx = build(await this.blockchain.getNextNonce(fromAddress));
+    const { publicKey } = Address.fromPrivateKey(privateKey);
+    await tx.sign(async (data) => {
+      return Address.sign(data, privateKey);
+    }, publicKey);
+    return tx;
+  }
+
+  /**
+   * Sign a transaction from a wallet address, add it to the mempool and broadcast it
+   * @param {string} fromAddress - Sender address
+   * @param {Function} build - Function creating the transaction from the sender's next nonce
+   * @returns {Transaction} - Submitted transaction
+   */
+  async submitTransaction(fromAddress, build) {
+    const tx = await this.signTransaction(fromAddress, build);
+    await this.blockchain.addTransaction(tx);
+    await this.broadcastTransaction(tx);
+    return tx;
+  }
+
   /**
    * Broadcast a transaction to the network
    * @param {Transaction} transaction - Transaction to broadcast
@@ -925,7 +973,18 @@ class Node {
   async broadcastTransaction(transaction) {
     await this.libp2p.pubsub.publish(
       'doucya:transactions',
-      uint8ArrayFromString(JSON.stringify(transaction.toJSON()))
+      uint8ArrayFromString(Encoding.encode(transaction.toJSON()))
+    );
+  }
+
+  /**
+   * Broadcast a finality vote to the network
+   * @param {Object} vote - Signed vote
+   */
+  async broadcastVote(vote) {
+    await this.libp2p.pubsub.publish(
+      'doucya:votes',
+      uint8ArrayFromString(Encoding.encode(vote))
     );
   }
 
@@ -936,7 +995,7 @@ class Node {
   async broadcastGroup(group) {
     await this.libp2p.pubsub.publish(
       'doucya:groups',
-      uint8ArrayFromString(JSON.stringify(group.toJSON()))
+      uint8ArrayFromString(Encoding.encode(group.toJSON()))
     );
   }
 
@@ -947,18 +1006,19 @@ class Node {
   async broadcastChannel(channel) {
     await this.libp2p.pubsub.publish(
       'doucya:channels',
-      uint8ArrayFromString(JSON.stringify(channel.toJSON()))
+      uint8ArrayFromString(Encoding.encode(channel.toJSON()))
     );
   }
 
   /**
    * Register as a validator
    * @param {string} address - Address to register as validator
-   * @param {number} amount - Amount to stake
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to stake in base units
+   * @param {number} fee - Transaction fee in base units
+   * @param {number|null} commission - Commission rate on delegator rewards (0-1), null to keep the current one
    * @returns {string} - Transaction hash
    */
-  async becomeValidator(address, amount, fee = 0.1) {
+  async becomeValidator(address, amount, fee = Amount.parse(config.blockchain.defaultFee), commission = null) {
     // Validate address
     if (!Address.isValidAddress(address)) {
       throw new Error('Invalid address format');
@@ -966,55 +1026,494 @@ class Node {
     
     // Check if amount is sufficient
     if (amount < this.validatorManager.minimumDeposit) {
-      throw new Error(`Minimum stake is ${this.validatorManager.minimumDeposit} DOU`);
+      throw new Error(`Minimum stake is ${Amount.format(this.validatorManager.minimumDeposit)} DOU`);
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(address);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createValidatorRegister(address, amount, fee, nonce, commission));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Delegate stake to a validator
+   * @param {string} address - Delegator address
+   * @param {string} validator - Validator address
+   * @param {number} amount - Amount to delegate in base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async delegate(address, validator, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(address) || !Address.isValidAddress(validator)) {
+      throw new Error('Invalid address format');
+    }
+    
+    // Check if the target is a validator
+    if (!this.blockchain.validators.has(validator)) {
+      throw new Error('Address is not a validator');
     }
     
     // Check balance
     const balance = await this.blockchain.getAddressBalance(address);
     if (balance < amount + fee) {
-      throw new Error(`Insufficient balance: ${balance} DOU (need ${amount + fee} DOU)`);
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
     }
     
-    // Create transaction
-    const tx = Transaction.createValidatorRegister(address, amount, fee);
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createDelegate(address, validator, amount, fee, nonce));
     
-    // Sign transaction
-    await tx.sign(async (data) => {
+    return tx.hash;
+  }
+
+  /**
+   * Take delegated stake back from a validator
+   * @param {string} address - Delegator address
+   * @param {string} validator - Validator address
+   * @param {number} amount - Amount to take back in base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async undelegate(address, validator, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(address) || !Address.isValidAddress(validator)) {
+      throw new Error('Invalid address format');
+    }
+    
+    // Check the delegated stake
+    const delegated = this.blockchain.getDelegation(validator, address);
+    if (amount > delegated) {
+      throw new Error(`Only ${Amount.format(delegated)} DOU is delegated to ${validator}`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createUndelegate(address, validator, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Register a multisig account
+   * @param {string} address - Address paying the fee
+   * @param {Array<string>} publicKeys - Public keys of the account
+   * @param {number} threshold - Number of signatures required
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Object} - Transaction hash and address of the account
+   */
+  async createMultisig(address, publicKeys, threshold, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate address and account
+    if (!Address.isValidAddress(address)) {
+      throw new Error('Invalid address format');
+    }
+    Multisig.validate(publicKeys, threshold);
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createMultisig(address, publicKeys, threshold, fee, nonce));
+    
+    return { txHash: tx.hash, multisigAddress: tx.to };
+  }
+
+  /**
+   * Create a transfer from a multisig account, signed by one of its keys
+   * @param {string} multisigAddress - Multisig account sending the DOU
+   * @param {string} toAddress - Recipient address
+   * @param {number} amount - Amount to transfer in base units
+   * @param {string} signerAddress - Wallet address of the key signing first
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Transaction} - Partially signed transaction
+   */
+  async createMultisigTransfer(multisigAddress, toAddress, amount, signerAddress, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(multisigAddress) || !Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    if (!await this.blockchain.getMultisigAccount(multisigAddress)) {
+      throw new Error(`${multisigAddress} is not a registered multisig account`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(multisigAddress);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
+    }
+    
+    // Create transaction with the account's next nonce
+    const nonce = await this.blockchain.getNextNonce(multisigAddress);
+    const tx = Transaction.createTransfer(multisigAddress, toAddress, amount, fee, nonce);
+    await this.signMultisigTransaction(tx, signerAddress);
+    
+    return tx;
+  }
+
+  /**
+   * Add the signature of a wallet key to a multisig transaction
+   * @param {Transaction} tx - Transaction sent from a multisig account
+   * @param {string} signerAddress - Wallet address of a key of the account
+   * @returns {number} - Number of account keys that have signed
+   */
+  async signMultisigTransaction(tx, signerAddress) {
+    const account = await this.blockchain.getMultisigAccount(tx.from);
+    if (!account) {
+      throw new Error(`${tx.from} is not a registered multisig account`);
+    }
+    if (!tx.verifyHash()) {
+      throw new Error('Invalid transaction hash');
+    }
+    
+    // Check if we have the private key of one of the account's keys
+    const privateKey = await this.wallet.getPrivateKey(signerAddress);
+    if (!privateKey) {
+      throw new Error('Address not found in wallet');
+    }
+    const { publicKey } = Address.fromPrivateKey(privateKey);
+    if (!account.publicKeys.includes(publicKey)) {
+      throw new Error(`${signerAddress} is not a key of multisig account ${tx.from}`);
+    }
+    
+    await tx.addSignature(async (data) => {
       return Address.sign(data, privateKey);
-    });
+    }, publicKey);
+    
+    return Multisig.countSignatures(tx, account);
+  }
+
+  /**
+   * Submit a multisig transaction once enough keys have signed it
+   * @param {Transaction} tx - Transaction sent from a multisig account
+   * @returns {string} - Transaction hash
+   */
+  async submitMultisigTransaction(tx) {
+    const account = await this.blockchain.getMultisigAccount(tx.from);
+    if (!account) {
+      throw new Error(`${tx.from} is not a registered multisig account`);
+    }
+    const signed = Multisig.countSignatures(tx, account);
+    if (signed < account.threshold) {
+      throw new Error(`Transaction has ${signed} of the ${account.threshold} required signatures`);
+    }
     
     // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
+    const txHash = await this.blockchain.addTransaction(tx);
     
     // Broadcast to network
     await this.broadcastTransaction(tx);
     
-    // Also broadcast validator info
-    await this.libp2p.pubsub.publish(
-      'doucya:validators',
-      uint8ArrayFromString(JSON.stringify({
-        action: 'register',
-        address,
-        amount
-      }))
-    );
-    
     return txHash;
   }
 
+  /**
+   * Lock DOU for a recipient against a hashlock until an expiry height
+   * @param {string} address - Sender address
+   * @param {string} recipient - Recipient address
+   * @param {number} amount - Amount to lock in base units
+   * @param {string} hashlock - SHA-256 of the preimage in hex format
+   * @param {number} expiryHeight - Height from which the sender can take the DOU back
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash, which identifies the lock
+   */
+  async lockHtlc(address, recipient, amount, hashlock, expiryHeight, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses and hashlock
+    if (!Address.isValidAddress(address) || !Address.isValidAddress(recipient)) {
+      throw new Error('Invalid address format');
+    }
+    if (!Htlc.isValidHashlock(hashlock)) {
+      throw new Error('Hashlock must be a SHA-256 hash in hex format');
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createHtlcLock(address, recipient, amount, hashlock, expiryHeight, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Claim a hash time-locked transfer for its recipient by revealing the preimage
+   * @param {string} address - Address submitting the claim and paying the fee
+   * @param {string} htlcId - Hash of the HTLC_LOCK transaction
+   * @param {string} preimage - Preimage of the hashlock in hex format
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async claimHtlc(address, htlcId, preimage, fee = Amount.parse(config.blockchain.defaultFee)) {
+    const htlc = await this.blockchain.getHtlc(htlcId);
+    if (!htlc || htlc.status !== 'locked') {
+      throw new Error(`No locked HTLC ${htlcId}`);
+    }
+    if (!Htlc.matches(preimage, htlc.hashlock)) {
+      throw new Error('Preimage does not match the hashlock');
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createHtlcClaim(address, htlc, preimage, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Return an expired hash time-locked transfer to its sender
+   * @param {string} address - Address submitting the refund and paying the fee
+   * @param {string} htlcId - Hash of the HTLC_LOCK transaction
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async refundHtlc(address, htlcId, fee = Amount.parse(config.blockchain.defaultFee)) {
+    const htlc = await this.blockchain.getHtlc(htlcId);
+    if (!htlc || htlc.status !== 'locked') {
+      throw new Error(`No locked HTLC ${htlcId}`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createHtlcRefund(address, htlc, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Register a name for an address
+   * @param {string} address - Address the name will point to (pays the registration fee)
+   * @param {string} name - Name, with or without the @ prefix
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async registerName(address, name, fee = Amount.parse(config.blockchain.defaultFee)) {
+    name = Names.fromReference(name);
+    if (!Names.isValidName(name)) {
+      throw new Error('Names have 3 to 32 lowercase letters, digits or inner hyphens');
+    }
+    const record = await this.blockchain.getName(name);
+    if (record && record.expiryHeight > this.blockchain.currentHeight + 1) {
+      throw new Error(`@${name} is already registered to ${record.owner}`);
+    }
+    
+    // Check balance
+    const price = this.blockchain.params.nameRegistrationFee;
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < price + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(price + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createNameRegister(address, name, price, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Transfer a registered name to another address
+   * @param {string} address - Current owner of the name
+   * @param {string} name - Name, with or without the @ prefix
+   * @param {string} toAddress - New owner of the name
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async transferName(address, name, toAddress, fee = Amount.parse(config.blockchain.defaultFee)) {
+    name = Names.fromReference(name);
+    if (!Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    const record = await this.blockchain.getName(name);
+    if (!record || record.owner !== address || record.expiryHeight <= this.blockchain.currentHeight + 1) {
+      throw new Error(`@${name} is not registered to ${address}`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createNameTransfer(address, name, toAddress, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Renew a registered name for another registration period
+   * @param {string} address - Owner of the name (pays the renewal fee)
+   * @param {string} name - Name, with or without the @ prefix
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async renewName(address, name, fee = Amount.parse(config.blockchain.defaultFee)) {
+    name = Names.fromReference(name);
+    const record = await this.blockchain.getName(name);
+    if (!record || record.owner !== address || record.expiryHeight <= this.blockchain.currentHeight + 1) {
+      throw new Error(`@${name} is not registered to ${address}`);
+    }
+    
+    // Check balance
+    const price = this.blockchain.params.nameRegistrationFee;
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < price + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(price + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createNameRenew(address, name, price, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Issue a new token
+   * @param {string} address - Creator address, credited with the initial supply
+   * @param {string} symbol - Unique symbol (2 to 10 uppercase letters or digits)
+   * @param {number} decimals - Decimal places of the token
+   * @param {number} supply - Initial supply in token base units
+   * @param {string|null} mintAuthority - Address allowed to mint more, or null for a fixed supply
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async createToken(address, symbol, decimals, supply, mintAuthority = null, fee = Amount.parse(config.blockchain.defaultFee)) {
+    if (!Tokens.isValidSymbol(symbol)) {
+      throw new Error('Token symbols have 2 to 10 uppercase letters or digits, starting with a letter');
+    }
+    if (!Tokens.isValidDecimals(decimals)) {
+      throw new Error(`Token decimals must be between 0 and ${Tokens.MAX_DECIMALS}`);
+    }
+    if (mintAuthority !== null && !Address.isValidAddress(mintAuthority)) {
+      throw new Error('Invalid mint authority address');
+    }
+    if (!Amount.isValid(supply) || (supply === 0 && mintAuthority === null)) {
+      throw new Error('A token needs an initial supply or a mint authority');
+    }
+    if (await this.blockchain.getToken(symbol)) {
+      throw new Error(`Token ${symbol} already exists`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createToken(address, symbol, decimals, supply, mintAuthority, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Transfer token units to another address
+   * @param {string} fromAddress - Sender address
+   * @param {string} toAddress - Recipient address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async transferToken(fromAddress, toAddress, symbol, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(fromAddress) || !Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    const token = await this.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    if (!Amount.isValid(amount) || amount <= 0) {
+      throw new Error('Token amount must be positive whole base units');
+    }
+    const tokenBalance = await this.blockchain.getTokenBalance(fromAddress, symbol);
+    if (tokenBalance < amount) {
+      throw new Error(`Insufficient ${symbol} balance: ${Amount.format(tokenBalance, token.decimals)} (need ${Amount.format(amount, token.decimals)})`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(fromAddress);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createTokenTransfer(fromAddress, toAddress, symbol, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Mint new token units
+   * @param {string} address - Mint authority of the token
+   * @param {string} toAddress - Recipient address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async mintToken(address, toAddress, symbol, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    if (!Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    const token = await this.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    if (!Amount.isValid(amount) || amount <= 0) {
+      throw new Error('Token amount must be positive whole base units');
+    }
+    if (token.mintAuthority !== address) {
+      throw new Error(`${address} is not the mint authority of ${symbol}`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createTokenMint(address, toAddress, symbol, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Burn token units held by an address
+   * @param {string} address - Holder address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {string} - Transaction hash
+   */
+  async burnToken(address, symbol, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    const token = await this.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    if (!Amount.isValid(amount) || amount <= 0) {
+      throw new Error('Token amount must be positive whole base units');
+    }
+    const tokenBalance = await this.blockchain.getTokenBalance(address, symbol);
+    if (tokenBalance < amount) {
+      throw new Error(`Insufficient ${symbol} balance: ${Amount.format(tokenBalance, token.decimals)} (need ${Amount.format(amount, token.decimals)})`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createTokenBurn(address, symbol, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
   /**
    * Stop being a validator
    * @param {string} address - Validator address
-   * @param {number} fee - Transaction fee
+   * @param {number} fee - Transaction fee in base units
    * @returns {string} - Transaction hash
    */
-  async stopValidating(address, fee = 0.1) {
+  async stopValidating(address, fee = Amount.parse(config.blockchain.defaultFee)) {
     // Validate address
     if (!Address.isValidAddress(address)) {
       throw new Error('Invalid address format');
@@ -1025,42 +1524,16 @@ class Node {
       throw new Error('Address is not a validator');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(address);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
     // Check balance for fee
     const balance = await this.blockchain.getAddressBalance(address);
     if (balance < fee) {
-      throw new Error(`Insufficient balance for fee: ${balance} DOU (need ${fee} DOU)`);
+      throw new Error(`Insufficient balance for fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
     }
     
-    // Create transaction
-    const tx = Transaction.createValidatorWithdraw(address, fee);
-    
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
-    
-    // Broadcast to network
-    await this.broadcastTransaction(tx);
-    
-    // Also broadcast validator info
-    await this.libp2p.pubsub.publish(
-      'doucya:validators',
-      uint8ArrayFromString(JSON.stringify({
-        action: 'withdraw',
-        address
-      }))
-    );
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createValidatorWithdraw(address, fee, nonce));
     
-    return txHash;
+    return tx.hash;
   }
 
   /**
@@ -18,6 +18,7 @@ const uint8ArrayToString = require('uint8arrays/to-string');
 const Blockchain = require('../blockchain/blockchain');
 const Transaction = require('../blockchain/transaction');
 const Block = require('../blockchain/block');
+const Evidence = require('../blockchain/evidence');
 const ValidatorManager = require('../blockchain/validator');
 const LevelDB = require('../storage/db');
 const Message = require('../messaging/message');
@@ -26,7 +27,9 @@ const Channel = require('../messaging/channel');
 const config = require('../config');
 const Protocol = require('./protocol');
 const Address = require('../blockchain/address');
+const Amount = require('../blockchain/amount');
 const Encryption = require('../crypto/encryption');
+const Encoding = require('../crypto/encoding');
 
 class P2PNode {
   /**
@@ -38,7 +41,7 @@ class P2PNode {
     this.wallet = wallet;
     this.db = new LevelDB(config.storage.dbPath);
     this.blockchain = new Blockchain(this.db);
-    this.validatorManager = new ValidatorManager(this.blockchain, this.db);
+    this.validatorManager = new ValidatorManager(this.blockchain);
     this.protocol = null; // Will be initialized after libp2p is created
     this.bootstrapped = false;
     this.peers = new Map();
@@ -61,7 +64,6 @@ class P2PNode {
   async initialize() {
     await this.db.open();
     await this.blockchain.initialize();
-    await this.validatorManager.initialize();
     await this.loadGroups();
     await this.loadChannels();
     
@@ -121,7 +123,7 @@ class P2PNode {
       // Subscribe to blockchain topics
       await this.libp2p.pubsub.subscribe('doucya:blocks');
       await this.libp2p.pubsub.subscribe('doucya:transactions');
-      await this.libp2p.pubsub.subscribe('doucya:validators');
+      await this.libp2p.pubsub.subscribe('doucya:votes');
     } else {
       console.log('P2P Node started in simulation mode with ID:', this.libp2p.peerId.toString());
     }
@@ -132,7 +134,7 @@ class P2PNode {
     
     // Check if any of our addresses are validators
     for (const address of addresses) {
-      if (await this.validatorManager.isValidator(address)) {
+      if (this.validatorManager.isValidator(address)) {
         validatorAddress = address;
         break;
       }
@@ -145,7 +147,8 @@ class P2PNode {
         return Address.sign(data, privateKey);
       };
       
-      await this.blockchain.start(validatorAddress, signCallback);
+      const { publicKey } = Address.fromPrivateKey(privateKey);
+      await this.blockchain.start(validatorAddress, signCallback, publicKey);
       console.log(`Started as validator with address: ${validatorAddress}`);
     } else {
       await this.blockchain.start();
@@ -170,7 +173,14 @@ class P2PNode {
     // Pubsub message events
     this.libp2p.pubsub.on('doucya:blocks', this.handleBlockMessage.bind(this));
     this.libp2p.pubsub.on('doucya:transactions', this.handleTransactionMessage.bind(this));
-    this.libp2p.pubsub.on('doucya:validators', this.handleValidatorMessage.bind(this));
+    this.libp2p.pubsub.on('doucya:votes', this.handleVoteMessage.bind(this));
+    
+    // Gossip the finality votes this node casts
+    this.blockchain.on('voteCast', vote => {
+      this.broadcastVote(vote).catch(err => {
+        console.error('Error broadcasting vote:', err);
+      });
+    });
   }
 
   /**
@@ -219,48 +229,37 @@ class P2PNode {
       
       console.log(`Received block #${block.height} from network`);
       
-      // Verify the block before adding it
-      const latestBlock = await this.blockchain.getLatestBlock().catch(() => ({ height: -1, hash: null }));
-      
-      // Ignore blocks we already have
-      if (latestBlock && block.height <= latestBlock.height) {
-        console.log(`Ignoring block #${block.height} as we already have it`);
-        return;
-      }
-      
-      // Check if block builds on our chain
-      if (block.height > latestBlock.height + 1) {
-        // We're behind, need to sync
-        console.log(`Received block #${block.height} but we're at ${latestBlock.height}, syncing...`);
-        await this.syncBlockchain();
-        return;
-      }
-      
-      // Verify block is valid
-      if (latestBlock.height >= 0 && block.previousHash !== latestBlock.hash) {
-        console.error('Block has invalid previous hash');
-        return;
+      // Conflicting headers from the same validator prove double-signing,
+      // once the signature checks out against the key on chain
+      if (await this.blockchain.verifyBlockSignature(block)) {
+        await this.reportDoubleSigning(block);
       }
       
-      // Verify block signature
-      const isValid = await block.verifySignature(
-        async (hash, signature, address) => {
-          // Lookup validator's public key
-          const publicKey = await this.getPublicKeyForAddress(address);
-          if (!publicKey) return false;
-          
-          return Address.verifySignature(hash, signature, publicKey);
-        }
-      );
+      // The fork-choice rule decides whether the block extends our chain,
+      // is kept on a side branch or triggers a reorganization
+      const result = await this.blockchain.acceptBlock(block);
       
-      if (!isValid) {
-        console.error('Block has invalid signature');
-        return;
+      switch (result.status) {
+        case 'known':
+          console.log(`Ignoring block #${block.height} as we already have it`);
+          break;
+        case 'orphan':
+          // We're missing its ancestors, need to sync
+          console.log(`Received block #${block.height} with unknown parent, syncing...`);
+          await this.syncBlockchain();
+          break;
+        case 'invalid':
+          console.error(`Rejected block #${block.height}: ${result.reason}`);
+          break;
+        case 'side':
+          console.log(`Stored block #${block.height} on a side branch`);
+          break;
+        case 'reorganized':
+          console.log(`Reorganized chain to block #${block.height} (fork at #${result.forkHeight})`);
+          break;
+        default:
+          console.log(`Added block #${block.height} from peer`);
       }
-      
-      // Process the block
-      await this.blockchain.saveBlock(block);
-      console.log(`Added block #${block.height} from peer`);
     } catch (err) {
       console.error('Error processing block message:', err.message);
     }
@@ -302,31 +301,21 @@ class P2PNode {
   }
 
   /**
-   * Handle validator message from pubsub
+   * Handle finality vote message from pubsub
    * @param {Message} message - Libp2p pubsub message
    */
-  async handleValidatorMessage(message) {
+  async handleVoteMessage(message) {
     try {
-      const validatorData = JSON.parse(uint8ArrayToString(message.data));
-      
-      console.log(`Received validator update: ${validatorData.action} for ${validatorData.address}`);
-      
-      // Update validator information
-      if (validatorData.action === 'register') {
-        await this.validatorManager.registerValidator(
-          validatorData.address,
-          validatorData.amount
-        );
-        console.log(`Registered validator ${validatorData.address} with stake ${validatorData.amount}`);
-      } else if (validatorData.action === 'withdraw') {
-        await this.validatorManager.removeValidator(validatorData.address);
-        console.log(`Removed validator ${validatorData.address}`);
+      const vote = JSON.parse(uint8ArrayToString(message.data));
+      const result = await this.blockchain.addVote(vote);
+      if (result.status === 'finalized') {
+        console.log(`Block #${this.blockchain.getFinalizedHeight()} finalized by votes from peers`);
+      }
+      if (result.evidence) {
+        await this.submitSlashEvidence(vote.validator, result.evidence);
       }
-      
-      // Save validator state
-      await this.validatorManager.save();
     } catch (err) {
-      console.error('Error processing validator message:', err);
+      console.error('Error processing vote message:', err.message);
     }
   }
 
@@ -341,7 +330,7 @@ class P2PNode {
     }
     
     try {
-      const txData = uint8ArrayFromString(JSON.stringify(transaction));
+      const txData = uint8ArrayFromString(Encoding.encode(transaction));
       await this.libp2p.pubsub.publish('doucya:transactions', txData);
       console.log(`Broadcasted transaction ${transaction.hash} to network`);
     } catch (err) {
@@ -349,6 +338,23 @@ class P2PNode {
     }
   }
 
+  /**
+   * Broadcast a finality vote to the network
+   * @param {Object} vote - Signed vote
+   */
+  async broadcastVote(vote) {
+    if (!this.libp2p || !this.libp2p.isStarted()) {
+      return;
+    }
+    
+    try {
+      const voteData = uint8ArrayFromString(Encoding.encode(vote));
+      await this.libp2p.pubsub.publish('doucya:votes', voteData);
+    } catch (err) {
+      console.error('Error broadcasting vote:', err);
+    }
+  }
+
   /**
    * Broadcast a block to the network
    * @param {Block} block - Block to broadcast
@@ -360,7 +366,7 @@ class P2PNode {
     }
     
     try {
-      const blockData = uint8ArrayFromString(JSON.stringify(block.toJSON()));
+      const blockData = uint8ArrayFromString(Encoding.encode(block.toJSON()));
       await this.libp2p.pubsub.publish('doucya:blocks', blockData);
       console.log(`Broadcasted block #${block.height} to network`);
     } catch (err) {
@@ -395,33 +401,34 @@ class P2PNode {
       if (peerHeight > ourHeight) {
         console.log(`Peer ${peerId} has higher block height (${peerHeight} vs ${ourHeight})`);
         
-        // Request blocks we don't have
-        for (let i = ourHeight + 1; i <= peerHeight; i++) {
+        // Walk back from the peer's tip to a block we know, so a competing
+        // branch is fetched down to its fork point
+        const blocks = [];
+        for (let i = peerHeight; i > 0; i--) {
           console.log(`Requesting block #${i} from peer ${peerId}`);
           
           const blockResponse = await this.protocol.request(peerId, '/doucya/sync/block', { height: i });
           const block = Block.fromJSON(blockResponse);
-          
-          // Verify and add the block
-          await this.blockchain.saveBlock(block);
-          console.log(`Synced block #${i} from peer ${peerId}`);
+          if (await this.blockchain.hasBlock(block.hash)) {
+            break;
+          }
+          blocks.unshift(block);
+          if (await this.blockchain.hasBlock(block.previousHash)) {
+            break;
+          }
         }
         
-        console.log(`Successfully synced ${peerHeight - ourHeight} blocks from peer ${peerId}`);
-      }
-      
-      // Sync validators
-      console.log('Syncing validators...');
-      const validatorsResponse = await this.protocol.request(peerId, '/doucya/sync/validators');
-      for (const [address, amount] of Object.entries(validatorsResponse.validators)) {
-        if (!await this.validatorManager.isValidator(address)) {
-          await this.validatorManager.registerValidator(address, amount);
-          console.log(`Added validator ${address} with stake ${amount}`);
+        // Add the blocks in order and let the fork-choice rule pick the chain
+        for (const block of blocks) {
+          const result = await this.blockchain.acceptBlock(block);
+          if (result.status === 'invalid') {
+            throw new Error(`Peer sent invalid block #${block.height}: ${result.reason}`);
+          }
+          console.log(`Synced block #${block.height} from peer ${peerId}`);
         }
+        
+        console.log(`Successfully synced ${blocks.length} blocks from peer ${peerId}`);
       }
-      
-      await this.validatorManager.save();
-      console.log('Validator sync complete');
     } catch (err) {
       console.error(`Error syncing with peer ${peerId}:`, err);
       throw err; // Rethrow so caller knows it failed
@@ -548,6 +555,55 @@ class P2PNode {
     }
   }
 
+  /**
+   * Report a validator that signed a conflicting block in the same slot
+   * The evidence is submitted from the first wallet address and broadcast.
+   * @param {Block} block - Block with a verified signature
+   */
+  async reportDoubleSigning(block) {
+    const conflicting = await this.blockchain.recordSignedHeader(block);
+    if (!conflicting) return;
+    
+    console.log(`Validator ${block.validator} signed two blocks in slot ${this.blockchain.getSlot(block.timestamp)}`);
+    try {
+      const validatorKey = await this.blockchain.getValidatorKey(block.validator);
+      const evidence = Evidence.create(conflicting, Evidence.getSignedHeader(block), validatorKey);
+      await this.submitSlashEvidence(block.validator, evidence);
+    } catch (err) {
+      console.error(`Failed to submit slash evidence: ${err.message}`);
+    }
+  }
+
+  /**
+   * Submit slashing evidence from the first wallet address and broadcast it
+   * @param {string} validator - Offending validator address
+   * @param {Object} evidence - Evidence from Evidence.create or Finality.createEvidence
+   */
+  async submitSlashEvidence(validator, evidence) {
+    const [reporter] = await this.wallet.listAddresses();
+    if (!reporter) {
+      console.log('No wallet address to submit slash evidence from');
+      return;
+    }
+    
+    try {
+      const privateKey = await this.wallet.getPrivateKey(reporter);
+      const nonce = await this.blockchain.getNextNonce(reporter);
+      const tx = Transaction.createSlashEvidence(reporter, validator, evidence, 0, nonce);
+      
+      const { publicKey } = Address.fromPrivateKey(privateKey);
+      await tx.sign(async (data) => {
+        return Address.sign(data, privateKey);
+      }, publicKey);
+      
+      await this.blockchain.addTransaction(tx);
+      await this.broadcastTransaction(tx);
+      console.log(`Submitted slash evidence ${tx.hash}`);
+    } catch (err) {
+      console.error(`Failed to submit slash evidence: ${err.message}`);
+    }
+  }
+
   /**
    * Get public key for an address
    * @param {string} address - Address to get public key for
@@ -566,8 +622,9 @@ class P2PNode {
               address
             });
             
-            if (response.publicKey) {
-              // Store for future use
+            // Only a key that derives the address is stored for future use
+            if (Address.isValidPublicKey(response.publicKey) &&
+                Address.publicKeyToAddress(response.publicKey) === address) {
               await this.db.put(`PUBKEY_${address}`, response.publicKey);
               return response.publicKey;
             }
@@ -602,11 +659,11 @@ class P2PNode {
    * Send tokens from one address to another
    * @param {string} fromAddress - Sender address
    * @param {string} toAddress - Recipient address
-   * @param {number} amount - Amount to send
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to send in base units
+   * @param {number} fee - Transaction fee in base units
    * @returns {Promise<string>} - Transaction hash
    */
-  async sendTokens(fromAddress, toAddress, amount, fee = 0.1) {
+  async sendTokens(fromAddress, toAddress, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
     // Validate addresses
     if (!Address.isValidAddress(fromAddress) || !Address.isValidAddress(toAddress)) {
       throw new Error('Invalid address format');
@@ -618,27 +675,29 @@ class P2PNode {
       throw new Error('Address not found in wallet');
     }
     
-    // Convert amount and fee to numbers
-    amount = parseFloat(amount);
-    fee = parseFloat(fee);
+    if (!Amount.isValid(amount) || !Amount.isValid(fee)) {
+      throw new Error('Amount and fee must be whole base units');
+    }
     
     // Check balance
     const balance = await this.blockchain.getAddressBalance(fromAddress);
     if (balance < amount + fee) {
-      throw new Error(`Insufficient balance: ${balance} DOU (need ${amount + fee} DOU)`);
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
     }
     
-    console.log(`Creating transaction to send ${amount} DOU from ${fromAddress} to ${toAddress} with fee ${fee}`);
+    console.log(`Creating transaction to send ${Amount.format(amount)} DOU from ${fromAddress} to ${toAddress} with fee ${Amount.format(fee)} DOU`);
     
     // For proper p2p mode, create real transaction
     try {
       // Create transaction (hash is already calculated in createTransfer)
-      const tx = Transaction.createTransfer(fromAddress, toAddress, amount, fee);
+      const nonce = await this.blockchain.getNextNonce(fromAddress);
+      const tx = Transaction.createTransfer(fromAddress, toAddress, amount, fee, nonce);
       
-      // Sign transaction
+      // Sign transaction, embedding the public key so any node can verify it
+      const { publicKey } = Address.fromPrivateKey(privateKey);
       await tx.sign(async (data) => {
         return Address.sign(data, privateKey);
-      });
+      }, publicKey);
       
       // Verify hash before proceeding
       if (!tx.verifyHash()) {
@@ -657,16 +716,16 @@ class P2PNode {
         // This is temporary until we have enough validators - directly update balances
         // This simulates what would happen when the transaction is included in a block
         const newSenderBalance = balance - (amount + fee);
-        await this.db.put(`BALANCE_${fromAddress}`, newSenderBalance.toString());
+        await this.db.put(`BALANCE_${fromAddress}`, newSenderBalance);
         
         // Add to recipient
         const recipientBalance = await this.blockchain.getAddressBalance(toAddress);
         const newRecipientBalance = recipientBalance + amount;
-        await this.db.put(`BALANCE_${toAddress}`, newRecipientBalance.toString());
+        await this.db.put(`BALANCE_${toAddress}`, newRecipientBalance);
         
         console.log(`Direct balance update (simulating block inclusion):`);
-        console.log(`${fromAddress}: ${balance} → ${newSenderBalance} DOU`);
-        console.log(`${toAddress}: ${recipientBalance} → ${newRecipientBalance} DOU`);
+        console.log(`${fromAddress}: ${Amount.format(balance)} → ${Amount.format(newSenderBalance)} DOU`);
+        console.log(`${toAddress}: ${Amount.format(recipientBalance)} → ${Amount.format(newRecipientBalance)} DOU`);
       }
       
       // Add to transaction histories
@@ -8,6 +8,7 @@
 const uint8ArrayFromString = require('uint8arrays/from-string');
 const uint8ArrayToString = require('uint8arrays/to-string');
 const config = require('../config');
+const Encoding = require('../crypto/encoding');
 const { randomBytes } = require('crypto');
 
 class Protocol {
@@ -50,14 +51,14 @@ class Protocol {
       const latestBlock = await this.node.blockchain.getLatestBlock();
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ height: latestBlock.height }))],
+        [uint8ArrayFromString(Encoding.encode({ height: latestBlock.height }))],
         stream.sink
       );
     } catch (err) {
       console.error('Error handling sync height request:', err);
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ error: err.message }))],
+        [uint8ArrayFromString(Encoding.encode({ error: err.message }))],
         stream.sink
       );
     } finally {
@@ -78,14 +79,14 @@ class Protocol {
       const block = await this.node.blockchain.getBlock(request.height);
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify(block.toJSON()))],
+        [uint8ArrayFromString(Encoding.encode(block.toJSON()))],
         stream.sink
       );
     } catch (err) {
       console.error('Error handling sync block request:', err);
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ error: err.message }))],
+        [uint8ArrayFromString(Encoding.encode({ error: err.message }))],
         stream.sink
       );
     } finally {
@@ -105,14 +106,14 @@ class Protocol {
       }
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ validators: validatorsObj }))],
+        [uint8ArrayFromString(Encoding.encode({ validators: validatorsObj }))],
         stream.sink
       );
     } catch (err) {
       console.error('Error handling sync validators request:', err);
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ error: err.message }))],
+        [uint8ArrayFromString(Encoding.encode({ error: err.message }))],
         stream.sink
       );
     } finally {
@@ -138,14 +139,14 @@ class Protocol {
       }
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ publicKey }))],
+        [uint8ArrayFromString(Encoding.encode({ publicKey }))],
         stream.sink
       );
     } catch (err) {
       console.error('Error handling address pubkey request:', err);
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ error: err.message }))],
+        [uint8ArrayFromString(Encoding.encode({ error: err.message }))],
         stream.sink
       );
     } finally {
@@ -155,64 +156,22 @@ class Protocol {
 
   /**
    * Handle initial tokens request
+   * DOU can only be created by genesis allocations and block rewards, so the
+   * request is always declined; new nodes are funded by a transfer instead.
    * @param {Object} params - Request parameters
    */
   async handleInitialTokens({ connection, stream }) {
     try {
-      const data = await this.readStream(stream);
-      const request = JSON.parse(uint8ArrayToString(data));
-      
-      // Check if we've given out the maximum initial tokens
-      let initialCount = 0;
-      try {
-        initialCount = parseInt(await this.node.db.get('INITIAL_TOKENS_COUNT'), 10);
-      } catch (err) {
-        // Not found, start from 0
-      }
-      
-      if (initialCount >= config.blockchain.maxInitialNodes) {
-        await pipe(
-          [uint8ArrayFromString(JSON.stringify({ 
-            success: false, 
-            reason: 'Maximum initial tokens already distributed' 
-          }))],
-          stream.sink
-        );
-        return;
-      }
-      
-      // Create mint transaction for the requesting address
-      const tx = {
-        type: 'MINT',
-        to: request.address,
-        amount: config.blockchain.initialSupply,
-        timestamp: Date.now(),
-        data: { source: 'initial_distribution' }
-      };
-      
-      // Add to blockchain
-      await this.node.blockchain.addTransaction(tx);
-      
-      // Increment count
-      await this.node.db.put('INITIAL_TOKENS_COUNT', (initialCount + 1).toString());
-      
+      await this.readStream(stream);
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ 
-          success: true,
-          amount: config.blockchain.initialSupply 
+        [uint8ArrayFromString(Encoding.encode({ 
+          success: false, 
+          reason: 'Initial tokens are only allocated in the genesis file' 
         }))],
         stream.sink
       );
     } catch (err) {
       console.error('Error handling initial tokens request:', err);
-      
-      await pipe(
-        [uint8ArrayFromString(JSON.stringify({ 
-          success: false, 
-          reason: err.message 
-        }))],
-        stream.sink
-      );
     } finally {
       await stream.close();
     }
@@ -236,6 +195,21 @@ class Protocol {
           response = { block: block.toJSON() };
           break;
           
+        case 'getBlockHeader':
+          const header = await this.node.blockchain.getBlockHeader(request.data.blockId);
+          response = { header };
+          break;
+          
+        case 'getTransactionProof':
+          const proof = await this.node.blockchain.getTransactionProof(request.data.txHash);
+          response = { proof };
+          break;
+          
+        case 'getAccountProof':
+          const accountProof = await this.node.blockchain.getAccountProof(request.data.address);
+          response = { proof: accountProof };
+          break;
+          
         case 'getTransaction':
           const tx = await this.node.blockchain.getTransaction(request.data.txHash);
           response = { transaction: tx.toJSON() };
@@ -251,7 +225,7 @@ class Protocol {
       }
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({
+        [uint8ArrayFromString(Encoding.encode({
           id: request.id,
           response
         }))],
@@ -261,7 +235,7 @@ class Protocol {
       console.error('Error handling request:', err);
       
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ 
+        [uint8ArrayFromString(Encoding.encode({ 
           error: err.message 
         }))],
         stream.sink
@@ -334,7 +308,7 @@ class Protocol {
       
       // Send the request
       await pipe(
-        [uint8ArrayFromString(JSON.stringify({ id: requestId, ...data }))],
+        [uint8ArrayFromString(Encoding.encode({ id: requestId, ...data }))],
         stream.sink
       );
       
@@ -15,6 +15,11 @@ const Group = require('../messaging/group');
 const Channel = require('../messaging/channel');
 const config = require('../config');
 const Address = require('../blockchain/address');
+const Amount = require('../blockchain/amount');
+const Multisig = require('../blockchain/multisig');
+const Htlc = require('../blockchain/htlc');
+const Names = require('../blockchain/names');
+const Tokens = require('../blockchain/tokens');
 const Encryption = require('../crypto/encryption');
 
 class SimpleNode {
@@ -26,7 +31,7 @@ class SimpleNode {
     this.wallet = wallet;
     this.db = new LevelDB(config.storage.dbPath);
     this.blockchain = new Blockchain(this.db);
-    this.validatorManager = new ValidatorManager(this.blockchain, this.db);
+    this.validatorManager = new ValidatorManager(this.blockchain);
     this.messageGroups = new Map();
     this.messageChannels = new Map();
   }
@@ -37,7 +42,6 @@ class SimpleNode {
   async initialize() {
     await this.db.open();
     await this.blockchain.initialize();
-    await this.validatorManager.initialize();
     await this.loadGroups();
     await this.loadChannels();
     
@@ -71,7 +75,8 @@ class SimpleNode {
         return Address.sign(data, privateKey);
       };
       
-      await this.blockchain.start(validatorAddress, signCallback);
+      const { publicKey } = Address.fromPrivateKey(privateKey);
+      await this.blockchain.start(validatorAddress, signCallback, publicKey);
       console.log(`Started as validator with address: ${validatorAddress}`);
     } else {
       await this.blockchain.start();
@@ -124,97 +129,132 @@ class SimpleNode {
   /**
    * Get address balance
    * @param {string} address - Address to check
-   * @returns {Promise<number>} - Address balance
+   * @returns {Promise<number>} - Address balance in base units
    */
   async getAddressBalance(address) {
     return await this.blockchain.getAddressBalance(address);
   }
-  
+
+  /**
+   * Sign a transaction with the key of a wallet address
+   * The signature embeds the public key, so any node can verify it.
+   * @param {string} fromAddress - Sender address
+   * @param {Function} build - Function creating the transaction from the sender's next nonce
+   * @returns {Promise<Transaction>} - Signed transaction
+   */
+  async signTransaction(fromAddress, build) {
+    const privateKey = await this.wallet.getPrivateKey(fromAddress);
+    if (!privateKey) {
+      throw new Error('Address not found in wallet');
+    }
+
+    const tx = build(await this.blockchain.getNextNonce(fromAddress));
+    const { publicKey } = Address.fromPrivateKey(privateKey);
+    await tx.sign(async (data) => {
+      return Address.sign(data, privateKey);
+    }, publicKey);
+    return tx;
+  }
+
+  /**
+   * Sign a transaction from a wallet address and add it to the mempool
+   * @param {string} fromAddress - Sender address
+   * @param {Function} build - Function creating the transaction from the sender's next nonce
+   * @returns {Promise<Transaction>} - Submitted transaction
+   */
+  async submitTransaction(fromAddress, build) {
+    const tx = await this.signTransaction(fromAddress, build);
+    await this.blockchain.addTransaction(tx);
+    return tx;
+  }
+
   /**
    * Send tokens from one address to another
    * @param {string} fromAddress - Sender address
    * @param {string} toAddress - Recipient address
-   * @param {number} amount - Amount to send
-   * @param {number} fee - Transaction fee
+   * @param {number} amount - Amount to send in base units
+   * @param {number} fee - Transaction fee in base units
    * @returns {Promise<string>} - Transaction hash
    */
-  async sendTokens(fromAddress, toAddress, amount, fee = 0.1) {
+  async sendTokens(fromAddress, toAddress, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
     // Validate addresses
     if (!Address.isValidAddress(fromAddress) || !Address.isValidAddress(toAddress)) {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
+    if (!Amount.isValid(amount) || !Amount.isValid(fee)) {
+      throw new Error('Amount and fee must be whole base units');
     }
     
-    // Convert amount and fee to numbers
-    amount = parseFloat(amount);
-    fee = parseFloat(fee);
-    
     // Check balance
     const balance = await this.blockchain.getAddressBalance(fromAddress);
     if (balance < amount + fee) {
-      throw new Error(`Insufficient balance: ${balance} DOU (need ${amount + fee} DOU)`);
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
     }
     
-    // For simplified version, directly update balances in the DB
     try {
-      // Create a transaction ID
-      const timestamp = Date.now();
-      const txHash = `TX_${fromAddress.substring(0, 8)}_${toAddress.substring(0, 8)}_${timestamp}`;
-      
-      // Deduct from sender
-      const newSenderBalance = balance - (amount + fee);
-      await this.db.put(`BALANCE_${fromAddress}`, newSenderBalance.toString());
-      
-      // Add to recipient
-      const recipientBalance = await this.blockchain.getAddressBalance(toAddress);
-      const newRecipientBalance = recipientBalance + amount;
-      await this.db.put(`BALANCE_${toAddress}`, newRecipientBalance.toString());
-      
-      // Store transaction record
-      const transaction = {
-        hash: txHash,
-        type: 'TRANSFER',
-        from: fromAddress,
-        to: toAddress,
-        amount: amount,
-        fee: fee,
-        timestamp: timestamp
-      };
-      
-      await this.db.put(`TX_${txHash}`, JSON.stringify(transaction));
-      
-      // Add to address transaction histories
-      await this.addToAddressTransactions(fromAddress, txHash);
-      await this.addToAddressTransactions(toAddress, txHash);
+      // Create, sign and submit the transaction
+      const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createTransfer(fromAddress, toAddress, amount, fee, nonce));
       
-      console.log(`Transfer completed: ${amount} DOU from ${fromAddress} to ${toAddress}`);
-      return txHash;
+      console.log(`Transfer submitted: ${Amount.format(amount)} DOU from ${fromAddress} to ${toAddress}`);
+      return tx.hash;
     } catch (err) {
-      throw new Error(`Failed to process transfer: ${err.message}`);
+      throw new Error(`Failed to submit transfer: ${err.message}`);
     }
   }
   
   /**
-   * Add a transaction to an address's transaction history
-   * @param {string} address - Address
-   * @param {string} txHash - Transaction hash
+   * Create a signed batch transfer to several recipients without submitting it
+   * @param {string} fromAddress - Sender address
+   * @param {Array<Object>} outputs - Recipients as { to, amount } with amounts in base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<Transaction>} - Signed transaction, to be previewed and passed to submitBatchTransfer
    */
-  async addToAddressTransactions(address, txHash) {
-    try {
-      const txsData = await this.db.get(`ADDRESS_TX_${address}`).catch(() => '[]');
-      const txs = JSON.parse(txsData);
-      txs.push(txHash);
-      await this.db.put(`ADDRESS_TX_${address}`, JSON.stringify(txs));
-    } catch (err) {
-      console.error(`Failed to update transaction history for ${address}:`, err);
+  async createBatchTransfer(fromAddress, outputs, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(fromAddress)) {
+      throw new Error('Invalid address format');
+    }
+    if (!Array.isArray(outputs) || outputs.length === 0) {
+      throw new Error('A batch transfer needs at least one recipient');
+    }
+    if (outputs.length > this.blockchain.params.maxTransferOutputs) {
+      throw new Error(`A batch transfer can have at most ${this.blockchain.params.maxTransferOutputs} recipients`);
     }
+    for (const output of outputs) {
+      if (!Address.isValidAddress(output.to)) {
+        throw new Error(`Invalid address format: ${output.to}`);
+      }
+      if (!Amount.isValid(output.amount) || output.amount <= 0) {
+        throw new Error(`Amount sent to ${output.to} must be positive whole base units`);
+      }
+    }
+    
+    // Check balance
+    const total = outputs.reduce((sum, output) => sum + output.amount, 0);
+    const balance = await this.blockchain.getAddressBalance(fromAddress);
+    if (balance < total + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(total + fee)} DOU)`);
+    }
+    
+    // Create and sign the transaction
+    return this.signTransaction(fromAddress, nonce => Transaction.createMultiTransfer(fromAddress, outputs, fee, nonce));
   }
-  
+
+  /**
+   * Submit a batch transfer created with createBatchTransfer
+   * @param {Transaction} tx - Signed batch transfer
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async submitBatchTransfer(tx) {
+    if (tx.type !== 'MULTI_TRANSFER') {
+      throw new Error(`Expected a MULTI_TRANSFER transaction, got ${tx.type}`);
+    }
+    
+    // Add to blockchain
+    return await this.blockchain.addTransaction(tx);
+  }
+
   /**
    * Add an address to whitelist
    * @param {string} fromAddress - Address doing the whitelisting
@@ -227,24 +267,10 @@ class SimpleNode {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
-    // Create transaction
-    const tx = Transaction.createWhitelist(fromAddress, toAddress, 'add');
-    
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createWhitelist(fromAddress, toAddress, 'add', nonce));
     
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
-    
-    return txHash;
+    return tx.hash;
   }
   
   /**
@@ -259,24 +285,10 @@ class SimpleNode {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
-    // Create transaction
-    const tx = Transaction.createWhitelist(fromAddress, toAddress, 'remove');
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createWhitelist(fromAddress, toAddress, 'remove', nonce));
     
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
-    
-    return txHash;
+    return tx.hash;
   }
   
   /**
@@ -301,35 +313,23 @@ class SimpleNode {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(fromAddress);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
     // Check if recipient whitelisted sender
     const isWhitelisted = await this.blockchain.isWhitelisted(toAddress, fromAddress);
     
-    // Create message transaction
-    const tx = Transaction.createMessage(fromAddress, toAddress, message, isWhitelisted);
-    
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
+    // Create, sign and submit the message transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => (
+      Transaction.createMessage(fromAddress, toAddress, message, isWhitelisted, this.blockchain.params, nonce)
+    ));
     
     const result = {
       status: 'success',
-      messageId: txHash
+      messageId: tx.hash
     };
     
     if (isWhitelisted) {
-      result.reward = config.messaging.sendReward;
+      result.reward = tx.senderReward;
     } else {
-      result.fee = config.messaging.nonWhitelistedFee;
+      result.fee = tx.fee;
     }
     
     return result;
@@ -358,46 +358,494 @@ class SimpleNode {
   /**
    * Become a validator
    * @param {string} address - Address to become validator
-   * @param {number} amount - Amount to stake
+   * @param {number} amount - Amount to stake in base units
+   * @param {number|null} commission - Commission rate on delegator rewards (0-1), null to keep the current one
    * @returns {Promise<string>} - Transaction hash
    */
-  async becomeValidator(address, amount) {
+  async becomeValidator(address, amount, commission = null) {
     // Validate address
     if (!Address.isValidAddress(address)) {
       throw new Error('Invalid address format');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(address);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
     // Check if amount is enough
     if (amount < this.validatorManager.minimumDeposit) {
-      throw new Error(`Minimum deposit is ${this.validatorManager.minimumDeposit} DOU`);
+      throw new Error(`Minimum deposit is ${Amount.format(this.validatorManager.minimumDeposit)} DOU`);
     }
     
     // Check balance
+    const fee = Amount.parse(config.blockchain.defaultFee);
     const balance = await this.blockchain.getAddressBalance(address);
-    if (balance < amount) {
-      throw new Error(`Insufficient balance: ${balance} DOU (need ${amount} DOU)`);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
     }
     
-    // Create transaction
-    const tx = Transaction.createValidatorRegister(address, amount, 0.1);
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createValidatorRegister(address, amount, fee, nonce, commission));
     
-    // Sign transaction
-    await tx.sign(async (data) => {
+    return tx.hash;
+  }
+  
+  /**
+   * Delegate stake to a validator
+   * @param {string} address - Delegator address
+   * @param {string} validator - Validator address
+   * @param {number} amount - Amount to delegate in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async delegate(address, validator, amount) {
+    // Validate addresses
+    if (!Address.isValidAddress(address) || !Address.isValidAddress(validator)) {
+      throw new Error('Invalid address format');
+    }
+    
+    // Check if the target is a validator
+    if (!this.blockchain.validators.has(validator)) {
+      throw new Error('Address is not a validator');
+    }
+    
+    // Check balance
+    const fee = Amount.parse(config.blockchain.defaultFee);
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createDelegate(address, validator, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+  
+  /**
+   * Take delegated stake back from a validator
+   * @param {string} address - Delegator address
+   * @param {string} validator - Validator address
+   * @param {number} amount - Amount to take back in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async undelegate(address, validator, amount) {
+    // Validate addresses
+    if (!Address.isValidAddress(address) || !Address.isValidAddress(validator)) {
+      throw new Error('Invalid address format');
+    }
+    
+    // Check the delegated stake
+    const delegated = this.blockchain.getDelegation(validator, address);
+    if (amount > delegated) {
+      throw new Error(`Only ${Amount.format(delegated)} DOU is delegated to ${validator}`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createUndelegate(address, validator, amount, Amount.parse(config.blockchain.defaultFee), nonce));
+    
+    return tx.hash;
+  }
+  
+  /**
+   * Register a multisig account
+   * @param {string} address - Address paying the fee
+   * @param {Array<string>} publicKeys - Public keys of the account
+   * @param {number} threshold - Number of signatures required
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<Object>} - Transaction hash and address of the account
+   */
+  async createMultisig(address, publicKeys, threshold, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate address and account
+    if (!Address.isValidAddress(address)) {
+      throw new Error('Invalid address format');
+    }
+    Multisig.validate(publicKeys, threshold);
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createMultisig(address, publicKeys, threshold, fee, nonce));
+    
+    return { txHash: tx.hash, multisigAddress: tx.to };
+  }
+
+  /**
+   * Create a transfer from a multisig account, signed by one of its keys
+   * @param {string} multisigAddress - Multisig account sending the DOU
+   * @param {string} toAddress - Recipient address
+   * @param {number} amount - Amount to transfer in base units
+   * @param {string} signerAddress - Wallet address of the key signing first
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<Transaction>} - Partially signed transaction
+   */
+  async createMultisigTransfer(multisigAddress, toAddress, amount, signerAddress, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(multisigAddress) || !Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    if (!await this.blockchain.getMultisigAccount(multisigAddress)) {
+      throw new Error(`${multisigAddress} is not a registered multisig account`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(multisigAddress);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
+    }
+    
+    // Create transaction with the account's next nonce
+    const nonce = await this.blockchain.getNextNonce(multisigAddress);
+    const tx = Transaction.createTransfer(multisigAddress, toAddress, amount, fee, nonce);
+    await this.signMultisigTransaction(tx, signerAddress);
+    
+    return tx;
+  }
+
+  /**
+   * Add the signature of a wallet key to a multisig transaction
+   * @param {Transaction} tx - Transaction sent from a multisig account
+   * @param {string} signerAddress - Wallet address of a key of the account
+   * @returns {Promise<number>} - Number of account keys that have signed
+   */
+  async signMultisigTransaction(tx, signerAddress) {
+    const account = await this.blockchain.getMultisigAccount(tx.from);
+    if (!account) {
+      throw new Error(`${tx.from} is not a registered multisig account`);
+    }
+    if (!tx.verifyHash()) {
+      throw new Error('Invalid transaction hash');
+    }
+    
+    // Check if we have the private key of one of the account's keys
+    const privateKey = await this.wallet.getPrivateKey(signerAddress);
+    if (!privateKey) {
+      throw new Error('Address not found in wallet');
+    }
+    const { publicKey } = Address.fromPrivateKey(privateKey);
+    if (!account.publicKeys.includes(publicKey)) {
+      throw new Error(`${signerAddress} is not a key of multisig account ${tx.from}`);
+    }
+    
+    await tx.addSignature(async (data) => {
       return Address.sign(data, privateKey);
-    });
+    }, publicKey);
+    
+    return Multisig.countSignatures(tx, account);
+  }
+
+  /**
+   * Submit a multisig transaction once enough keys have signed it
+   * @param {Transaction} tx - Transaction sent from a multisig account
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async submitMultisigTransaction(tx) {
+    const account = await this.blockchain.getMultisigAccount(tx.from);
+    if (!account) {
+      throw new Error(`${tx.from} is not a registered multisig account`);
+    }
+    const signed = Multisig.countSignatures(tx, account);
+    if (signed < account.threshold) {
+      throw new Error(`Transaction has ${signed} of the ${account.threshold} required signatures`);
+    }
     
     // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
+    return await this.blockchain.addTransaction(tx);
+  }
+
+  /**
+   * Lock DOU for a recipient against a hashlock until an expiry height
+   * @param {string} address - Sender address
+   * @param {string} recipient - Recipient address
+   * @param {number} amount - Amount to lock in base units
+   * @param {string} hashlock - SHA-256 of the preimage in hex format
+   * @param {number} expiryHeight - Height from which the sender can take the DOU back
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash, which identifies the lock
+   */
+  async lockHtlc(address, recipient, amount, hashlock, expiryHeight, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses and hashlock
+    if (!Address.isValidAddress(address) || !Address.isValidAddress(recipient)) {
+      throw new Error('Invalid address format');
+    }
+    if (!Htlc.isValidHashlock(hashlock)) {
+      throw new Error('Hashlock must be a SHA-256 hash in hex format');
+    }
     
-    return txHash;
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < amount + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(amount + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createHtlcLock(address, recipient, amount, hashlock, expiryHeight, fee, nonce));
+    
+    return tx.hash;
   }
-  
+
+  /**
+   * Claim a hash time-locked transfer for its recipient by revealing the preimage
+   * @param {string} address - Address submitting the claim and paying the fee
+   * @param {string} htlcId - Hash of the HTLC_LOCK transaction
+   * @param {string} preimage - Preimage of the hashlock in hex format
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async claimHtlc(address, htlcId, preimage, fee = Amount.parse(config.blockchain.defaultFee)) {
+    const htlc = await this.blockchain.getHtlc(htlcId);
+    if (!htlc || htlc.status !== 'locked') {
+      throw new Error(`No locked HTLC ${htlcId}`);
+    }
+    if (!Htlc.matches(preimage, htlc.hashlock)) {
+      throw new Error('Preimage does not match the hashlock');
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createHtlcClaim(address, htlc, preimage, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Return an expired hash time-locked transfer to its sender
+   * @param {string} address - Address submitting the refund and paying the fee
+   * @param {string} htlcId - Hash of the HTLC_LOCK transaction
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async refundHtlc(address, htlcId, fee = Amount.parse(config.blockchain.defaultFee)) {
+    const htlc = await this.blockchain.getHtlc(htlcId);
+    if (!htlc || htlc.status !== 'locked') {
+      throw new Error(`No locked HTLC ${htlcId}`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createHtlcRefund(address, htlc, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Register a name for an address
+   * @param {string} address - Address the name will point to (pays the registration fee)
+   * @param {string} name - Name, with or without the @ prefix
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async registerName(address, name, fee = Amount.parse(config.blockchain.defaultFee)) {
+    name = Names.fromReference(name);
+    if (!Names.isValidName(name)) {
+      throw new Error('Names have 3 to 32 lowercase letters, digits or inner hyphens');
+    }
+    const record = await this.blockchain.getName(name);
+    if (record && record.expiryHeight > this.blockchain.currentHeight + 1) {
+      throw new Error(`@${name} is already registered to ${record.owner}`);
+    }
+    
+    // Check balance
+    const price = this.blockchain.params.nameRegistrationFee;
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < price + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(price + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createNameRegister(address, name, price, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Transfer a registered name to another address
+   * @param {string} address - Current owner of the name
+   * @param {string} name - Name, with or without the @ prefix
+   * @param {string} toAddress - New owner of the name
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async transferName(address, name, toAddress, fee = Amount.parse(config.blockchain.defaultFee)) {
+    name = Names.fromReference(name);
+    if (!Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    const record = await this.blockchain.getName(name);
+    if (!record || record.owner !== address || record.expiryHeight <= this.blockchain.currentHeight + 1) {
+      throw new Error(`@${name} is not registered to ${address}`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createNameTransfer(address, name, toAddress, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Renew a registered name for another registration period
+   * @param {string} address - Owner of the name (pays the renewal fee)
+   * @param {string} name - Name, with or without the @ prefix
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async renewName(address, name, fee = Amount.parse(config.blockchain.defaultFee)) {
+    name = Names.fromReference(name);
+    const record = await this.blockchain.getName(name);
+    if (!record || record.owner !== address || record.expiryHeight <= this.blockchain.currentHeight + 1) {
+      throw new Error(`@${name} is not registered to ${address}`);
+    }
+    
+    // Check balance
+    const price = this.blockchain.params.nameRegistrationFee;
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < price + fee) {
+      throw new Error(`Insufficient balance: ${Amount.format(balance)} DOU (need ${Amount.format(price + fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createNameRenew(address, name, price, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Issue a new token
+   * @param {string} address - Creator address, credited with the initial supply
+   * @param {string} symbol - Unique symbol (2 to 10 uppercase letters or digits)
+   * @param {number} decimals - Decimal places of the token
+   * @param {number} supply - Initial supply in token base units
+   * @param {string|null} mintAuthority - Address allowed to mint more, or null for a fixed supply
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async createToken(address, symbol, decimals, supply, mintAuthority = null, fee = Amount.parse(config.blockchain.defaultFee)) {
+    if (!Tokens.isValidSymbol(symbol)) {
+      throw new Error('Token symbols have 2 to 10 uppercase letters or digits, starting with a letter');
+    }
+    if (!Tokens.isValidDecimals(decimals)) {
+      throw new Error(`Token decimals must be between 0 and ${Tokens.MAX_DECIMALS}`);
+    }
+    if (mintAuthority !== null && !Address.isValidAddress(mintAuthority)) {
+      throw new Error('Invalid mint authority address');
+    }
+    if (!Amount.isValid(supply) || (supply === 0 && mintAuthority === null)) {
+      throw new Error('A token needs an initial supply or a mint authority');
+    }
+    if (await this.blockchain.getToken(symbol)) {
+      throw new Error(`Token ${symbol} already exists`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createToken(address, symbol, decimals, supply, mintAuthority, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Transfer token units to another address
+   * @param {string} fromAddress - Sender address
+   * @param {string} toAddress - Recipient address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async transferToken(fromAddress, toAddress, symbol, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    // Validate addresses
+    if (!Address.isValidAddress(fromAddress) || !Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    const token = await this.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    if (!Amount.isValid(amount) || amount <= 0) {
+      throw new Error('Token amount must be positive whole base units');
+    }
+    const tokenBalance = await this.blockchain.getTokenBalance(fromAddress, symbol);
+    if (tokenBalance < amount) {
+      throw new Error(`Insufficient ${symbol} balance: ${Amount.format(tokenBalance, token.decimals)} (need ${Amount.format(amount, token.decimals)})`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(fromAddress);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(fromAddress, nonce => Transaction.createTokenTransfer(fromAddress, toAddress, symbol, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Mint new token units
+   * @param {string} address - Mint authority of the token
+   * @param {string} toAddress - Recipient address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async mintToken(address, toAddress, symbol, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    if (!Address.isValidAddress(toAddress)) {
+      throw new Error('Invalid address format');
+    }
+    const token = await this.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    if (!Amount.isValid(amount) || amount <= 0) {
+      throw new Error('Token amount must be positive whole base units');
+    }
+    if (token.mintAuthority !== address) {
+      throw new Error(`${address} is not the mint authority of ${symbol}`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createTokenMint(address, toAddress, symbol, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
+  /**
+   * Burn token units held by an address
+   * @param {string} address - Holder address
+   * @param {string} symbol - Token symbol
+   * @param {number} amount - Amount in token base units
+   * @param {number} fee - Transaction fee in base units
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async burnToken(address, symbol, amount, fee = Amount.parse(config.blockchain.defaultFee)) {
+    const token = await this.blockchain.getToken(symbol);
+    if (!token) {
+      throw new Error(`Unknown token: ${symbol}`);
+    }
+    if (!Amount.isValid(amount) || amount <= 0) {
+      throw new Error('Token amount must be positive whole base units');
+    }
+    const tokenBalance = await this.blockchain.getTokenBalance(address, symbol);
+    if (tokenBalance < amount) {
+      throw new Error(`Insufficient ${symbol} balance: ${Amount.format(tokenBalance, token.decimals)} (need ${Amount.format(amount, token.decimals)})`);
+    }
+    
+    // Check balance
+    const balance = await this.blockchain.getAddressBalance(address);
+    if (balance < fee) {
+      throw new Error(`Insufficient balance for the fee: ${Amount.format(balance)} DOU (need ${Amount.format(fee)} DOU)`);
+    }
+    
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createTokenBurn(address, symbol, amount, fee, nonce));
+    
+    return tx.hash;
+  }
+
   /**
    * Stop being a validator
    * @param {string} address - Validator address
@@ -414,24 +862,10 @@ class SimpleNode {
       throw new Error('Address is not a validator');
     }
     
-    // Check if we have the private key
-    const privateKey = await this.wallet.getPrivateKey(address);
-    if (!privateKey) {
-      throw new Error('Address not found in wallet');
-    }
-    
-    // Create transaction
-    const tx = Transaction.createValidatorWithdraw(address, 0.1);
-    
-    // Sign transaction
-    await tx.sign(async (data) => {
-      return Address.sign(data, privateKey);
-    });
-    
-    // Add to blockchain
-    const txHash = this.blockchain.addTransaction(tx);
+    // Create, sign and submit the transaction
+    const tx = await this.submitTransaction(address, nonce => Transaction.createValidatorWithdraw(address, Amount.parse(config.blockchain.defaultFee), nonce));
     
-    return txHash;
+    return tx.hash;
   }
   
   /**
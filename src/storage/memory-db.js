@@ -0,0 +1,132 @@
+/**
+ * In-memory database for DoucyA blockchain
+ * Has the same interface as the LevelDB wrapper and is used as scratch space,
+ * e.g. to replay the chain without touching the node's database.
+ */
+
+'use strict';
+
+class MemoryDB {
+  /**
+   * Create a new in-memory database
+   */
+  constructor() {
+    this.data = new Map(); // key -> JSON-encoded value, like LevelDB's json encoding
+    this.isOpen = true;
+  }
+
+  /**
+   * Open the database
+   */
+  async open() {
+    this.isOpen = true;
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    this.isOpen = false;
+  }
+
+  /**
+   * Put a key-value pair in the database
+   * @param {string} key - Key
+   * @param {any} value - Value
+   * @returns {Promise<boolean>} - Resolves when value is stored
+   */
+  async put(key, value) {
+    this.data.set(key, JSON.stringify(value));
+    return true;
+  }
+
+  /**
+   * Get a value from the database
+   * @param {string} key - Key
+   * @returns {Promise<any>} - Value
+   * @throws {Error} - NotFoundError if the key does not exist
+   */
+  async get(key) {
+    if (!this.data.has(key)) {
+      const err = new Error(`Key not found in database [${key}]`);
+      err.type = 'NotFoundError';
+      err.notFound = true;
+      throw err;
+    }
+    return JSON.parse(this.data.get(key));
+  }
+
+  /**
+   * Delete a key-value pair from the database
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} - Resolves when value is deleted
+   */
+  async del(key) {
+    this.data.delete(key);
+    return true;
+  }
+
+  /**
+   * Check if a key exists in the database
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} - Whether the key exists
+   */
+  async exists(key) {
+    return this.data.has(key);
+  }
+
+  /**
+   * Get all keys in the database with a prefix, in key order
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Array>} - Keys
+   */
+  async getKeys(prefix) {
+    return Array.from(this.data.keys())
+      .filter(key => key.startsWith(prefix))
+      .sort();
+  }
+
+  /**
+   * Get all key-value pairs in the database with a prefix
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Object>} - Key-value pairs
+   */
+  async getAll(prefix) {
+    const result = {};
+    for (const key of await this.getKeys(prefix)) {
+      result[key] = JSON.parse(this.data.get(key));
+    }
+    return result;
+  }
+
+  /**
+   * Update a value in the database using a function
+   * @param {string} key - Key
+   * @param {Function} updateFn - Function that takes the current value and returns the new value
+   * @returns {Promise<any>} - New value
+   */
+  async update(key, updateFn) {
+    const value = this.data.has(key) ? JSON.parse(this.data.get(key)) : undefined;
+    const newValue = updateFn(value);
+    await this.put(key, newValue);
+    return newValue;
+  }
+
+  /**
+   * Perform a batch operation
+   * @param {Array} operations - Array of operations
+   * @returns {Promise<boolean>} - Resolves when batch is complete
+   */
+  async batch(operations) {
+    for (const op of operations) {
+      if (op.type === 'put') {
+        await this.put(op.key, op.value);
+      } else if (op.type === 'del') {
+        await this.del(op.key);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = MemoryDB;
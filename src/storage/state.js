@@ -0,0 +1,179 @@
+/**
+ * Staged state store for DoucyA blockchain
+ * While a block is being applied, writes are kept in memory and reads see
+ * them first. The staged writes are then committed in a single LevelDB batch,
+ * together with an undo log of the previous values so the block can be
+ * rolled back during a reorganization.
+ */
+
+'use strict';
+
+class StateStore {
+  /**
+   * Create a new state store
+   * @param {Object} db - LevelDB database instance
+   */
+  constructor(db) {
+    this.db = db;
+    this.staged = null; // key -> { value } or { deleted: true }
+    this.journal = null; // key -> previous value ({ exists, value })
+  }
+
+  /**
+   * Start staging writes
+   * @throws {Error} - If writes are already being staged
+   */
+  begin() {
+    if (this.staged) {
+      throw new Error('State changes already being staged');
+    }
+    this.staged = new Map();
+    this.journal = new Map();
+  }
+
+  /**
+   * Stop staging and return the batch operations and undo log
+   * @returns {Object} - { operations, undo } where undo entries are { key, value } or { key } if the key did not exist
+   * @throws {Error} - If no writes are being staged
+   */
+  end() {
+    if (!this.staged) {
+      throw new Error('No state changes being staged');
+    }
+
+    const operations = [];
+    for (const [key, entry] of this.staged.entries()) {
+      operations.push(entry.deleted ? { type: 'del', key } : { type: 'put', key, value: entry.value });
+    }
+
+    const undo = [];
+    for (const [key, previous] of this.journal.entries()) {
+      undo.push(previous.exists ? { key, value: previous.value } : { key });
+    }
+
+    this.staged = null;
+    this.journal = null;
+    return { operations, undo };
+  }
+
+  /**
+   * Drop all staged writes
+   */
+  discard() {
+    this.staged = null;
+    this.journal = null;
+  }
+
+  /**
+   * Get a value, seeing staged writes first
+   * @param {string} key - Key
+   * @returns {Promise<any>} - Value
+   */
+  async get(key) {
+    if (this.staged && this.staged.has(key)) {
+      const entry = this.staged.get(key);
+      if (entry.deleted) {
+        const err = new Error(`Key not found in database [${key}]`);
+        err.type = 'NotFoundError';
+        err.notFound = true;
+        throw err;
+      }
+      return entry.value;
+    }
+    return await this.db.get(key);
+  }
+
+  /**
+   * Check if a key exists, seeing staged writes first
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} - Whether the key exists
+   */
+  async exists(key) {
+    if (this.staged && this.staged.has(key)) {
+      return !this.staged.get(key).deleted;
+    }
+    return await this.db.exists(key);
+  }
+
+  /**
+   * Get all key-value pairs with a prefix, seeing staged writes first
+   * @param {string} prefix - Key prefix
+   * @returns {Promise<Object>} - Key-value pairs
+   */
+  async getAll(prefix) {
+    const result = await this.db.getAll(prefix);
+
+    if (this.staged) {
+      for (const [key, entry] of this.staged.entries()) {
+        if (!key.startsWith(prefix)) continue;
+        if (entry.deleted) {
+          delete result[key];
+        } else {
+          result[key] = entry.value;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Put a value, staging it if a block is being applied
+   * @param {string} key - Key
+   * @param {any} value - Value
+   */
+  async put(key, value) {
+    if (!this.staged) {
+      return await this.db.put(key, value);
+    }
+    await this.record(key);
+    this.staged.set(key, { value });
+  }
+
+  /**
+   * Delete a value, staging the deletion if a block is being applied
+   * @param {string} key - Key
+   */
+  async del(key) {
+    if (!this.staged) {
+      return await this.db.del(key);
+    }
+    await this.record(key);
+    this.staged.set(key, { deleted: true });
+  }
+
+  /**
+   * Record the stored value of a key before its first staged write
+   * @param {string} key - Key
+   */
+  async record(key) {
+    if (this.journal.has(key)) {
+      return;
+    }
+
+    try {
+      const value = await this.db.get(key);
+      this.journal.set(key, { exists: true, value });
+    } catch (err) {
+      if (err.type !== 'NotFoundError') {
+        throw err;
+      }
+      this.journal.set(key, { exists: false });
+    }
+  }
+
+  /**
+   * Convert an undo log into the batch operations that restore it
+   * @param {Array} undo - Undo entries from end()
+   * @returns {Array} - Batch operations
+   */
+  static undoOperations(undo) {
+    return undo.map(entry => (
+      Object.prototype.hasOwnProperty.call(entry, 'value')
+        ? { type: 'put', key: entry.key, value: entry.value }
+        : { type: 'del', key: entry.key }
+    ));
+  }
+}
+
+module.exports = StateStore;
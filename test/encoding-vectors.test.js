@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Encoding = require('../src/crypto/encoding');
+const MerkleTree = require('../src/blockchain/merkle');
+const Transaction = require('../src/blockchain/transaction');
+const Block = require('../src/blockchain/block');
+const vectors = require('../src/crypto/encoding-vectors.json');
+
+test('the vectors are published for the current encoding version', () => {
+  assert.strictEqual(vectors.version, Encoding.VERSION);
+  assert.strictEqual(vectors.hashAlgorithm, 'sha256');
+});
+
+for (const vector of vectors.vectors) {
+  test(`encodes ${vector.name}`, () => {
+    assert.strictEqual(Encoding.encode(vector.input), vector.canonical);
+    assert.strictEqual(Encoding.hash(vector.input), vector.hash);
+  });
+}
+
+for (const vector of vectors.transactions) {
+  test(`hashes transaction: ${vector.name}`, () => {
+    const tx = Transaction.fromJSON(vector.fields);
+    assert.strictEqual(Encoding.encode(tx.getHashData()), vector.canonical);
+    assert.strictEqual(tx.calculateHash(), vector.hash);
+  });
+}
+
+for (const vector of vectors.blocks) {
+  test(`hashes block: ${vector.name}`, () => {
+    assert.strictEqual(MerkleTree.computeRoot(vector.transactionHashes), vector.header.merkleRoot);
+    assert.strictEqual(Encoding.encode(vector.header), vector.canonical);
+    assert.strictEqual(Block.hashHeader(vector.header), vector.hash);
+  });
+}
@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Finality = require('../src/blockchain/finality');
+const Transaction = require('../src/blockchain/transaction');
+const Amount = require('../src/blockchain/amount');
+const { generateKeys, signer, createGenesis, createChain, include } = require('./helpers');
+
+const [funder, recipient] = generateKeys(2);
+
+/**
+ * Sign a vote for a block linking from a source checkpoint
+ */
+function vote(key, source, block) {
+  return Finality.createVote(source, block, key.address, key.publicKey, signer(key));
+}
+
+/**
+ * Produce a block holding a transfer, since empty blocks are not created
+ */
+async function grow(chain, validators) {
+  const tx = Transaction.createTransfer(funder.address, recipient.address, Amount.parse(1), 0, await chain.getNextNonce(funder.address));
+  await tx.sign(signer(funder), funder.publicKey);
+  return include(chain, validators, tx);
+}
+
+/**
+ * Create a chain of three validators with a funded account
+ */
+function createVotingChain(validators) {
+  return createChain(createGenesis(validators, [{ address: funder.address, amount: 1000 }], { epochLength: 1000 }));
+}
+
+async function setup() {
+  const validators = generateKeys(3);
+  const chain = await createVotingChain(validators);
+  const genesisBlock = await chain.getLatestBlock();
+  const blocks = [genesisBlock];
+  for (let i = 0; i < 3; i++) {
+    blocks.push(await grow(chain, validators));
+  }
+  return { chain, validators, blocks };
+}
+
+test('two votes for one height or a surrounding vote conflict', async () => {
+  const { validators: [key], blocks } = await setup();
+  const [b0, b1, b2, b3] = blocks;
+
+  assert.strictEqual(Finality.conflicts(await vote(key, b0, b1), await vote(key, b0, b1)), false);
+  assert.strictEqual(Finality.conflicts(await vote(key, b0, b1), await vote(key, b1, b2)), false);
+  assert.strictEqual(Finality.conflicts(await vote(key, b0, b2), await vote(key, b1, b2)), true);
+  assert.strictEqual(Finality.conflicts(await vote(key, b1, b2), await vote(key, b0, b3)), true);
+
+  const evidence = Finality.createEvidence(await vote(key, b1, b2), await vote(key, b0, b3));
+  assert.deepStrictEqual(Finality.verifyEvidence(evidence), { validator: key.address, height: 3 });
+  const unrelated = Finality.createEvidence(await vote(key, b0, b1), await vote(key, b1, b2));
+  assert.throws(() => Finality.verifyEvidence(unrelated), /do not conflict/);
+});
+
+test('a block justified from its parent finalizes the parent', async () => {
+  const { chain, validators, blocks } = await setup();
+  const [b0, b1, b2] = blocks;
+
+  for (const key of validators) {
+    await chain.addVote(await vote(key, b0, b1));
+  }
+  assert.strictEqual(await chain.isJustified(b1.hash), true);
+  assert.strictEqual(chain.getFinalizedHeight(), 0);
+
+  // Votes linking from a block that is not justified do not count
+  await chain.addVote(await vote(validators[0], b2, blocks[3]));
+  assert.strictEqual(await chain.isJustified(blocks[3].hash), false);
+
+  for (const key of validators) {
+    await chain.addVote(await vote(key, b1, b2));
+  }
+  assert.strictEqual(await chain.isJustified(b2.hash), true);
+  assert.strictEqual(chain.getFinalizedHeight(), 1);
+});
+
+test('a surrounding vote is reported and its evidence slashes the validator once', async () => {
+  const { chain, validators, blocks } = await setup();
+  const [b0, b1, b2, b3] = blocks;
+  const [offender, reporter] = validators;
+
+  assert.strictEqual((await chain.addVote(await vote(offender, b1, b2))).status, 'added');
+  const result = await chain.addVote(await vote(offender, b0, b3));
+  assert.strictEqual(result.status, 'conflicting');
+
+  const report = async nonce => {
+    const tx = Transaction.createSlashEvidence(reporter.address, offender.address, result.evidence, 0, nonce);
+    await tx.sign(signer(reporter), reporter.publicKey);
+    return tx;
+  };
+  const stake = chain.validators.get(offender.address);
+  await include(chain, validators, await report(0));
+  assert.ok(chain.validators.get(offender.address) < stake);
+  assert.strictEqual(await chain.isTransactionValid(await report(1)), false);
+});
+
+test('a voting node never casts conflicting votes and finalizes as blocks are justified', async () => {
+  const validators = generateKeys(3);
+  const [voter, ...others] = validators;
+  const chain = await createVotingChain(validators);
+  chain.voter = { address: voter.address, publicKey: voter.publicKey, signCallback: signer(voter) };
+  const votes = [];
+  chain.on('voteCast', cast => votes.push(cast));
+
+  for (let i = 0; i < 4; i++) {
+    const block = await grow(chain, validators);
+    for (const key of others) {
+      await chain.addVote(await vote(key, chain.justified, block));
+    }
+  }
+
+  assert.strictEqual(votes.length, 4);
+  for (const a of votes) {
+    for (const b of votes) {
+      assert.strictEqual(Finality.conflicts(a, b), false);
+    }
+  }
+  assert.strictEqual(chain.getFinalizedHeight(), 3);
+});
@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Genesis = require('../src/blockchain/genesis');
+const { generateKeys } = require('./helpers');
+
+const [validator] = generateKeys(1);
+
+const withConsensus = consensus => ({
+  chainId: 'test',
+  timestamp: 1,
+  validators: [{ address: validator.address, stake: 100, publicKey: validator.publicKey }],
+  consensus
+});
+
+test('counts, lengths and times must be positive integers', () => {
+  for (const consensus of [{ blockTime: 0 }, { epochLength: 0 }, { maxBlockTransactions: 1.5 }, { unbondingBlocks: -1 }]) {
+    assert.throws(() => Genesis.validate(withConsensus(consensus)), /must be a (positive integer|non-negative number)/);
+  }
+  assert.strictEqual(Genesis.validate(withConsensus({ blockTime: 1, epochLength: 10 })).consensus.epochLength, 10);
+});
+
+test('rates and shares must be between 0 and 1', () => {
+  assert.throws(() => Genesis.validate(withConsensus({ slashFraction: 1.5 })), /between 0 and 1/);
+  assert.throws(() => Genesis.validate(withConsensus({ slashReporterShare: 2 })), /between 0 and 1/);
+  assert.strictEqual(Genesis.validate(withConsensus({ slashFraction: 0 })).consensus.slashFraction, 0);
+  assert.strictEqual(Genesis.validate(withConsensus({ slashFraction: 1 })).consensus.slashFraction, 1);
+});
+
+test('the bundled genesis file is valid', () => {
+  const genesis = Genesis.load(require.resolve('../genesis.json'));
+  assert.strictEqual(genesis.validators.length, 1);
+});
@@ -0,0 +1,115 @@
+/**
+ * Shared setup for the DoucyA tests
+ * Chains run on an in-memory database with 1 ms slots, and every test key
+ * can act as a validator, so blocks are produced as fast as the slots pass.
+ */
+
+'use strict';
+
+const Blockchain = require('../src/blockchain/blockchain');
+const Block = require('../src/blockchain/block');
+const Genesis = require('../src/blockchain/genesis');
+const Address = require('../src/blockchain/address');
+const MemoryDB = require('../src/storage/memory-db');
+
+// The chain logs every block it creates or applies; keep test output readable
+console.log = () => {};
+
+/**
+ * Generate key pairs
+ * @param {number} count - Number of keys
+ * @returns {Array<Object>} - Keys with address, publicKey and privateKey
+ */
+function generateKeys(count) {
+  return Array.from({ length: count }, () => Address.generate());
+}
+
+/**
+ * Get a sign callback for a key
+ * @param {Object} key - Key pair
+ * @returns {Function} - Function signing data with the private key
+ */
+function signer(key) {
+  return async data => Address.sign(data, key.privateKey);
+}
+
+/**
+ * Build a validated genesis configuration with every validator staking 100 DOU
+ * @param {Array<Object>} validators - Validator keys
+ * @param {Array<Object>} allocations - Genesis allocations ({ address, amount } in DOU)
+ * @param {Object} consensus - Consensus parameters overriding the defaults
+ * @returns {Object} - Genesis configuration
+ */
+function createGenesis(validators, allocations = [], consensus = {}) {
+  return Genesis.validate({
+    chainId: 'test',
+    timestamp: Date.now() - 1000,
+    allocations,
+    validators: validators.map(key => ({ address: key.address, stake: 100, publicKey: key.publicKey })),
+    consensus: { blockTime: 1, ...consensus }
+  });
+}
+
+/**
+ * Create a chain from a genesis configuration on an in-memory database
+ * @param {Object} genesis - Genesis configuration
+ * @returns {Promise<Blockchain>} - Initialized chain that never syncs with peers
+ */
+async function createChain(genesis) {
+  const chain = new Blockchain(new MemoryDB());
+  chain.syncBlockchain = async () => {};
+  await chain.initialize(genesis);
+  return chain;
+}
+
+/**
+ * Produce one block from the pending transactions
+ * Each validator tries in turn until the scheduled proposer of a slot creates it.
+ * @param {Blockchain} chain - Chain to extend
+ * @param {Array<Object>} validators - Validator keys
+ * @returns {Promise<Block>} - New tip
+ */
+async function produceBlock(chain, validators) {
+  const height = chain.currentHeight;
+  while (chain.currentHeight === height) {
+    for (const key of validators) {
+      await chain.createBlock(key.address, signer(key));
+      if (chain.currentHeight > height) {
+        break;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+  return chain.getLatestBlock();
+}
+
+/**
+ * Submit a transaction and produce the block that includes it
+ * @param {Blockchain} chain - Chain to extend
+ * @param {Array<Object>} validators - Validator keys
+ * @param {Transaction} tx - Signed transaction
+ * @returns {Promise<Block>} - New tip
+ */
+async function include(chain, validators, tx) {
+  await chain.addTransaction(tx);
+  return produceBlock(chain, validators);
+}
+
+/**
+ * Copy a block the way it travels between nodes
+ * @param {Block} block - Block
+ * @returns {Block} - Block decoded from its JSON form
+ */
+function copyBlock(block) {
+  return Block.fromJSON(JSON.parse(JSON.stringify(block.toJSON())));
+}
+
+module.exports = {
+  generateKeys,
+  signer,
+  createGenesis,
+  createChain,
+  produceBlock,
+  include,
+  copyBlock
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Mempool = require('../src/blockchain/mempool');
+const Transaction = require('../src/blockchain/transaction');
+const { generateKeys } = require('./helpers');
+
+const [sender, recipient] = generateKeys(2);
+const options = { maxSize: 10, maxPerSender: 4, maxNonceGap: 4, expiryTime: 60000, minFeeBump: 0.1 };
+
+const transfer = (amount, fee, nonce) => Transaction.createTransfer(sender.address, recipient.address, amount, fee, nonce);
+
+test('a transaction with the same sender and nonce replaces one paying enough less fee', () => {
+  const mempool = new Mempool(options);
+  const original = transfer(100, 1000, 0);
+  mempool.add(original, 0);
+
+  const replacement = transfer(100, 1100, 0);
+  mempool.add(replacement, 0);
+
+  assert.strictEqual(mempool.size, 1);
+  assert.ok(!mempool.has(original.hash));
+  assert.ok(mempool.has(replacement.hash));
+});
+
+test('a replacement must raise the fee by at least minFeeBump', () => {
+  const mempool = new Mempool(options);
+  const original = transfer(100, 1000, 0);
+  mempool.add(original, 0);
+
+  assert.throws(() => mempool.add(transfer(200, 1000, 0), 0), /Replacement fee must be at least/);
+  assert.throws(() => mempool.add(transfer(100, 1099, 0), 0), /Replacement fee must be at least 0\.000011 DOU/);
+  assert.ok(mempool.has(original.hash));
+  assert.strictEqual(mempool.size, 1);
+});
+
+test('transactions with other nonces are kept side by side', () => {
+  const mempool = new Mempool(options);
+  mempool.add(transfer(100, 1000, 0), 0);
+  mempool.add(transfer(100, 1000, 1), 0);
+
+  assert.strictEqual(mempool.size, 2);
+  assert.strictEqual(mempool.getNextNonce(sender.address, 0), 2);
+});
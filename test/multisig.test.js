@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Address = require('../src/blockchain/address');
+const Multisig = require('../src/blockchain/multisig');
+const Transaction = require('../src/blockchain/transaction');
+const Amount = require('../src/blockchain/amount');
+const { generateKeys, signer, createGenesis, createChain, include } = require('./helpers');
+
+const [validator, payer, ...holders] = generateKeys(5);
+const publicKeys = holders.map(key => key.publicKey);
+
+async function setup(allocations = []) {
+  const validators = [validator];
+  const chain = await createChain(createGenesis(validators, [{ address: payer.address, amount: 1000 }, ...allocations]));
+  return { chain, validators };
+}
+
+async function register(nonce = 0) {
+  const tx = Transaction.createMultisig(payer.address, publicKeys, 2, Amount.parse(0.1), nonce);
+  await tx.sign(signer(payer), payer.publicKey);
+  return tx;
+}
+
+test('multisig addresses have their own format', () => {
+  const address = Multisig.getAddress(publicKeys, 2);
+  assert.ok(Address.isValidAddress(address));
+  assert.ok(Address.isMultisigAddress(address));
+  assert.ok(!Address.isMultisigAddress(payer.address));
+  assert.ok(Address.isValidAddress(payer.address));
+});
+
+test('an account is registered at a fresh address and spends with threshold signatures', async () => {
+  const { chain, validators } = await setup();
+  const address = Multisig.getAddress(publicKeys, 2);
+  await include(chain, validators, await register());
+
+  let tx = Transaction.createTransfer(payer.address, address, Amount.parse(10), 0, 1);
+  await tx.sign(signer(payer), payer.publicKey);
+  await include(chain, validators, tx);
+
+  tx = Transaction.createTransfer(address, payer.address, Amount.parse(1), 0, 0);
+  await tx.addSignature(signer(holders[0]), holders[0].publicKey);
+  assert.strictEqual(await chain.isTransactionValid(tx), false);
+  await tx.addSignature(signer(holders[1]), holders[1].publicKey);
+  assert.strictEqual(await chain.isTransactionValid(tx), true);
+
+  // The same account cannot be registered twice
+  assert.strictEqual(await chain.isTransactionValid(await register(2)), false);
+});
+
+test('registration is refused for an address that already has a balance', async () => {
+  const address = Multisig.getAddress(publicKeys, 2);
+  const { chain } = await setup([{ address, amount: 1 }]);
+  assert.strictEqual(await chain.isTransactionValid(await register()), false);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/blockchain/transaction');
+const { generateKeys, signer, createGenesis, createChain, produceBlock, copyBlock } = require('./helpers');
+
+const keys = generateKeys(3);
+const [funder, recipient] = keys;
+
+/**
+ * Extend a chain by blocks that each hold one transfer
+ */
+async function grow(chain, count, amount) {
+  for (let i = 0; i < count; i++) {
+    const tx = Transaction.createTransfer(funder.address, recipient.address, amount, 0, chain.currentHeight);
+    await tx.sign(signer(funder), funder.publicKey);
+    await chain.addTransaction(tx);
+    await produceBlock(chain, keys);
+  }
+}
+
+/**
+ * Feed the main chain of one node to another, block by block as a sync does
+ */
+async function sync(from, to) {
+  const statuses = [];
+  for (let height = 1; height <= from.currentHeight; height++) {
+    statuses.push((await to.acceptBlock(copyBlock(await from.getBlock(height)))).status);
+  }
+  return statuses;
+}
+
+test('a heavier branch several blocks deep replaces the main chain', async () => {
+  const genesis = createGenesis(keys, [{ address: funder.address, amount: 1000 }]);
+  const nodeA = await createChain(genesis);
+  const nodeB = await createChain(genesis);
+  await grow(nodeA, 2, 1);
+  await grow(nodeB, 4, 2);
+  const orphaned = await nodeA.getBlock(2);
+
+  const statuses = await sync(nodeB, nodeA);
+
+  assert.strictEqual(statuses[0], 'side');
+  assert.ok(!statuses.includes('invalid'), `statuses: ${statuses}`);
+  assert.ok(statuses.includes('reorganized'), `statuses: ${statuses}`);
+  assert.strictEqual((await nodeA.getLatestBlock()).hash, (await nodeB.getLatestBlock()).hash);
+  assert.strictEqual(await nodeA.getAddressBalance(recipient.address), await nodeB.getAddressBalance(recipient.address));
+  assert.strictEqual((await nodeA.auditSupply()).consistent, true);
+
+  // The orphaned transfers reuse nonces taken on the new branch, so they are not pending again
+  assert.ok(!nodeA.mempool.has(orphaned.transactions[0].hash));
+});
+
+test('a side branch block from an unscheduled proposer is rejected when the branch is applied', async () => {
+  const genesis = createGenesis(keys, [{ address: funder.address, amount: 1000 }]);
+  const nodeA = await createChain(genesis);
+  const forger = await createChain(genesis);
+
+  // Past its first block, the forger's chain schedules a validator other than the real proposer
+  const getScheduledProposer = forger.getScheduledProposer.bind(forger);
+  forger.getScheduledProposer = async (parent, slot) => {
+    const proposer = await getScheduledProposer(parent, slot);
+    return parent.height === 0 ? proposer : keys.find(key => key.address !== proposer).address;
+  };
+
+  await grow(nodeA, 2, 1);
+  await grow(forger, 4, 2);
+  const tip = await nodeA.getLatestBlock();
+
+  const statuses = await sync(forger, nodeA);
+
+  assert.strictEqual(statuses[0], 'side');
+  assert.ok(statuses.includes('invalid'), `statuses: ${statuses}`);
+  assert.ok(!statuses.includes('reorganized') && !statuses.includes('extended'), `statuses: ${statuses}`);
+  assert.strictEqual((await nodeA.getLatestBlock()).hash, tip.hash);
+  assert.strictEqual(await nodeA.hasBlock((await forger.getBlock(2)).hash), false);
+  assert.strictEqual((await nodeA.auditSupply()).consistent, true);
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Block = require('../src/blockchain/block');
+const Evidence = require('../src/blockchain/evidence');
+const Transaction = require('../src/blockchain/transaction');
+const Amount = require('../src/blockchain/amount');
+const { generateKeys, signer, createGenesis, createChain, include } = require('./helpers');
+
+/**
+ * Sign a block header at height 1 for double-signing evidence
+ */
+async function signHeader(key, parent, timestamp, stateRoot) {
+  const block = new Block(1, parent.hash, [], key.address, timestamp);
+  block.stateRoot = stateRoot;
+  block.hash = block.calculateHash();
+  await block.sign(signer(key));
+  return Evidence.getSignedHeader(block);
+}
+
+async function setup() {
+  const [offender, reporter, delegator] = generateKeys(3);
+  const validators = [offender, reporter];
+  const chain = await createChain(createGenesis(
+    validators,
+    [{ address: delegator.address, amount: 1000 }, { address: reporter.address, amount: 1000 }],
+    { unbondingBlocks: 50, epochLength: 1000 }
+  ));
+  const genesisBlock = await chain.getLatestBlock();
+
+  // The delegator bonds 200 DOU to the offender and starts unbonding 50 of it
+  let tx = Transaction.createDelegate(delegator.address, offender.address, Amount.parse(200), 0, 0);
+  await tx.sign(signer(delegator), delegator.publicKey);
+  await include(chain, validators, tx);
+  tx = Transaction.createUndelegate(delegator.address, offender.address, Amount.parse(50), 0, 1);
+  await tx.sign(signer(delegator), delegator.publicKey);
+  await include(chain, validators, tx);
+
+  const report = async (evidence, nonce) => {
+    const report = Transaction.createSlashEvidence(reporter.address, offender.address, evidence, 0, nonce);
+    await report.sign(signer(reporter), reporter.publicKey);
+    return report;
+  };
+  return { chain, validators, offender, delegator, genesisBlock, report };
+}
+
+test('headers from the same height in different slots are not evidence', async () => {
+  const { chain, offender, genesisBlock, report } = await setup();
+  const evidence = Evidence.create(
+    await signHeader(offender, genesisBlock, 1000, 'a'),
+    await signHeader(offender, genesisBlock, 2000, 'b'),
+    offender.publicKey
+  );
+  assert.strictEqual(await chain.isTransactionValid(await report(evidence, 0)), false);
+});
+
+test('two blocks signed in one slot slash bonded, delegated and unbonding stake once', async () => {
+  const { chain, validators, offender, delegator, genesisBlock, report } = await setup();
+  const evidence = Evidence.create(
+    await signHeader(offender, genesisBlock, 1000, 'a'),
+    await signHeader(offender, genesisBlock, 1000, 'b'),
+    offender.publicKey
+  );
+  const tx = await report(evidence, 0);
+  assert.strictEqual(await chain.isTransactionValid(tx), true);
+
+  const slashed = amount => amount - Amount.multiply(amount, chain.params.slashFraction);
+  const bonded = chain.validators.get(offender.address);
+  const delegated = chain.getDelegation(offender.address, delegator.address);
+  const unbonding = chain.unbonding.get(delegator.address)[0].amount;
+
+  await include(chain, validators, tx);
+
+  assert.strictEqual(chain.validators.get(offender.address), slashed(bonded));
+  assert.strictEqual(chain.getDelegation(offender.address, delegator.address), slashed(delegated));
+  assert.strictEqual(chain.unbonding.get(delegator.address)[0].amount, slashed(unbonding));
+  assert.strictEqual((await chain.auditSupply()).consistent, true);
+
+  // The same slot cannot be slashed twice
+  assert.strictEqual(await chain.isTransactionValid(await report(evidence, 1)), false);
+});
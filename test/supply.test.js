@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/blockchain/transaction');
+const Amount = require('../src/blockchain/amount');
+const { generateKeys, signer, createGenesis, createChain, include } = require('./helpers');
+
+test('the supply ledger matches balances and stake after transfers, fees and delegation', async () => {
+  const [validator, alice, bob] = generateKeys(3);
+  const validators = [validator];
+  const chain = await createChain(createGenesis(validators, [{ address: alice.address, amount: 1000 }]));
+  const genesisSupply = (await chain.getSupply()).total;
+
+  let tx = Transaction.createTransfer(alice.address, bob.address, Amount.parse(250), Amount.parse(1), 0);
+  await tx.sign(signer(alice), alice.publicKey);
+  await include(chain, validators, tx);
+
+  tx = Transaction.createDelegate(alice.address, validator.address, Amount.parse(100), Amount.parse(1), 1);
+  await tx.sign(signer(alice), alice.publicKey);
+  await include(chain, validators, tx);
+
+  tx = Transaction.createTransfer(bob.address, alice.address, Amount.parse(50), 0, 0);
+  await tx.sign(signer(bob), bob.publicKey);
+  await include(chain, validators, tx);
+
+  const audit = await chain.auditSupply();
+  assert.strictEqual(audit.consistent, true);
+  assert.strictEqual(audit.staked, Amount.parse(200));
+  assert.strictEqual(audit.supply.feesRedistributed, Amount.parse(2));
+  assert.strictEqual(audit.supply.total, genesisSupply + audit.supply.minted + audit.supply.validatorRewards +
+    audit.supply.messagingRewards - audit.supply.slashBurned - audit.supply.nameFeesBurned);
+  assert.strictEqual(await chain.getAddressBalance(bob.address), Amount.parse(200));
+});
+
+test('a replay of the chain reproduces every state root', async () => {
+  const [validator, alice, bob] = generateKeys(3);
+  const validators = [validator];
+  const chain = await createChain(createGenesis(validators, [{ address: alice.address, amount: 1000 }]));
+
+  for (let nonce = 0; nonce < 3; nonce++) {
+    const tx = Transaction.createTransfer(alice.address, bob.address, Amount.parse(10), Amount.parse(1), nonce);
+    await tx.sign(signer(alice), alice.publicKey);
+    await include(chain, validators, tx);
+  }
+
+  const report = await chain.replay();
+  assert.deepStrictEqual(report.errors, []);
+  assert.deepStrictEqual(report.mismatches, []);
+  assert.strictEqual((await chain.auditSupply()).consistent, true);
+});
+
+test('a transfer to oneself only costs the fee', async () => {
+  const [validator, alice] = generateKeys(2);
+  const validators = [validator];
+  const chain = await createChain(createGenesis(validators, [{ address: alice.address, amount: 1000 }]));
+  const balance = await chain.getAddressBalance(alice.address);
+
+  const tx = Transaction.createTransfer(alice.address, alice.address, Amount.parse(5), Amount.parse(0.1), 0);
+  await tx.sign(signer(alice), alice.publicKey);
+  await include(chain, validators, tx);
+
+  assert.strictEqual(await chain.getAddressBalance(alice.address), balance - Amount.parse(0.1));
+  assert.strictEqual((await chain.auditSupply()).consistent, true);
+});
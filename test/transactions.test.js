@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Transaction = require('../src/blockchain/transaction');
+const Amount = require('../src/blockchain/amount');
+const { generateKeys, signer, createGenesis, createChain } = require('./helpers');
+
+const [validator, alice, bob] = generateKeys(3);
+
+async function setup() {
+  return createChain(createGenesis([validator], [{ address: alice.address, amount: 1000 }]));
+}
+
+async function transfer(to, amount = Amount.parse(1)) {
+  const tx = Transaction.createTransfer(alice.address, to, amount, Amount.parse(0.1), 0);
+  await tx.sign(signer(alice), alice.publicKey);
+  return tx;
+}
+
+test('a transfer needs a valid recipient address', async () => {
+  const chain = await setup();
+  assert.strictEqual(await chain.isTransactionValid(await transfer(bob.address)), true);
+  assert.strictEqual(await chain.isTransactionValid(await transfer(null)), false);
+  assert.strictEqual(await chain.isTransactionValid(await transfer('Dou-not-an-address')), false);
+});
+
+test('a transfer must be covered by the sender balance', async () => {
+  const chain = await setup();
+  assert.strictEqual(await chain.isTransactionValid(await transfer(bob.address, Amount.parse(1000))), false);
+});